@@ -0,0 +1,63 @@
+// api/address.js
+// POST /api/address  { sessionId, claimToken }
+// Called just before the front end hands out the payment address for a manual
+// transfer (copy-paste, exchanges). Some senders won't create the recipient
+// token account, so this creates it — the only point where the master wallet
+// pays for a session before it's paid. Once per session; SOL needs none.
+
+import { PublicKey } from '@solana/web3.js';
+import { getMasterKeypair } from '../lib/wallet.js';
+import { getConnection, ensureTokenAta } from '../lib/solana.js';
+import { checkClaimToken } from '../lib/recipient.js';
+import { STATUS, recordStep, hasStep, loadSession, saveSession, withSessionLock } from '../lib/sessions.js';
+import { requestLogger } from '../lib/log.js';
+import { recordEvent, EVENT } from '../lib/audit.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'address');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, claimToken } = req.body || {};
+    if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+
+    const { locked, result } = await withSessionLock(sessionId, async () => {
+      const session = await loadSession(sessionId);
+      if (!session) return { code: 404, body: { error: 'Session not found or expired' } };
+      if (!checkClaimToken(session, claimToken)) return { code: 401, body: { error: 'Unauthorized' } };
+      if (session.status !== STATUS.PENDING || Date.now() > session.expiresAt) {
+        return { code: 409, body: { error: `Session is ${session.status}, not awaiting payment` } };
+      }
+
+      if (session.price.mint && !hasStep(session, 'tokenAccount')) {
+        const masterKeypair = await getMasterKeypair();
+        const ata = await ensureTokenAta(
+          getConnection(),
+          masterKeypair,
+          new PublicKey(session.paymentAddress),
+          new PublicKey(session.price.mint),
+        );
+        recordStep(session, 'tokenAccount', { address: ata.toBase58() });
+        await saveSession(session);
+        await recordEvent(sessionId, EVENT.FUNDED, { tokenAccount: ata.toBase58(), token: session.price.token }, log);
+      }
+
+      return {
+        code: 200,
+        body: {
+          paymentAddress: session.paymentAddress,
+          token: session.price.token,
+          amountDisplay: session.price.amountDisplay,
+        },
+      };
+    });
+
+    if (!locked) return res.status(409).json({ error: 'Session busy, try again' });
+    return res.status(result.code).json(result.body);
+
+  } catch (err) {
+    log.error('Address error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
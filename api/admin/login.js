@@ -0,0 +1,31 @@
+// api/admin/login.js
+// POST   /api/admin/login  { wallet, nonce, signature }  → { token, wallet, expiresAt }
+// DELETE /api/admin/login  (Authorization: Bearer <token>) → signs out
+// signature is the base64 ed25519 signature of the message from /api/admin/nonce.
+
+import { signIn, signOut, bearerToken } from '../../lib/admin-auth.js';
+import { requestLogger } from '../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/login');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'DELETE') {
+      await signOut(bearerToken(req));
+      return res.status(200).json({ success: true });
+    }
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const { wallet, nonce, signature } = req.body || {};
+    const session = await signIn({ wallet, nonce, signature });
+    if (!session) return res.status(401).json({ error: 'Sign-in failed' });
+    return res.status(200).json(session);
+
+  } catch (err) {
+    log.error('Admin login error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
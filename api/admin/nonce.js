@@ -0,0 +1,26 @@
+// api/admin/nonce.js
+// POST /api/admin/nonce  { wallet }
+// First step of admin sign-in: returns a one-time message for an allowlisted
+// wallet to sign. See lib/admin-auth.js.
+
+import { issueNonce } from '../../lib/admin-auth.js';
+import { requestLogger } from '../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/nonce');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { wallet } = req.body || {};
+    const issued = await issueNonce(wallet);
+    if (!issued) return res.status(403).json({ error: 'Not an admin wallet' });
+    return res.status(200).json(issued);
+
+  } catch (err) {
+    log.error('Admin nonce error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
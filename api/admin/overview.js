@@ -0,0 +1,75 @@
+// api/admin/overview.js
+// GET /api/admin/overview
+// The dashboard's front page: master wallet SOL and how many mints it has
+// left, open sessions by status, stuck sessions (paid / needs_funding / ...),
+// the last janitor run, and the webhook retry queue and dead-letter list.
+// Admin only — see lib/admin-auth.js.
+//
+// Config: MINT_COST_SOL — SOL the master wallet spends per mint (rent for
+// mint, metadata, edition and the buyer's token account, plus fees), default 0.02.
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { redis } from '../../lib/redis.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { getMasterKeypair } from '../../lib/wallet.js';
+import { getConnection } from '../../lib/solana.js';
+import { ACTIVE_SESSIONS_KEY, loadSessions } from '../../lib/sessions.js';
+import { sessionSummary } from '../../lib/admin.js';
+import { revenueSummary } from '../../lib/revenue.js';
+import { LAST_REPORT_KEY } from '../../lib/janitor.js';
+import { RETRY_QUEUE_KEY, DEAD_LETTER_KEY } from '../../lib/webhooks.js';
+import { requestLogger } from '../../lib/log.js';
+import { publicClusterInfo } from '../../lib/cluster.js';
+
+const RUNWAY_WINDOW_DAYS = 7;
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/overview');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const masterKeypair = await getMasterKeypair();
+    const lamports = await getConnection().getBalance(masterKeypair.publicKey);
+    const solBalance = lamports / LAMPORTS_PER_SOL;
+
+    // Runway: mints the balance still covers, and days at the recent mint rate
+    const mintCostSol = Number(process.env.MINT_COST_SOL) > 0 ? Number(process.env.MINT_COST_SOL) : 0.02;
+    const { totals } = await revenueSummary(RUNWAY_WINDOW_DAYS);
+    const mintsPerDay = totals.count / RUNWAY_WINDOW_DAYS;
+    const mintsLeft = Math.floor(solBalance / mintCostSol);
+
+    const activeIds = (await redis.smembers(ACTIVE_SESSIONS_KEY)) || [];
+    const summaries = (await loadSessions(activeIds)).filter(Boolean).map(sessionSummary);
+    const statuses = {};
+    for (const { status } of summaries) statuses[status] = (statuses[status] || 0) + 1;
+
+    return res.status(200).json({
+      master: {
+        address: masterKeypair.publicKey.toBase58(),
+        solBalance,
+        mintCostSol,
+        mintsLeft,
+        mintsPerDay: Math.round(mintsPerDay * 10) / 10,
+        daysLeft: mintsPerDay > 0 ? Math.floor(mintsLeft / mintsPerDay) : null,
+      },
+      cluster: publicClusterInfo(),
+      open: { total: summaries.length, statuses },
+      stuck: summaries.filter(s => s.stuck).sort((a, b) => a.lastChange - b.lastChange),
+      janitor: await redis.getJson(LAST_REPORT_KEY),
+      webhooks: {
+        queued: Number(await redis.zcard(RETRY_QUEUE_KEY)) || 0,
+        deadLettered: Number(await redis.llen(DEAD_LETTER_KEY)) || 0,
+      },
+    });
+
+  } catch (err) {
+    log.error('Admin overview error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
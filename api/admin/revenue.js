@@ -0,0 +1,28 @@
+// api/admin/revenue.js
+// GET /api/admin/revenue?days=30
+// Minted revenue per day and output type, with totals. See lib/revenue.js.
+// Admin only — see lib/admin-auth.js.
+
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { revenueSummary } from '../../lib/revenue.js';
+import { requestLogger } from '../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/revenue');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    return res.status(200).json(await revenueSummary(days));
+
+  } catch (err) {
+    log.error('Admin revenue error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,71 @@
+// api/admin/sessions.js
+// GET /api/admin/sessions?status=paid,needs_funding&outputType=photo&stuck=true&before=<ms>&limit=50
+// Sessions newest first, filtered by status / output type / stuck. Page with
+// `before` = the `nextBefore` of the previous response.
+// Admin only — see lib/admin-auth.js.
+
+import { redis } from '../../lib/redis.js';
+import { requireAdmin } from '../../lib/admin-auth.js';
+import { SESSIONS_INDEX_KEY, CLAIM_RETENTION, loadSessions } from '../../lib/sessions.js';
+import { sessionSummary } from '../../lib/admin.js';
+import { requestLogger } from '../../lib/log.js';
+
+const MAX_LIMIT = 200;
+// How many index entries to read per round while filtering
+const CHUNK = 100;
+const MAX_ROUNDS = 10;
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/sessions');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const { outputType } = req.query;
+    const stuckOnly = req.query.stuck === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LIMIT);
+    let before = parseInt(req.query.before) || '+inf';
+
+    // Records older than this are gone from Redis anyway
+    await redis.zremrangebyscore(SESSIONS_INDEX_KEY, '-inf', Date.now() - CLAIM_RETENTION * 1000);
+
+    const sessions = [];
+    let exhausted = false;
+    for (let round = 0; round < MAX_ROUNDS && sessions.length < limit; round++) {
+      // Exclusive upper bound, so paging never repeats a session
+      const max = before === '+inf' ? before : `(${before}`;
+      const flat = (await redis.zrevrangebyscore(SESSIONS_INDEX_KEY, max, '-inf', { count: CHUNK })) || [];
+      if (!flat.length) { exhausted = true; break; }
+
+      const ids = flat.filter((_, i) => i % 2 === 0);
+      const records = await loadSessions(ids);
+      for (const session of records) {
+        if (!session) continue;
+        const summary = sessionSummary(session);
+        if (statuses && !statuses.includes(summary.status)) continue;
+        if (outputType && summary.outputType !== outputType) continue;
+        if (stuckOnly && !summary.stuck) continue;
+        sessions.push(summary);
+      }
+      before = Number(flat[flat.length - 1]);
+      if (ids.length < CHUNK) { exhausted = true; break; }
+    }
+
+    const page = sessions.slice(0, limit);
+    const nextBefore = page.length === limit
+      ? page[page.length - 1].createdAt
+      : (exhausted ? null : before);
+
+    return res.status(200).json({ sessions: page, nextBefore });
+
+  } catch (err) {
+    log.error('Admin sessions error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,50 @@
+// api/admin/sessions/[sessionId].js
+// GET  /api/admin/sessions/:sessionId  — the full session record: status history,
+//      pipeline steps (payment, mint, collection, sweep signatures), refunds, errors,
+//      and its audit log (lib/audit.js)
+// POST /api/admin/sessions/:sessionId  { action: 'retry' | 'refund' | 'expire', refundTo? }
+// Admin only — see lib/admin-auth.js.
+
+import { requireAdmin } from '../../../lib/admin-auth.js';
+import { loadSession } from '../../../lib/sessions.js';
+import { describeSession } from '../../../lib/mint.js';
+import { runAdminAction } from '../../../lib/admin.js';
+import { getEvents } from '../../../lib/audit.js';
+import { requestLogger } from '../../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'admin/session');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { sessionId } = req.query;
+  if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+
+  try {
+    if (req.method === 'POST') {
+      const { action, refundTo } = req.body || {};
+      log.info('Admin action', { admin: admin.wallet, action, sessionId });
+      const { code, body } = await runAdminAction(sessionId, action, { refundTo, admin, log });
+      return res.status(code).json(body);
+    }
+
+    const session = await loadSession(sessionId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const { claimTokenHash, ...record } = session;
+    return res.status(200).json({
+      session: record,
+      view: describeSession(session),
+      events: await getEvents(sessionId),
+    });
+
+  } catch (err) {
+    log.error('Admin session error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,76 @@
+// api/checkout.js
+// POST /api/checkout  { sessionId, claimToken, account }
+// In-browser wallet checkout: builds the payment transfer from the connected wallet
+// (`account`) to the session's payment address, for the wallet to sign and send.
+// Follows the Solana Pay transaction-request shape: returns { transaction, message }.
+// Session ids are public (the payment memo), so only the claim token holder may check out.
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection, getTokenBalance } from '../lib/solana.js';
+import { buildTransferTransaction } from '../lib/solana-pay.js';
+import { checkClaimToken } from '../lib/recipient.js';
+import { STATUS, paymentMint, loadSession, saveSession, withSessionLock } from '../lib/sessions.js';
+import { requestLogger } from '../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'checkout');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, claimToken, account } = req.body || {};
+    if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+    if (!account)   return res.status(400).json({ error: 'Missing account' });
+
+    let payer;
+    try { payer = new PublicKey(account); } catch {
+      return res.status(400).json({ error: 'Invalid account' });
+    }
+
+    const { locked, result } = await withSessionLock(sessionId, async () => {
+      const session = await loadSession(sessionId);
+      if (!session) return { code: 404, body: { error: 'Session not found or expired' } };
+      if (!checkClaimToken(session, claimToken)) return { code: 401, body: { error: 'Unauthorized' } };
+      if (session.status !== STATUS.PENDING || Date.now() > session.expiresAt) {
+        return { code: 409, body: { error: `Session is ${session.status}, not awaiting payment` } };
+      }
+
+      const connection = getConnection();
+      const mint = paymentMint(session);
+      const payerBalance = await getTokenBalance(connection, payer, mint);
+      if (payerBalance < session.requiredAmount) {
+        return { code: 400, body: { error: `Not enough ${session.price.token} in the connected wallet` } };
+      }
+
+      const tx = await buildTransferTransaction(connection, {
+        payer: payer.toBase58(),
+        recipient: session.paymentAddress,
+        amount: session.requiredAmount,
+        mint,
+        decimals: session.price.decimals,
+        reference: session.reference,
+        memo: sessionId,
+      });
+
+      // Only a candidate: the buyer may still cancel and pay from elsewhere, so
+      // lib/recipient.js trusts it once the payment is seen to come from it
+      session.checkoutWallet = payer.toBase58();
+      await saveSession(session);
+
+      return {
+        code: 200,
+        body: {
+          transaction: tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+          message: 'Lossy mint payment',
+        },
+      };
+    });
+
+    if (!locked) return res.status(409).json({ error: 'Session busy, try again' });
+    return res.status(result.code).json(result.body);
+
+  } catch (err) {
+    log.error('Checkout error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,56 @@
+// api/claim.js
+// POST /api/claim  { sessionId, claimToken, wallet }
+// Sets the wallet that receives the NFT. Works any time before minting starts —
+// to send a Lossy as a gift — and is how a session in `needs_recipient` (paid,
+// but the payer couldn't be trusted as the buyer) is released to mint.
+// claimToken is the one returned by POST /api/session.
+
+import { normalizeWallet, checkClaimToken } from '../lib/recipient.js';
+import { STATUS, loadSession, saveSession, withSessionLock } from '../lib/sessions.js';
+import { processSession, describeSession } from '../lib/mint.js';
+import { requestLogger } from '../lib/log.js';
+
+// Past these, the NFT's owner is already decided
+const CLAIMABLE = [STATUS.PENDING, STATUS.PAID, STATUS.NEEDS_RECIPIENT];
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'claim');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, claimToken, wallet } = req.body || {};
+    if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+
+    const recipient = normalizeWallet(wallet);
+    if (!recipient) return res.status(400).json({ error: 'Invalid wallet address' });
+
+    const { locked, result } = await withSessionLock(sessionId, async () => {
+      const session = await loadSession(sessionId);
+      if (!session) return { code: 404, body: { error: 'Session not found or expired' } };
+      if (!checkClaimToken(session, claimToken)) return { code: 401, body: { error: 'Unauthorized' } };
+      if (!CLAIMABLE.includes(session.status)) {
+        return { code: 409, body: { error: `Session is ${session.status}; recipient can no longer change` } };
+      }
+
+      session.recipientWallet = recipient;
+      await saveSession(session);
+      return { code: 200 };
+    });
+
+    if (!locked) return res.status(409).json({ error: 'Session busy, try again' });
+    if (result.code !== 200) return res.status(result.code).json(result.body);
+
+    // A paid session can mint right away now that it has a recipient
+    const { session, busy } = await processSession(sessionId, { log });
+    return res.status(200).json({
+      success: true,
+      recipientWallet: recipient,
+      ...describeSession(session, { busy }),
+    });
+
+  } catch (err) {
+    log.error('Claim error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
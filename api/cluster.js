@@ -0,0 +1,22 @@
+// api/cluster.js
+// GET /api/cluster
+// The cluster this deployment runs on, for pages that talk to Solana
+// directly (verify-creator.html) or link to it: public RPC, explorer
+// suffix, token mints and collection. See lib/cluster.js.
+
+import { publicClusterInfo } from '../lib/cluster.js';
+import { requestLogger } from '../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'cluster');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(publicClusterInfo());
+  } catch (err) {
+    log.error('Cluster error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
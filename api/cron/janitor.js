@@ -0,0 +1,44 @@
+// api/cron/janitor.js
+// GET /api/cron/janitor  (Vercel Cron, hourly)
+// Reclaims funding SOL, token account rent and dust from session wallets that
+// are done with — see lib/janitor.js — and unpins uploads no session was
+// created for (lib/uploads.js). Responds with a report of SOL recovered and
+// files unpinned; ?dryRun=true reports what would be done without doing it.
+
+import { withLock } from '../../lib/redis.js';
+import { getConnection } from '../../lib/solana.js';
+import { runJanitor } from '../../lib/janitor.js';
+import { unpinUnattachedUploads } from '../../lib/uploads.js';
+import { isCronRequest } from '../../lib/cron.js';
+import { requestLogger } from '../../lib/log.js';
+
+const TIME_BUDGET_MS = 40_000;
+const UNPIN_TIME_BUDGET_MS = 10_000;
+const RUN_LOCK_TTL   = 90;
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'cron/janitor');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const { locked, result } = await withLock('lock:janitor', RUN_LOCK_TTL, async () => {
+      const report = await runJanitor({ connection: getConnection(), timeBudgetMs: TIME_BUDGET_MS, dryRun, log });
+      report.uploads = await unpinUnattachedUploads({ timeBudgetMs: UNPIN_TIME_BUDGET_MS, dryRun, log });
+      return report;
+    });
+    if (!locked) {
+      return res.status(200).json({ skipped: true, reason: 'Janitor already running' });
+    }
+    return res.status(200).json(result);
+
+  } catch (err) {
+    log.error('Janitor error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
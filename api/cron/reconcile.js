@@ -0,0 +1,93 @@
+// api/cron/reconcile.js
+// GET /api/cron/reconcile  (Vercel Cron, every minute)
+// Walks every open session and drives it forward server-side: detects payment,
+// mints, sweeps, expires and refunds — so a buyer who closes the tab after paying
+// still gets their NFT. Safe to run twice: the run itself and every session are locked.
+
+import { redis, withLock } from '../../lib/redis.js';
+import { ACTIVE_SESSIONS_KEY, loadSession, isTerminal, isDormant } from '../../lib/sessions.js';
+import { processSession } from '../../lib/mint.js';
+import { isCronRequest } from '../../lib/cron.js';
+import { requestLogger } from '../../lib/log.js';
+
+// Stop picking up new sessions before the function's own time limit
+const TIME_BUDGET_MS = 50_000;
+const RUN_LOCK_TTL   = 90;
+
+// Expired/refunded sessions only need an occasional look for stray payments
+const DORMANT_RECHECK = 60 * 5;
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'cron/reconcile');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { locked, result } = await withLock('lock:reconciler', RUN_LOCK_TTL, () => reconcile(log));
+    if (!locked) {
+      return res.status(200).json({ skipped: true, reason: 'Reconciler already running' });
+    }
+    return res.status(200).json(result);
+
+  } catch (err) {
+    log.error('Reconcile error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function reconcile(log) {
+  const startedAt = Date.now();
+  const sessionIds = (await redis.smembers(ACTIVE_SESSIONS_KEY)) || [];
+
+  const report = {
+    open: sessionIds.length,
+    checked: 0,
+    busy: 0,
+    closed: 0,
+    statuses: {},
+    errors: [],
+    deferred: 0,
+  };
+
+  for (const sessionId of sessionIds) {
+    if (Date.now() - startedAt > TIME_BUDGET_MS) {
+      report.deferred = sessionIds.length - report.checked;
+      break;
+    }
+    report.checked++;
+
+    try {
+      const existing = await loadSession(sessionId);
+      if (!existing || isTerminal(existing)) {
+        // Record aged out of Redis, or nothing left to do
+        await redis.srem(ACTIVE_SESSIONS_KEY, sessionId);
+        report.closed++;
+        continue;
+      }
+
+      if (isDormant(existing) && !(await redis.setNx(`recheck:${sessionId}`, '1', DORMANT_RECHECK))) {
+        continue;
+      }
+
+      const { session, busy } = await processSession(sessionId, { log });
+      if (busy) report.busy++;
+      if (!session) continue;
+
+      report.statuses[session.status] = (report.statuses[session.status] || 0) + 1;
+      if (isTerminal(session)) {
+        await redis.srem(ACTIVE_SESSIONS_KEY, sessionId);
+        report.closed++;
+      }
+    } catch (err) {
+      log.error('Reconcile session error', { sessionId, err });
+      report.errors.push({ sessionId, error: err.message });
+    }
+  }
+
+  report.durationMs = Date.now() - startedAt;
+  return report;
+}
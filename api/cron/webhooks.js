@@ -0,0 +1,56 @@
+// api/cron/webhooks.js
+// GET /api/cron/webhooks  (Vercel Cron, every minute)
+// Retries webhook deliveries that are due (see lib/webhooks.js), and sends
+// master.low_balance when the master wallet drops below MASTER_LOW_BALANCE_SOL
+// (default 0.1).
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { withLock } from '../../lib/redis.js';
+import { getMasterKeypair } from '../../lib/wallet.js';
+import { getConnection } from '../../lib/solana.js';
+import { drainRetries, alertLowBalance, webhookEndpoints } from '../../lib/webhooks.js';
+import { isCronRequest } from '../../lib/cron.js';
+import { requestLogger } from '../../lib/log.js';
+
+const TIME_BUDGET_MS = 50_000;
+const RUN_LOCK_TTL   = 90;
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'cron/webhooks');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!webhookEndpoints().length) {
+    return res.status(200).json({ skipped: true, reason: 'No webhook endpoints configured' });
+  }
+
+  try {
+    const { locked, result } = await withLock('lock:webhooks', RUN_LOCK_TTL, async () => {
+      const report = await drainRetries({ timeBudgetMs: TIME_BUDGET_MS, log });
+      report.masterSol = await checkMasterBalance(log);
+      return report;
+    });
+    if (!locked) {
+      return res.status(200).json({ skipped: true, reason: 'Webhook run already in progress' });
+    }
+    return res.status(200).json(result);
+
+  } catch (err) {
+    log.error('Webhooks cron error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+async function checkMasterBalance(log) {
+  const threshold = Number(process.env.MASTER_LOW_BALANCE_SOL) > 0 ? Number(process.env.MASTER_LOW_BALANCE_SOL) : 0.1;
+  const masterKeypair = await getMasterKeypair();
+  const solBalance = (await getConnection().getBalance(masterKeypair.publicKey)) / LAMPORTS_PER_SOL;
+  if (solBalance < threshold) {
+    await alertLowBalance({ address: masterKeypair.publicKey.toBase58(), solBalance, reason: 'below_threshold' }, log);
+  }
+  return solBalance;
+}
@@ -0,0 +1,99 @@
+// api/events/[sessionId].js
+// GET /api/events/:sessionId  — Server-Sent Events
+// Pushes the session's status (same shape as /api/poll) whenever it changes:
+//
+//   event: status   data: { status, receivedAmount, ... }
+//   event: end      the status is final — close the stream
+//
+// Read-only: this only watches the session record. The pipeline runs in
+// /api/worker, kicked from here while the buyer is waiting (lib/worker.js).
+// Each stream lasts STREAM_MS; EventSource reconnects on its own.
+// ?signature=<tx> — passed on to the worker, as with /api/poll.
+
+import { loadSession } from '../../lib/sessions.js';
+import { describeSession } from '../../lib/mint.js';
+import { kickSession, needsWork } from '../../lib/worker.js';
+import { requestLogger } from '../../lib/log.js';
+
+const STREAM_MS    = 25_000;
+const CHECK_MS     = 1_500;
+const KEEPALIVE_MS = 15_000;
+
+// Statuses the front end stops watching at
+const FINAL = ['minted', 'needs_funding', 'refunded', 'refund_pending', 'expired'];
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'events');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { sessionId } = req.query;
+  if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+
+  const signature = typeof req.query.signature === 'string' && /^[1-9A-HJ-NP-Za-km-z]{64,88}$/.test(req.query.signature)
+    ? req.query.signature
+    : null;
+
+  try {
+    const first = await loadSession(sessionId);
+    if (!first) return res.status(404).json({ error: 'Session not found or expired' });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 2000\n\n');
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const startedAt = Date.now();
+    let lastSent = null;
+    let lastWrite = Date.now();
+    let session = first;
+
+    while (!closed && Date.now() - startedAt < STREAM_MS) {
+      if (!session) {
+        send(res, 'status', { error: 'Session not found or expired' });
+        send(res, 'end', {});
+        break;
+      }
+
+      const view = describeSession(session);
+      const serialized = JSON.stringify(view);
+      if (serialized !== lastSent) {
+        send(res, 'status', view);
+        lastSent = serialized;
+        lastWrite = Date.now();
+      }
+      if (FINAL.includes(view.status)) {
+        send(res, 'end', { status: view.status });
+        break;
+      }
+
+      if (needsWork(session)) await kickSession(sessionId, { signature, log });
+
+      if (Date.now() - lastWrite > KEEPALIVE_MS) {
+        res.write(': keepalive\n\n');
+        lastWrite = Date.now();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, CHECK_MS));
+      if (!closed) session = await loadSession(sessionId);
+    }
+
+    res.end();
+
+  } catch (err) {
+    log.error('Events error', { sessionId, err });
+    if (!res.headersSent) return res.status(500).json({ error: err.message });
+    // Mid-stream: just close — EventSource reconnects
+    res.end();
+  }
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -1,37 +1,65 @@
 // api/health.js
+// GET /api/health
+// Readiness for uptime monitors: live checks of config, Redis, the RPC, the
+// master wallet's SOL, storage and the collection (lib/health.js), each with
+// a machine-readable status. 200 when ok or degraded, 503 when any check fails.
+// Never echoes secrets.
+
+import { runHealthChecks } from '../lib/health.js';
+import { configuredRedisBackend } from '../lib/redis-backends/index.js';
+import { configuredStorage } from '../lib/storage/index.js';
+import { configuredMintBackend } from '../lib/mint-backends/index.js';
+import { getCluster } from '../lib/cluster.js';
+import { requestLogger } from '../lib/log.js';
+
+function configured(fn) {
+  try { return fn(); } catch (err) { return { error: err.message }; }
+}
+
 export default async function handler(req, res) {
-  const checks = {
-    seedPhrase:       !!process.env.MASTER_SEED_PHRASE,
-    solanaRpc:        !!process.env.SOLANA_RPC_URL,
-    nftStorage:       !!process.env.NFT_STORAGE_KEY,
-    personalWallet:   !!process.env.PERSONAL_WALLET_PUBLIC_KEY,
-    upstashUrl:       !!process.env.dayafterday_KV_REST_API_URL,
-    upstashToken:     !!process.env.dayafterday_KV_REST_API_TOKEN,
-  };
+  const log = requestLogger(req, res, 'health');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-  const allOk = Object.values(checks).every(Boolean);
+  res.setHeader('Cache-Control', 'no-store');
 
-  // Try Redis ping
-  let redisPing = false;
   try {
-    const { redis } = await import('../lib/redis.js');
-    await redis.set('health-ping', '1', 10);
-    const val = await redis.get('health-ping');
-    redisPing = val === '1';
-  } catch {}
+    const { status, checks } = await runHealthChecks();
+    if (status !== 'ok') log.warn('Health check not ok', { status, failing: Object.keys(checks).filter(k => checks[k].status !== 'ok') });
+
+    return res.status(status === 'down' ? 503 : 200).json({
+      status,
+      checkedAt: new Date().toISOString(),
+      project: 'Day After Day',
+      artist: 'lampwrecked',
+      year: 2026,
+      checks,
+      cluster: configured(() => getCluster().name),
+      redisBackend: configured(configuredRedisBackend),
+      storageBackend: configured(configuredStorage),
+      mintBackend: configured(configuredMintBackend),
+      endpoints: [
+        'POST /api/upload    — upload media to storage (IPFS or Arweave)',
+        'GET  /api/price?outputType= — price quotes in each accepted token',
+        'GET  /api/cluster   — cluster, public RPC, token mints and collection',
+        'POST /api/session   — create mint session + unique payment address',
+        'POST /api/address   — create the payment token account before a manual transfer',
+        'GET  /api/events/:id — status stream (SSE); the mint runs in /api/worker/:id',
+        'GET  /api/poll/:id  — status (fallback for the stream); the mint runs in /api/worker/:id',
+        'GET  /api/ghost     — random earlier mint for the export ghost layer',
+        'GET  /api/proxy-image?url= — same-origin proxy for IPFS ghost images',
+        'GET  /api/storage/:cid — files from the local storage backend (development)',
+        'GET  /api/cron/reconcile — (cron) drive open sessions: mint, sweep, expire',
+        'GET  /api/cron/janitor   — (cron) reclaim rent and stranded SOL from finished session wallets',
+        'GET  /api/cron/webhooks  — (cron) retry failed webhook deliveries, alert on low master balance',
+        'POST /api/admin/nonce, /api/admin/login — admin wallet sign-in (see /admin)',
+        'GET  /api/admin/overview, /sessions, /sessions/:id, /revenue — admin dashboard (POST /sessions/:id for actions)',
+        'GET  /api/health    — this endpoint',
+      ],
+    });
 
-  res.status(allOk ? 200 : 500).json({
-    status: allOk ? 'ok' : 'degraded',
-    project: 'Day After Day',
-    artist: 'lampwrecked',
-    year: 2026,
-    checks,
-    redis: redisPing ? 'connected' : 'error',
-    endpoints: [
-      'POST /api/upload    — upload media to IPFS',
-      'POST /api/session   — create mint session + unique payment address',
-      'GET  /api/poll/:id  — poll payment status, auto-mint on confirmation',
-      'GET  /api/health    — this endpoint',
-    ],
-  });
+  } catch (err) {
+    log.error('Health check error', { err });
+    return res.status(500).json({ error: err.message });
+  }
 }
@@ -2,11 +2,19 @@
 // GET /api/master-address
 // Returns the public key of the master wallet derived from MASTER_SEED_PHRASE
 // Use this to know where to send SOL to fund minting operations
+// Admin only (Authorization: Bearer <admin token>) — see lib/admin-auth.js.
+
+import { requireAdmin } from '../lib/admin-auth.js';
+import { requestLogger } from '../lib/log.js';
 
 export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'master-address');
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
   try {
     const { getMasterKeypair } = await import('../lib/wallet.js');
     const masterKeypair = await getMasterKeypair();
@@ -29,7 +37,7 @@ export default async function handler(req, res) {
     });
 
   } catch (err) {
-    console.error('Master address error:', err);
+    log.error('Master address error', { err });
     return res.status(500).json({ error: err.message });
   }
 }
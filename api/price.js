@@ -0,0 +1,51 @@
+// api/price.js
+// GET /api/price?outputType=photo[&token=SOL][&code=DISCOUNT]
+// What minting an output costs, quoted in every accepted token (or just the
+// one asked for). Shown in the mint modal before a session is created; the
+// session then locks in its own quote.
+
+import { quotePrice, acceptedTokens, findDiscount } from '../lib/pricing.js';
+import { requestLogger } from '../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'price');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  // SOL quotes move with the market
+  res.setHeader('Cache-Control', 'no-store');
+
+  const { outputType, token, code } = req.query;
+  if (!outputType) return res.status(400).json({ error: 'Missing outputType' });
+
+  try {
+    const tokens = token ? [String(token).toUpperCase()] : acceptedTokens();
+    const quotes = [];
+    const unavailable = [];
+
+    for (const symbol of tokens) {
+      try {
+        quotes.push(await quotePrice({ outputType, token: symbol, discountCode: code }));
+      } catch (quoteErr) {
+        // A bad request fails outright; a rate lookup failure only drops that token
+        if (token || quoteErr.message.startsWith('Unknown outputType')) {
+          return res.status(400).json({ error: quoteErr.message });
+        }
+        log.error('Price quote error', { token: symbol, err: quoteErr });
+        unavailable.push(symbol);
+      }
+    }
+
+    return res.status(200).json({
+      outputType,
+      accepted: acceptedTokens(),
+      discount: findDiscount(code), // null if no code, or it isn't valid right now
+      quotes,
+      unavailable,
+    });
+
+  } catch (err) {
+    log.error('Price error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
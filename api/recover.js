@@ -1,84 +1,90 @@
 // api/recover.js
 // GET /api/recover?sessionId=sess_X_XXXX
 // Manually triggers mint for a session that received payment but didn't mint.
-// Safety: only works if session status is 'pending' or 'paid' and balance >= required.
+// Without a sessionId, lists recent session wallets holding any accepted token.
+// Safety: only mints if balance >= required; resumes a session stuck mid-mint.
+// Admin only (Authorization: Bearer <admin token>) — see lib/admin-auth.js.
+
+import { requireAdmin } from '../lib/admin-auth.js';
+import { requestLogger } from '../lib/log.js';
 
 export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'recover');
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-  const { sessionId, secret } = req.query;
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
 
-  // Basic auth — require a secret param to prevent abuse
-  if (secret !== process.env.RECOVER_SECRET && secret !== 'dayafterday2026') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  const { sessionId } = req.query;
 
   try {
     const { redis } = await import('../lib/redis.js');
-    const { getSessionKeypair, getMasterKeypair } = await import('../lib/wallet.js');
-    const { getConnection, getUsdcBalance, findUsdcSender, sweepUsdc, sweepSol, REQUIRED_USDC } = await import('../lib/solana.js');
+    const { getSessionKeypair } = await import('../lib/wallet.js');
+    const { getConnection, getTokenBalance } = await import('../lib/solana.js');
+    const { acceptedTokens, TOKENS } = await import('../lib/pricing.js');
+    const { loadSession, paymentMint } = await import('../lib/sessions.js');
+    const { processSession, describeSession } = await import('../lib/mint.js');
 
     let session = null;
 
-    // If no sessionId, scan recent sessions for any with USDC balance
+    // If no sessionId, scan recent sessions for a balance in any accepted token
     if (!sessionId) {
       const counter = await redis.get('day-after-day:session-counter');
       const total = parseInt(counter || '0');
+      const connection = getConnection();
+      const tokens = acceptedTokens().map(symbol => TOKENS[symbol]);
       const found = [];
 
       for (let i = Math.max(1, total - 20); i <= total; i++) {
-        const connection = getConnection();
         const kp = await getSessionKeypair(i);
-        const bal = await getUsdcBalance(connection, kp.publicKey);
-        if (bal > 0) {
-          found.push({ index: i, address: kp.publicKey.toBase58(), balance: bal });
+        const balances = {};
+        for (const token of tokens) {
+          // mint null = SOL, in lamports
+          const bal = await getTokenBalance(connection, kp.publicKey, token.mint);
+          if (bal > 0) balances[token.symbol] = bal;
+        }
+        if (Object.keys(balances).length) {
+          found.push({ index: i, address: kp.publicKey.toBase58(), balances });
         }
       }
 
-      return res.status(200).json({ scanned: total, walletsWithUsdc: found });
+      return res.status(200).json({ scanned: total, tokens: tokens.map(t => t.symbol), walletsWithBalance: found });
     }
 
     // Load specific session
-    session = await redis.getJson(`session:${sessionId}`);
+    session = await loadSession(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    if (session.status === 'minted') {
+    if (session.status === 'minted' || session.status === 'swept') {
       return res.status(200).json({ status: 'already minted', mintAddress: session.mintAddress });
     }
 
     const connection = getConnection();
     const sessionKeypair = await getSessionKeypair(session.sessionIndex);
-    const balance = await getUsdcBalance(connection, sessionKeypair.publicKey);
+    const balance = await getTokenBalance(connection, sessionKeypair.publicKey, paymentMint(session));
 
-    if (balance < REQUIRED_USDC) {
+    if (balance < session.requiredAmount) {
       return res.status(200).json({
         status: 'insufficient balance',
+        token: session.price.token,
         balance,
-        required: REQUIRED_USDC,
+        required: session.requiredAmount,
         address: sessionKeypair.publicKey.toBase58(),
       });
     }
 
-    // Trigger mint
-    const { default: pollHandler } = await import('./poll/[sessionId].js');
-    const fakeReq = { method: 'GET', query: { sessionId } };
-    const fakeRes = {
-      _data: null,
-      status(code) { this._code = code; return this; },
-      json(data) { this._data = data; return this; },
-      end() { return this; },
-    };
-
-    await pollHandler(fakeReq, fakeRes);
+    // Trigger mint — takes the same session lock as /api/worker and the
+    // reconciler, so neither can mint a second NFT for this payment
+    const { session: result, busy } = await processSession(sessionId, { log });
 
     return res.status(200).json({
-      triggered: true,
-      result: fakeRes._data,
+      triggered: !busy,
+      result: describeSession(result, { busy }),
     });
 
   } catch (err) {
-    console.error('Recover error:', err);
+    log.error('Recover error', { err });
     return res.status(500).json({ error: err.message });
   }
 }
@@ -2,85 +2,231 @@
 // POST /api/session
 // Called when user opens the mint window.
 // Creates a unique derived payment address for this specific output.
-// Returns sessionId + payment address + amount.
+// Returns sessionId + payment address + price quote, plus a Solana Pay transfer
+// request (URL + reference key) for wallets and the QR code.
+// Optional body fields: token ('USDC' | 'USDT' | 'SOL'), discountCode — see lib/pricing.js.
+// `metadata` must match SESSION_METADATA_SCHEMA (lib/metadata.js).
+// Requires the uploadToken /api/upload returned for metadata.fileUri, and is
+// rate limited per client and overall (lib/ratelimit.js). Refused outside the
+// mint window and once supply runs out; each session reserves a slot until it
+// mints or expires (lib/supply.js). Nothing is spent
+// from the master wallet here — see /api/address for when a token account
+// is created.
 
 import { redis } from '../lib/redis.js';
-import { getMasterKeypair, getSessionKeypair } from '../lib/wallet.js';
-import { getConnection, initUsdcAta, fundDerivedWallet, REQUIRED_USDC } from '../lib/solana.js';
-
-// Session expires after 30 minutes
-const SESSION_TTL = 60 * 30;
+import { getSessionKeypair } from '../lib/wallet.js';
+import { createReference, buildTransferRequestUrl } from '../lib/solana-pay.js';
+import { quotePrice, formatAmount } from '../lib/pricing.js';
+import { normalizeWallet, createClaimToken, RECIPIENT_MEMO_PREFIX } from '../lib/recipient.js';
+import { SESSION_TTL, STATUS, saveSession, indexSession } from '../lib/sessions.js';
+import { verifyUploadToken, consumeUploadToken } from '../lib/upload-token.js';
+import { validateSessionMetadata } from '../lib/metadata.js';
+import { attachUpload } from '../lib/uploads.js';
+import { mintWindow, checkSupply, reserveSupply, releaseSupply, MINT_WINDOW } from '../lib/supply.js';
+import {
+  clientId,
+  hit,
+  openSessionCount,
+  trackOpenSession,
+  tooManyRequests,
+  LIMITS,
+  MAX_OPEN_SESSIONS,
+} from '../lib/ratelimit.js';
+import { requestLogger } from '../lib/log.js';
+import { getCluster } from '../lib/cluster.js';
+import { recordEvent, EVENT } from '../lib/audit.js';
+import { emitWebhook, sessionPayload, WEBHOOK_EVENT } from '../lib/webhooks.js';
 
 export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'session');
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
   try {
     const {
       outputType,   // 'photo' | 'audio' | 'video'
-      metadata,     // { answers, mode, speed, zones, name }
+      metadata,     // { fileUri, outputType, mode, speed, answers, zones, timestamp, ghost }
+      recipientWallet, // optional — gift, or a wallet other than the one paying
+      token,        // optional — payment token, default USDC
+      discountCode, // optional
+      uploadToken,  // from POST /api/upload
     } = req.body;
 
     if (!outputType) return res.status(400).json({ error: 'Missing outputType' });
     if (!metadata)   return res.status(400).json({ error: 'Missing metadata' });
 
+    const problems = validateSessionMetadata(metadata);
+    if (problems.length) return res.status(400).json({ error: `Invalid metadata — ${problems[0]}`, problems });
+    if (metadata.outputType !== outputType) return res.status(400).json({ error: 'metadata.outputType does not match outputType' });
+
+    // Only inside the drop's mint window (lib/supply.js)
+    const window = mintWindow();
+    if (window.status === MINT_WINDOW.UPCOMING) {
+      return res.status(403).json({ error: `Minting opens ${new Date(window.opensAt).toISOString()}`, opensAt: window.opensAt });
+    }
+    if (window.status === MINT_WINDOW.CLOSED) {
+      return res.status(403).json({ error: 'Minting has closed', closesAt: window.closesAt });
+    }
+
+    // Sold out: refuse before the upload token, rate limits or a wallet index
+    // are used up. The atomic reservation below still has the final say.
+    const available = await checkSupply({ mode: metadata.mode, outputType });
+    if (!available.ok) {
+      return res.status(409).json({ error: soldOutMessage(available.exhausted), soldOut: available.exhausted });
+    }
+
+    // The file must be one this server stored, as this output type
+    const upload = verifyUploadToken(uploadToken);
+    if (!upload) return res.status(401).json({ error: 'Missing or expired upload token — upload the file again' });
+    if (upload.fileUri !== metadata.fileUri || upload.outputType !== outputType) {
+      return res.status(400).json({ error: 'Upload token does not match this file' });
+    }
+
+    const recipient = recipientWallet ? normalizeWallet(recipientWallet) : null;
+    if (recipientWallet && !recipient) {
+      return res.status(400).json({ error: 'Invalid recipientWallet' });
+    }
+
+    let price;
+    try {
+      price = await quotePrice({ outputType, token, discountCode });
+    } catch (quoteErr) {
+      return res.status(400).json({ error: quoteErr.message });
+    }
+    if (discountCode && !price.discount) {
+      return res.status(400).json({ error: 'Invalid or expired discount code' });
+    }
+
+    const client = clientId(req);
+    const perIp = await hit('session', client, LIMITS.sessionsPerIp);
+    if (!perIp.ok) return tooManyRequests(res, perIp.retryAfter, 'Too many sessions, try again later');
+    const overall = await hit('session', 'global', LIMITS.sessionsGlobal);
+    if (!overall.ok) return tooManyRequests(res, overall.retryAfter, 'Minting is busy, try again shortly');
+    if (await openSessionCount(client) >= MAX_OPEN_SESSIONS) {
+      return tooManyRequests(res, 60, 'Too many open mint sessions — pay for or wait out an existing one');
+    }
+    if (!(await consumeUploadToken(upload))) {
+      return res.status(429).json({ error: 'This upload has been used for too many sessions — upload it again' });
+    }
+    // Keeps the file pinned (unattached uploads are unpinned by the janitor)
+    if (upload.uploadId) await attachUpload(upload.uploadId);
+
     // Get next session index (atomic increment — never reuses an address)
     const sessionIndex = await redis.incr('day-after-day:session-counter');
 
     // Derive unique keypair for this session
-    const masterKeypair  = await getMasterKeypair();
     const sessionKeypair = await getSessionKeypair(sessionIndex);
     const paymentAddress = sessionKeypair.publicKey.toBase58();
 
     // Build session record
     const sessionId = `sess_${sessionIndex}_${Date.now()}`;
+    const claim = createClaimToken();
+
+    // Solana Pay: the reference key is attached to the payment transfer,
+    // so the payment can be found by reference rather than by balance
+    const reference = createReference().toBase58();
+    const solanaPayUrl = buildTransferRequestUrl({
+      recipient: paymentAddress,
+      amount: formatAmount(price.amount, price.decimals),
+      splToken: price.mint,     // omitted for native SOL
+      reference,
+      label: 'Lossy',
+      message: `Mint your Lossy ${outputType}`,
+      memo: sessionId,
+    });
     const session = {
       sessionId,
       sessionIndex,
       paymentAddress,
+      reference,
+      solanaPayUrl,
       outputType,
       metadata,
-      status: 'pending',        // pending → paid → minted → swept
+      fileType: upload.fileType || null, // MIME type of the stored file
+      supply: null,             // the supply slot it holds (lib/supply.js)
+      status: STATUS.PENDING,   // see the state machine in lib/sessions.js
       createdAt: Date.now(),
       expiresAt: Date.now() + SESSION_TTL * 1000,
-      requiredUsdc: REQUIRED_USDC,
+      price,                    // the quote the buyer was shown — what they owe
+      requiredAmount: price.amount, // raw units of price.token
+      receivedAmount: 0,
+      recipientWallet: recipient, // explicit recipient, if given (or set later via /api/claim)
+      claimTokenHash: claim.hash,
       buyerWallet: null,        // filled in when payment detected
       mintAddress: null,        // filled in after mint
       mintSignature: null,
       sweepSignature: null,
+      steps: {},                // completed pipeline steps, for resumable retries
+      history: [],              // status transitions
     };
 
-    // Store session in Redis
-    await redis.set(`session:${sessionId}`, session, SESSION_TTL);
-    // Also index by payment address for fast polling lookup
-    await redis.set(`address:${paymentAddress}`, sessionId, SESSION_TTL);
+    // Reserve last, so nothing that can fail before the session is stored
+    // and indexed (and so will expire and release it) can strand the slot
+    const reservation = await reserveSupply({ mode: metadata.mode, outputType });
+    if (!reservation.ok) {
+      return res.status(409).json({ error: soldOutMessage(reservation.exhausted), soldOut: reservation.exhausted });
+    }
+    session.supply = { reserved: true, scopes: reservation.scopes, reservedAt: Date.now() };
 
-    // Fund the derived wallet with SOL so it can receive USDC
-    // This initializes the Associated Token Account
-    const connection = getConnection();
     try {
-      await fundDerivedWallet(connection, masterKeypair, sessionKeypair.publicKey);
-      await initUsdcAta(connection, masterKeypair, sessionKeypair);
-    } catch (fundErr) {
-      console.error('ATA init error:', fundErr);
-      // Non-fatal — wallet may already be funded or RPC hiccup
-      // Session still valid, USDC may still arrive
+      // Store session in Redis
+      await saveSession(session);
+      // Also index by payment address and reference for fast lookup
+      await redis.set(`address:${paymentAddress}`, sessionId, SESSION_TTL);
+      await redis.set(`reference:${reference}`, sessionId, SESSION_TTL);
+      // Hand it to the reconciler so payment is picked up even if the tab closes
+      await indexSession(session);
+    } catch (storeErr) {
+      await releaseSupply(session);
+      // Best effort: a record that did get stored mustn't release the slot again
+      await saveSession(session).catch(() => {});
+      throw storeErr;
     }
+    await trackOpenSession(client, sessionId, session.expiresAt);
+    await recordEvent(sessionId, EVENT.CREATED, {
+      outputType,
+      token: price.token,
+      requiredAmount: price.amount,
+      amountDisplay: price.amountDisplay,
+      discount: price.discount?.code || null,
+      paymentAddress,
+      recipientWallet: recipient,
+      fileUri: metadata.fileUri,
+    }, log);
+    await emitWebhook(WEBHOOK_EVENT.SESSION_CREATED, sessionPayload(session), log);
+
+    // The derived wallet is not funded. Solana Pay and in-browser checkout
+    // payers create its token account themselves; for a manual transfer the
+    // front end asks /api/address to create it just before showing the address.
 
     return res.status(200).json({
       success: true,
       sessionId,
       paymentAddress,
-      requiredUsdc: REQUIRED_USDC,
-      amountDisplay: '$2.25 USDC',
+      reference,
+      solanaPayUrl,
+      claimToken: claim.token,
+      recipientWallet: recipient,
+      recipientMemo: `${RECIPIENT_MEMO_PREFIX}<your wallet address>`,
+      token: price.token,
+      tokenMint: price.mint,
+      decimals: price.decimals,
+      requiredAmount: price.amount,
+      priceUsd: price.usd,
+      discount: price.discount,
+      amountDisplay: price.amountDisplay,
       expiresAt: session.expiresAt,
-      network: 'solana-mainnet',
-      usdcMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-      note: 'Include session ID in transaction memo for fastest processing',
+      network: getCluster().network,
     });
 
   } catch (err) {
-    console.error('Session creation error:', err);
+    log.error('Session creation error', { err });
     return res.status(500).json({ error: err.message });
   }
 }
+
+function soldOutMessage(scope) {
+  if (scope.startsWith('mode:')) return `Sold out — no ${scope.slice(5)} editions left`;
+  if (scope.startsWith('output:')) return `Sold out — no ${scope.slice(7)} editions left`;
+  return 'Sold out';
+}
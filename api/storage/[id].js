@@ -0,0 +1,33 @@
+// api/storage/[id].js
+// GET /api/storage/:cid  (also /ipfs/:cid — see vercel.json)
+// Serves files stored by the local or memory storage backend, standing in for
+// an IPFS gateway in development and tests. 404 for every other backend.
+
+import { configuredStorage, loadStorage, isLocalStorage } from '../../lib/storage/index.js';
+import { requestLogger } from '../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'storage');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const backend = configuredStorage();
+    if (!isLocalStorage(backend)) return res.status(404).json({ error: 'Not found' });
+
+    const storage = await loadStorage(backend);
+    const file = await storage.get(String(req.query.id || ''));
+    if (!file) return res.status(404).json({ error: 'Not found' });
+
+    // Content-addressed, so it never changes under the same id
+    res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+    res.setHeader('Content-Length', String(file.bytes.length));
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.status(200).end(file.bytes);
+
+  } catch (err) {
+    log.error('Storage read error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,23 @@
+// api/supply.js
+// GET /api/supply
+// How many have minted against the cap ("142 / 500" in the mint modal), open
+// reservations, what's left — in total and per mode and output type — and
+// the mint window. remaining and maxSupply are null where there's no cap.
+// See lib/supply.js.
+
+import { supplySnapshot } from '../lib/supply.js';
+import { requestLogger } from '../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'supply');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(await supplySnapshot());
+  } catch (err) {
+    log.error('Supply error', { err });
+    return res.status(500).json({ error: err.message });
+  }
+}
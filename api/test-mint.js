@@ -1,15 +1,28 @@
 // api/test-mint.js
 // GET /api/test-mint
 // Creates a session and immediately triggers mint without payment.
-// REMOVE THIS FILE before going live to the public.
+// Admin only, and disabled unless ALLOW_TEST_MINT=true on a non-production
+// deployment — see lib/admin-auth.js.
+
+import { requireAdmin, isTestMintEnabled } from '../lib/admin-auth.js';
+import { requestLogger } from '../lib/log.js';
 
 export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'test-mint');
   if (req.method === 'OPTIONS') return res.status(200).end();
 
+  if (!isTestMintEnabled()) {
+    return res.status(404).json({ error: 'Test minting is disabled' });
+  }
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
   try {
     const { redis } = await import('../lib/redis.js');
     const { getMasterKeypair, getSessionKeypair } = await import('../lib/wallet.js');
-    const { getConnection, fundDerivedWallet, initUsdcAta, REQUIRED_USDC } = await import('../lib/solana.js');
+    const { quotePrice } = await import('../lib/pricing.js');
+    const { SESSION_TTL, STATUS, saveSession, indexSession } = await import('../lib/sessions.js');
+    const { processSession, describeSession } = await import('../lib/mint.js');
 
     // Create a test session
     const sessionIndex = await redis.incr('day-after-day:session-counter');
@@ -18,49 +31,48 @@ export default async function handler(req, res) {
     const paymentAddress = sessionKeypair.publicKey.toBase58();
 
     const sessionId = `sess_${sessionIndex}_${Date.now()}`;
+    const price = await quotePrice({ outputType: 'photo', token: 'USDC' });
     const session = {
       sessionId,
       sessionIndex,
       paymentAddress,
       outputType: 'photo',
+      fileType: 'image/jpeg',
       metadata: {
+        outputType: 'photo',
         mode: 'ember',
         speed: 1.0,
-        fileUri: 'https://gateway.pinata.cloud/ipfs/bafkreigb4doitxxcdanajpe73f4bl7d3pn4iejt2vbpna4freziluvixyq',
-        answers: { test: 'true' },
+        fileUri: 'ipfs://bafkreigb4doitxxcdanajpe73f4bl7d3pn4iejt2vbpna4freziluvixyq',
+        answers: { mode: 0 },
       },
-      status: 'pending',
+      status: STATUS.PENDING,
       createdAt: Date.now(),
-      expiresAt: Date.now() + 60 * 30 * 1000,
-      requiredUsdc: REQUIRED_USDC,
+      expiresAt: Date.now() + SESSION_TTL * 1000,
+      price,
+      requiredAmount: price.amount,
+      receivedAmount: 0,
       buyerWallet: masterKeypair.publicKey.toBase58(),
       mintAddress: null,
       mintSignature: null,
       sweepSignature: null,
+      steps: {},
+      history: [],
     };
 
-    await redis.set(`session:${sessionId}`, session, 60 * 30);
-
-    // Immediately trigger mint via poll handler with test mode
-    const { default: pollHandler } = await import('./poll/[sessionId].js');
-    const fakeReq = { method: 'GET', query: { sessionId, test: 'true' } };
-    const fakeRes = {
-      _code: 200, _data: null,
-      status(c) { this._code = c; return this; },
-      json(d) { this._data = d; return this; },
-      end() { return this; },
-    };
+    await saveSession(session);
+    await indexSession(session);
 
-    await pollHandler(fakeReq, fakeRes);
+    // Immediately drive the mint in test mode (payment check skipped)
+    const { session: result, busy } = await processSession(sessionId, { testMode: true, log });
 
-    return res.status(fakeRes._code).json({
+    return res.status(200).json({
       sessionId,
       paymentAddress,
-      mintResult: fakeRes._data,
+      mintResult: describeSession(result, { busy }),
     });
 
   } catch (err) {
-    console.error('Test mint error:', err);
+    log.error('Test mint error', { err });
     return res.status(500).json({ error: err.message });
   }
 }
@@ -1,83 +1,85 @@
 // api/upload.js
 // POST /api/upload
-// Uploads media to Pinata (IPFS) — reliable free tier
-// Returns IPFS URI for NFT metadata
+// Stores media with the configured storage backend (lib/storage — Pinata by default)
+// Returns its storage URI (ipfs://… or ar://…) for NFT metadata and a gateway
+// URL for display, plus an upload token that POST /api/session requires as
+// proof the file was uploaded here.
+// Only Lossy outputs are accepted — type sniffed from the bytes, size and
+// duration capped per output type — and identical files are stored once.
+// See lib/uploads.js, which also unpins uploads no session was created for.
+
+import { clientId, hit, tooManyRequests, LIMITS } from '../lib/ratelimit.js';
+import { issueUploadToken } from '../lib/upload-token.js';
+import { requestLogger } from '../lib/log.js';
+import { storeFile, gatewayUrl } from '../lib/storage/index.js';
+import { inspectUpload, sha256Hex, findDuplicateUpload, recordUpload, MAX_UPLOAD_BYTES } from '../lib/uploads.js';
 
 export const config = {
   api: { bodyParser: false },
 };
 
 export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'upload');
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
   try {
-    const pinataJwt = (process.env.PINATA_JWT || '').trim();
-    if (!pinataJwt) throw new Error('PINATA_JWT not configured');
+    const limited = await hit('upload', clientId(req), LIMITS.uploadsPerIp);
+    if (!limited.ok) return tooManyRequests(res, limited.retryAfter, 'Too many uploads, try again later');
 
     // Parse multipart form data
     const { IncomingForm } = await import('formidable');
-    const form = new IncomingForm({ maxFileSize: 150 * 1024 * 1024 });
-
-    const { files, fields } = await new Promise((resolve, reject) => {
-      form.parse(req, (err, fields, files) => {
-        if (err) reject(err);
-        else resolve({ files, fields });
-      });
-    });
+    const form = new IncomingForm({ maxFileSize: MAX_UPLOAD_BYTES, maxFiles: 1 });
+
+    let files, fields;
+    try {
+      ({ files, fields } = await new Promise((resolve, reject) => {
+        form.parse(req, (err, fields, files) => {
+          if (err) reject(err);
+          else resolve({ files, fields });
+        });
+      }));
+    } catch (parseErr) {
+      if (parseErr.httpCode === 413) return res.status(413).json({ error: 'File too large' });
+      throw parseErr;
+    }
 
     const file = Array.isArray(files.file) ? files.file[0] : files.file;
-    if (!file) throw new Error('No file provided');
+    if (!file) return res.status(400).json({ error: 'No file provided' });
 
     const fs = await import('fs');
     const fileBuffer = fs.readFileSync(file.filepath);
-    const mimeType = file.mimetype || 'video/webm';
-    const outputType = Array.isArray(fields.outputType)
-      ? fields.outputType[0]
-      : (fields.outputType || 'video');
-
-    const ext = mimeType.split('/')[1]?.split(';')[0] || 'bin';
-    const filename = `day-after-day-${Date.now()}.${ext}`;
-
-    // Upload to Pinata via their pinFileToIPFS endpoint
-    const formData = new FormData();
-    const blob = new Blob([fileBuffer], { type: mimeType });
-    formData.append('file', blob, filename);
-    formData.append('pinataMetadata', JSON.stringify({
-      name: filename,
-      keyvalues: { project: 'day-after-day', artist: 'lampwrecked' }
-    }));
-    formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
-
-    const pinRes = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${pinataJwt}` },
-      body: formData,
-    });
-
-    const pinData = await pinRes.json();
-    console.log('Pinata response:', JSON.stringify(pinData).slice(0, 200));
+    try { fs.unlinkSync(file.filepath); } catch {}
 
-    if (!pinData.IpfsHash) {
-      throw new Error('Pinata upload failed: ' + JSON.stringify(pinData));
+    const outputType = Array.isArray(fields.outputType) ? fields.outputType[0] : fields.outputType;
+    const inspected = inspectUpload(fileBuffer, outputType);
+    if (inspected.error) return res.status(inspected.status).json({ error: inspected.error });
+    const mimeType = inspected.fileType;
+
+    // The same export uploaded again reuses the stored file
+    const sha256 = sha256Hex(fileBuffer);
+    let upload = await findDuplicateUpload(sha256);
+    if (upload) {
+      log.info('Duplicate upload', { uploadId: upload.id, outputType });
+    } else {
+      const ext = mimeType === 'image/jpeg' ? 'jpg' : mimeType.split('/')[1];
+      const stored = await storeFile(fileBuffer, { name: `day-after-day-${Date.now()}.${ext}`, contentType: mimeType });
+      log.info('Upload stored', { backend: stored.backend, uri: stored.uri });
+      upload = await recordUpload({ stored, fileType: mimeType, outputType, sha256, size: fileBuffer.length });
     }
 
-    const cid = pinData.IpfsHash;
-    const fileUri = `https://gateway.pinata.cloud/ipfs/${cid}`;
-
-    // Clean up temp file
-    try { fs.unlinkSync(file.filepath); } catch {}
-
     return res.status(200).json({
       success: true,
-      fileUri,
-      cid,
+      fileUri: upload.fileUri,
+      fileUrl: gatewayUrl(upload.fileUri),
+      uploadId: upload.id,
       mimeType,
       outputType,
+      uploadToken: issueUploadToken({ fileUri: upload.fileUri, outputType, fileType: mimeType, uploadId: upload.id }),
     });
 
   } catch (err) {
-    console.error('Upload error:', err);
+    log.error('Upload error', { err });
     return res.status(500).json({ error: err.message });
   }
 }
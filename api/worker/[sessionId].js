@@ -0,0 +1,33 @@
+// api/worker/[sessionId].js
+// POST /api/worker/:sessionId  { signature? }
+// Internal: runs the mint pipeline for one session (lib/worker.js kicks it
+// from the /api/events stream). Same auth as the cron jobs.
+
+import { processSession, describeSession } from '../../lib/mint.js';
+import { isCronRequest } from '../../lib/cron.js';
+import { requestLogger } from '../../lib/log.js';
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, 'worker');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { sessionId } = req.query;
+  if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+
+  try {
+    const { signature = null } = req.body || {};
+    const { session, busy } = await processSession(sessionId, { signature, log });
+    if (!session) return res.status(404).json({ error: 'Session not found or expired' });
+
+    return res.status(200).json(describeSession(session, { busy }));
+
+  } catch (err) {
+    log.error('Worker error', { sessionId, err });
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,129 @@
+// lib/admin-auth.js
+// Admin sign-in for operational endpoints (recover, test mint, collection
+// setup, master wallet, dashboard).
+//
+//   1. POST /api/admin/nonce  { wallet }  → a one-time message to sign
+//   2. the wallet signs it (signMessage) — must be on the allowlist
+//   3. POST /api/admin/login  { wallet, nonce, signature } → short-lived token
+//   4. send `Authorization: Bearer <token>` to admin endpoints
+//
+// Config:
+//   ADMIN_WALLETS    comma list of admin wallets, default the creator wallet
+//   ALLOW_TEST_MINT  'true' enables /api/test-mint — never in production
+
+import { createHash, createPublicKey, randomBytes, verify } from 'node:crypto';
+import { PublicKey } from '@solana/web3.js';
+import { redis } from './redis.js';
+
+const CREATOR_WALLET = 'FrstHD18pJsFRatk2hnfv4EztP1p87mJ1SL6QyXCcQju';
+
+const NONCE_TTL = 5 * 60;
+export const ADMIN_TOKEN_TTL = 60 * 60;
+
+// DER prefix that turns a raw 32-byte ed25519 key into SPKI for node:crypto
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+export function adminWallets() {
+  return (process.env.ADMIN_WALLETS || CREATOR_WALLET)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+export function isAdminWallet(wallet) {
+  return typeof wallet === 'string' && adminWallets().includes(wallet);
+}
+
+/**
+ * Test minting mints for free, so it only runs where explicitly allowed and
+ * never on a production deployment.
+ */
+export function isTestMintEnabled() {
+  return process.env.ALLOW_TEST_MINT === 'true' && process.env.VERCEL_ENV !== 'production';
+}
+
+/**
+ * Issue a one-time sign-in message for an admin wallet.
+ * Resolves { nonce, message }, or null if the wallet isn't an admin.
+ */
+export async function issueNonce(wallet) {
+  if (!isAdminWallet(wallet)) return null;
+
+  const nonce = randomBytes(16).toString('hex');
+  const message = [
+    'Lossy admin sign-in',
+    `Wallet: ${wallet}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${new Date().toISOString()}`,
+  ].join('\n');
+
+  await redis.set(`admin-nonce:${nonce}`, JSON.stringify({ wallet, message }), NONCE_TTL);
+  return { nonce, message };
+}
+
+/**
+ * Check a signed nonce and issue an admin token. The nonce is spent either way.
+ * signature is base64. Resolves { token, wallet, expiresAt }, or null.
+ */
+export async function signIn({ wallet, nonce, signature }) {
+  if (!isAdminWallet(wallet) || typeof nonce !== 'string' || typeof signature !== 'string') return null;
+
+  const record = await redis.getJson(`admin-nonce:${nonce}`);
+  if (!record || record.wallet !== wallet) return null;
+  // Whoever deletes it first gets to use it
+  if (Number(await redis.del(`admin-nonce:${nonce}`)) !== 1) return null;
+
+  if (!verifySignature(wallet, record.message, signature)) return null;
+
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = Date.now() + ADMIN_TOKEN_TTL * 1000;
+  await redis.set(`admin-token:${hashToken(token)}`, JSON.stringify({ wallet, expiresAt }), ADMIN_TOKEN_TTL);
+  return { token, wallet, expiresAt };
+}
+
+export async function signOut(token) {
+  if (token) await redis.del(`admin-token:${hashToken(token)}`);
+}
+
+/**
+ * Guard for admin endpoints. Resolves the admin { wallet, expiresAt }, or
+ * sends a 401 and resolves null:
+ *
+ *   const admin = await requireAdmin(req, res);
+ *   if (!admin) return;
+ */
+export async function requireAdmin(req, res) {
+  const token = bearerToken(req);
+  const admin = token ? await redis.getJson(`admin-token:${hashToken(token)}`) : null;
+
+  // A wallet removed from the allowlist loses access immediately
+  if (!admin || !isAdminWallet(admin.wallet)) {
+    res.status(401).json({ error: 'Admin sign-in required' });
+    return null;
+  }
+  return admin;
+}
+
+export function bearerToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers?.authorization || '');
+  return match ? match[1] : null;
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function verifySignature(wallet, message, signature) {
+  try {
+    const sig = Buffer.from(signature, 'base64');
+    if (sig.length !== 64) return false;
+    const key = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(wallet).toBuffer()]),
+      format: 'der',
+      type: 'spki',
+    });
+    return verify(null, Buffer.from(message, 'utf8'), key, sig);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,153 @@
+// lib/admin.js
+// Admin dashboard helpers: session summaries and stuck-session detection for
+// the listings, and the actions an admin can take on a single session. Each
+// action takes the session lock, like every other writer, and resolves
+// { code, body }.
+
+import { getSessionKeypair } from './wallet.js';
+import { getConnection, getTokenBalance } from './solana.js';
+import { refundPayment, REFUND_REASON } from './refunds.js';
+import { normalizeWallet } from './recipient.js';
+import { processSession, describeSession } from './mint.js';
+import { recordEvent, EVENT } from './audit.js';
+import { logger } from './log.js';
+import { releaseSupply } from './supply.js';
+import {
+  STATUS,
+  transition,
+  canTransition,
+  hasOnChainMint,
+  paymentMint,
+  loadSession,
+  saveSession,
+  withSessionLock,
+} from './sessions.js';
+
+// A session sitting in one of these this long without moving is stuck
+const STUCK_STATUSES = [STATUS.PAID, STATUS.MINTING, STATUS.NEEDS_FUNDING, STATUS.MINT_FAILED, STATUS.NEEDS_RECIPIENT, STATUS.REFUND_PENDING];
+const STUCK_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * The one-line view of a session used in admin listings.
+ */
+export function sessionSummary(session) {
+  const lastChange = session.history?.length ? session.history[session.history.length - 1].at : session.createdAt;
+  return {
+    sessionId: session.sessionId,
+    status: session.status,
+    outputType: session.outputType,
+    createdAt: session.createdAt,
+    lastChange,
+    amountDisplay: session.price?.amountDisplay,
+    token: session.price?.token,
+    receivedAmount: session.receivedAmount || 0,
+    paymentAddress: session.paymentAddress,
+    buyerWallet: session.buyerWallet,
+    mintAddress: session.mintAddress,
+    error: session.lastError?.message || null,
+    stuck: isStuck(session, lastChange),
+  };
+}
+
+function isStuck(session, lastChange) {
+  if ([STATUS.NEEDS_FUNDING, STATUS.MINT_FAILED].includes(session.status)) return true;
+  return STUCK_STATUSES.includes(session.status) && Date.now() - lastChange > STUCK_AFTER_MS;
+}
+
+export const ADMIN_ACTIONS = ['retry', 'refund', 'expire'];
+
+/**
+ * Run an admin action; every attempt lands in the session's audit log with
+ * the admin wallet and the outcome.
+ */
+export async function runAdminAction(sessionId, action, { refundTo = null, admin = null, log = logger } = {}) {
+  if (!ADMIN_ACTIONS.includes(action)) return { code: 400, body: { error: `Unknown action: ${action}` } };
+
+  let outcome;
+  if (action === 'retry')  outcome = await retry(sessionId, log);
+  if (action === 'refund') outcome = await refund(sessionId, refundTo, log);
+  if (action === 'expire') outcome = await forceExpire(sessionId);
+
+  if (outcome.code !== 404) {
+    await recordEvent(sessionId, EVENT.ADMIN_ACTION, {
+      action,
+      admin: admin?.wallet || null,
+      refundTo,
+      code: outcome.code,
+      error: outcome.body.error,
+    }, log);
+  }
+  return outcome;
+}
+
+/**
+ * Drive the session forward now — resumes a stuck mint, re-tries a failed
+ * one (needs_funding, mint_failed) or a pending refund.
+ */
+async function retry(sessionId, log) {
+  const { session, busy } = await processSession(sessionId, { log });
+  if (!session) return { code: 404, body: { error: 'Session not found' } };
+  if (busy) return { code: 409, body: { error: 'Session busy, try again' } };
+  return { code: 200, body: { status: session.status, result: describeSession(session), lastError: session.lastError || null } };
+}
+
+/**
+ * Send everything in the session wallet back to the payer (or `refundTo`)
+ * and close the session. Only for sessions that haven't minted — not even
+ * partly: once a mint transaction went out, the buyer may hold the NFT.
+ */
+async function refund(sessionId, refundTo, log) {
+  const to = refundTo ? normalizeWallet(refundTo) : null;
+  if (refundTo && !to) return { code: 400, body: { error: 'Invalid refund wallet' } };
+
+  const { locked, result } = await withSessionLock(sessionId, async () => {
+    const session = await loadSession(sessionId);
+    if (!session) return { code: 404, body: { error: 'Session not found' } };
+    if (session.status !== STATUS.REFUNDED && !canTransition(session.status, STATUS.REFUNDED)) {
+      return { code: 409, body: { error: `A ${session.status} session can't be refunded` } };
+    }
+    if (hasOnChainMint(session)) {
+      return { code: 409, body: { error: 'This session already has an on-chain mint — retry it instead of refunding' } };
+    }
+
+    const connection = getConnection();
+    const sessionKeypair = await getSessionKeypair(session.sessionIndex);
+    const balance = await getTokenBalance(connection, sessionKeypair.publicKey, paymentMint(session));
+    if (balance <= 0) return { code: 409, body: { error: 'Nothing to refund — session wallet is empty' } };
+
+    const record = await refundPayment(connection, session, sessionKeypair, balance, REFUND_REASON.ADMIN, { to, log });
+    if (!record) {
+      return { code: 409, body: { error: 'Could not determine the payer — give a refund wallet' } };
+    }
+    session.lastError = null;
+    if (session.status !== STATUS.REFUNDED) transition(session, STATUS.REFUNDED);
+    await releaseSupply(session);
+    await saveSession(session);
+    return { code: 200, body: { status: session.status, refund: record } };
+  });
+
+  if (!locked) return { code: 409, body: { error: 'Session busy, try again' } };
+  return result;
+}
+
+/**
+ * Close a pending session's payment window now. A payment that still
+ * arrives is handled like any late payment.
+ */
+async function forceExpire(sessionId) {
+  const { locked, result } = await withSessionLock(sessionId, async () => {
+    const session = await loadSession(sessionId);
+    if (!session) return { code: 404, body: { error: 'Session not found' } };
+    if (session.status !== STATUS.PENDING) {
+      return { code: 409, body: { error: `Only pending sessions can be expired (this one is ${session.status})` } };
+    }
+    session.expiresAt = Math.min(session.expiresAt, Date.now());
+    transition(session, STATUS.EXPIRED);
+    await releaseSupply(session);
+    await saveSession(session);
+    return { code: 200, body: { status: session.status } };
+  });
+
+  if (!locked) return { code: 409, body: { error: 'Session busy, try again' } };
+  return result;
+}
@@ -0,0 +1,60 @@
+// lib/audit.js
+// Append-only event log per session, kept in Redis next to the session record
+// (which is overwritten in place). Answers "I paid and got nothing" after
+// the fact: when the session was created, what payment was seen, every mint
+// attempt and its result, sweeps, refunds and errors with stacks.
+//
+// Events: created, funded, payment_seen, mint_attempt, mint_succeeded,
+// mint_failed, sweep, refund, error — plus admin_action.
+
+import { redis } from './redis.js';
+import { logger, serializeError } from './log.js';
+import { CLAIM_RETENTION } from './sessions.js';
+
+export const EVENT = {
+  CREATED:        'created',
+  FUNDED:         'funded',
+  PAYMENT_SEEN:   'payment_seen',
+  MINT_ATTEMPT:   'mint_attempt',
+  MINT_SUCCEEDED: 'mint_succeeded',
+  MINT_FAILED:    'mint_failed',
+  SWEEP:          'sweep',
+  REFUND:         'refund',
+  ERROR:          'error',
+  ADMIN_ACTION:   'admin_action',
+};
+
+// Outlives the longest-kept session record
+const EVENTS_TTL = CLAIM_RETENTION + 60 * 60 * 24;
+
+/**
+ * Append an event to a session's log, and write it to the structured log
+ * through `log` (so it carries the request id). Never throws — losing an
+ * audit line must not fail a mint.
+ */
+export async function recordEvent(sessionId, type, data = {}, log = logger) {
+  const { err, ...fields } = data;
+  const event = { type, at: Date.now(), ...fields };
+  if (err) event.error = serializeError(err);
+  if (log.context?.requestId) event.requestId = log.context.requestId;
+
+  (type === EVENT.ERROR || type === EVENT.MINT_FAILED ? log.error : log.info)(`session ${type}`, { sessionId, ...data });
+
+  try {
+    const key = `session-events:${sessionId}`;
+    await redis.rpush(key, JSON.stringify(event));
+    await redis.expire(key, EVENTS_TTL);
+  } catch (auditErr) {
+    log.error('Audit log write error', { sessionId, err: auditErr });
+  }
+}
+
+/**
+ * A session's events, oldest first.
+ */
+export async function getEvents(sessionId) {
+  const raw = (await redis.lrange(`session-events:${sessionId}`, 0, -1)) || [];
+  return raw.map(line => {
+    try { return JSON.parse(line); } catch { return { type: 'unparseable', raw: line }; }
+  });
+}
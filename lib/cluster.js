@@ -0,0 +1,113 @@
+// lib/cluster.js
+// Which Solana cluster this deployment runs against, and everything that
+// differs between them: RPC, payment token mints, collection, explorer and
+// marketplace links. Rehearse a drop on devnet or a local validator by
+// changing SOLANA_CLUSTER — nothing else in the code is cluster-specific.
+//
+// Config:
+//   SOLANA_CLUSTER   mainnet (default) | devnet | localnet
+//   SOLANA_RPC_URL   RPC the server uses, default the cluster's public RPC
+//   PUBLIC_RPC_URL   RPC handed to browsers (never the keyed SOLANA_RPC_URL)
+//   USDC_MINT / USDT_MINT   override the cluster's token mints — e.g. the
+//                    fake USDC scripts/setup-localnet.js creates
+//   COLLECTION_MINT / CORE_COLLECTION   the collection on this cluster
+
+import { PublicKey } from '@solana/web3.js';
+
+export const CLUSTERS = {
+  mainnet: {
+    network: 'solana-mainnet',
+    rpcUrl: 'https://api.mainnet-beta.solana.com',
+    tokens: {
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+    },
+    marketplace: assetId => `https://exchange.art/single/${assetId}`,
+  },
+  devnet: {
+    network: 'solana-devnet',
+    rpcUrl: 'https://api.devnet.solana.com',
+    // Circle's devnet USDC (faucet.circle.com); there is no devnet USDT
+    tokens: { USDC: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' },
+    marketplace: null,
+  },
+  localnet: {
+    network: 'solana-localnet',
+    rpcUrl: 'http://127.0.0.1:8899',
+    // Nothing exists on a fresh validator — scripts/setup-localnet.js makes a USDC
+    tokens: {},
+    marketplace: null,
+  },
+};
+
+/**
+ * The configured cluster, resolved against env overrides.
+ */
+export function getCluster() {
+  const name = (process.env.SOLANA_CLUSTER || 'mainnet').trim();
+  const base = CLUSTERS[name];
+  if (!base) throw new Error(`Unknown SOLANA_CLUSTER: ${name}`);
+
+  const rpcUrl = process.env.SOLANA_RPC_URL || base.rpcUrl;
+  return {
+    name,
+    network: base.network,
+    rpcUrl,
+    publicRpcUrl: process.env.PUBLIC_RPC_URL || (name === 'localnet' ? rpcUrl : base.rpcUrl),
+    usdcMint: process.env.USDC_MINT || base.tokens.USDC || null,
+    usdtMint: process.env.USDT_MINT || base.tokens.USDT || null,
+    collectionMint: process.env.COLLECTION_MINT || null,
+    coreCollection: process.env.CORE_COLLECTION || null,
+    marketplace: base.marketplace,
+  };
+}
+
+/**
+ * A token's mint on this cluster as a PublicKey, or null if it has none.
+ */
+export function tokenMint(symbol) {
+  const { usdcMint, usdtMint } = getCluster();
+  const address = { USDC: usdcMint, USDT: usdtMint }[symbol];
+  return address ? new PublicKey(address) : null;
+}
+
+/**
+ * The ?cluster=... suffix Solana Explorer needs off mainnet ('' on mainnet).
+ */
+export function explorerQuery(cluster = getCluster()) {
+  if (cluster.name === 'mainnet') return '';
+  if (cluster.name === 'localnet') return `?cluster=custom&customUrl=${encodeURIComponent(cluster.publicRpcUrl)}`;
+  return `?cluster=${cluster.name}`;
+}
+
+/**
+ * Solana Explorer link for an address or a transaction (kind 'address' | 'tx').
+ */
+export function explorerUrl(kind, value) {
+  return `https://explorer.solana.com/${kind}/${value}${explorerQuery()}`;
+}
+
+/**
+ * Marketplace listing for a Token Metadata NFT, or null where there's no marketplace.
+ */
+export function marketplaceUrl(assetId) {
+  const { marketplace } = getCluster();
+  return marketplace ? marketplace(assetId) : null;
+}
+
+/**
+ * What browsers may know about the cluster (see /api/cluster).
+ */
+export function publicClusterInfo() {
+  const cluster = getCluster();
+  return {
+    cluster: cluster.name,
+    network: cluster.network,
+    rpcUrl: cluster.publicRpcUrl,
+    explorerQuery: explorerQuery(cluster),
+    usdcMint: cluster.usdcMint,
+    usdtMint: cluster.usdtMint,
+    collectionMint: cluster.collectionMint,
+    coreCollection: cluster.coreCollection,
+  };
+}
@@ -0,0 +1,126 @@
+// lib/collection.js
+// The Lossy collection: its metadata and creating it on-chain, shared by
+// scripts/collection.js (the supported way to manage it), /api/create-collection
+// and scripts/setup-localnet.js.
+//
+// Two kinds, by mint backend: a Token Metadata collection NFT (COLLECTION_MINT —
+// token-metadata and bubblegum) or a Metaplex Core collection (CORE_COLLECTION
+// — core). The master wallet is update authority either way, so it can verify
+// mints into it; the artist's wallet is the royalty creator.
+
+import { DESCRIPTION } from './metadata.js';
+import { storeFile } from './storage/index.js';
+import { ROYALTY_BASIS_POINTS } from './mint-backends/core.js';
+import { MINT_BACKEND } from './mint-backends/index.js';
+
+export const COLLECTION_TYPE = {
+  TOKEN_METADATA: 'token-metadata',
+  CORE:           'core',
+};
+
+export const COLLECTION_NAME = 'Lossy';
+export const COLLECTION_SYMBOL = 'LOSSY';
+export const CREATOR_ADDRESS = 'FrstHD18pJsFRatk2hnfv4EztP1p87mJ1SL6QyXCcQju';
+export { ROYALTY_BASIS_POINTS };
+
+/**
+ * The collection type the configured mint backend mints into.
+ */
+export function collectionTypeFor(mintBackend) {
+  return mintBackend === MINT_BACKEND.CORE ? COLLECTION_TYPE.CORE : COLLECTION_TYPE.TOKEN_METADATA;
+}
+
+/**
+ * The env var that holds a collection of this type.
+ */
+export function collectionEnvVar(type) {
+  return type === COLLECTION_TYPE.CORE ? 'CORE_COLLECTION' : 'COLLECTION_MINT';
+}
+
+/**
+ * Off-chain collection metadata JSON (Metaplex standard).
+ */
+export function buildCollectionMetadata({
+  imageUri,
+  imageType = 'image/jpeg',
+  name = COLLECTION_NAME,
+  symbol = COLLECTION_SYMBOL,
+  description = DESCRIPTION,
+  royaltyBasisPoints = ROYALTY_BASIS_POINTS,
+}) {
+  return {
+    name,
+    symbol,
+    description,
+    image: imageUri,
+    seller_fee_basis_points: royaltyBasisPoints,
+    properties: {
+      files: [{ uri: imageUri, type: imageType }],
+      category: 'image',
+      creators: [{ address: CREATOR_ADDRESS, share: 100 }],
+    },
+  };
+}
+
+/**
+ * Store the collection image and its metadata JSON (lib/storage).
+ * Resolves { imageUri, metadataUri } — metadataUri being the gateway URL
+ * the on-chain uri field takes, like the mints'.
+ */
+export async function storeCollectionMetadata(imageBytes, { imageName, imageType = 'image/jpeg', ...fields }) {
+  const image = await storeFile(imageBytes, { name: imageName, contentType: imageType });
+  const json = buildCollectionMetadata({ imageUri: image.uri, imageType, ...fields });
+  const metadata = await storeFile(JSON.stringify(json, null, 2), {
+    name: 'lossy-collection-metadata.json',
+    contentType: 'application/json',
+  });
+  return { imageUri: image.uri, metadataUri: metadata.url, json };
+}
+
+/**
+ * Create the collection on-chain with `umi` (signing as the master wallet —
+ * see createMasterUmi). Resolves { collectionMint, signature }.
+ */
+export async function createCollectionOnChain(umi, {
+  type = COLLECTION_TYPE.TOKEN_METADATA,
+  name = COLLECTION_NAME,
+  symbol = COLLECTION_SYMBOL,
+  uri,
+  royaltyBasisPoints = ROYALTY_BASIS_POINTS,
+}) {
+  const { generateSigner, percentAmount, publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+  const bs58 = await import('bs58');
+  const collectionMint = generateSigner(umi);
+
+  let result;
+  if (type === COLLECTION_TYPE.CORE) {
+    const { createCollection, mplCore } = await import('@metaplex-foundation/mpl-core');
+    umi.use(mplCore());
+    result = await createCollection(umi, {
+      collection: collectionMint,
+      name,
+      uri,
+      plugins: [{
+        type: 'Royalties',
+        basisPoints: royaltyBasisPoints,
+        creators: [{ address: umiPublicKey(CREATOR_ADDRESS), percentage: 100 }],
+        ruleSet: { type: 'None' },
+      }],
+    }).sendAndConfirm(umi);
+  } else {
+    const { createNft, mplTokenMetadata } = await import('@metaplex-foundation/mpl-token-metadata');
+    umi.use(mplTokenMetadata());
+    result = await createNft(umi, {
+      mint: collectionMint,
+      name,
+      symbol,
+      uri,
+      sellerFeeBasisPoints: percentAmount(royaltyBasisPoints / 100, 2),
+      isCollection: true,
+      creators: [{ address: umiPublicKey(CREATOR_ADDRESS), verified: false, share: 100 }],
+      isMutable: true, // so the creator can be verified and metadata updated later
+    }).sendAndConfirm(umi);
+  }
+
+  return { collectionMint: collectionMint.publicKey, signature: bs58.default.encode(result.signature) };
+}
@@ -0,0 +1,18 @@
+// lib/cron.js
+// Auth for scheduled jobs. Vercel Cron sends `Authorization: Bearer $CRON_SECRET`.
+
+import { timingSafeEqual } from 'node:crypto';
+
+/**
+ * True if the request carries the configured cron secret.
+ * Always false when CRON_SECRET isn't set, so jobs fail closed.
+ */
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const header = req.headers?.authorization || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,54 @@
+// lib/ghosts.js
+// Index of minted Lossy works — the "ghost of prior work" layer in exports
+// samples a random entry from here.
+
+import { redis } from './redis.js';
+import { gatewayUrl } from './storage/index.js';
+
+// Redis list of minted works, newest first
+export const MINTED_INDEX_KEY = 'lossy:minted';
+
+// How many random picks to try before giving up on finding an image
+const MAX_PICKS = 5;
+
+/**
+ * Record a freshly minted session in the index.
+ * Only photo outputs can be composited as ghosts, but every mint is kept
+ * so the index doubles as a history of the collection.
+ */
+export async function recordMintedWork(session, mintResult) {
+  const entry = {
+    name: mintResult.name,
+    mintAddress: mintResult.mintAddress,
+    imageUrl: gatewayUrl(session.metadata?.fileUri) || null,
+    outputType: session.outputType,
+    mintedAt: Date.now(),
+  };
+  await redis.lpush(MINTED_INDEX_KEY, entry);
+  return entry;
+}
+
+/**
+ * Pick a random earlier photo mint. Returns null if the index has none.
+ */
+export async function pickRandomGhost() {
+  const total = Number(await redis.llen(MINTED_INDEX_KEY)) || 0;
+  if (total === 0) return null;
+
+  for (let i = 0; i < Math.min(MAX_PICKS, total); i++) {
+    const index = Math.floor(Math.random() * total);
+    const raw = await redis.lindex(MINTED_INDEX_KEY, index);
+    if (!raw) continue;
+
+    let entry;
+    try { entry = JSON.parse(raw); } catch { continue; }
+    if (entry.outputType !== 'photo' || !entry.imageUrl) continue;
+
+    return {
+      name: entry.name,
+      imageUrl: entry.imageUrl,
+      mintAddress: entry.mintAddress,
+    };
+  }
+  return null;
+}
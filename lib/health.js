@@ -0,0 +1,183 @@
+// lib/health.js
+// Live readiness checks behind /api/health. Each check runs in parallel under
+// its own timeout and reports { status, latencyMs, ... } with status one of
+// ok | warn | fail | skipped. Anything a check reports is safe to publish:
+// no env values, and error messages have configured secrets scrubbed.
+//
+// Config (all optional):
+//   HEALTH_TIMEOUT_MS         per-check timeout, default 5000
+//   HEALTH_MAX_LAG_SECONDS    RPC behind by more than this (latest block
+//                             time vs now) warns, default 60
+//   MASTER_LOW_BALANCE_SOL    master balance below this warns, default 0.1
+//                             (the same threshold as the low-balance alert)
+//   MINT_COST_SOL             below one mint's worth fails, default 0.02
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { redis } from './redis.js';
+import { configuredRedisBackend, redisConfigured } from './redis-backends/index.js';
+import { configuredStorage, storageConfigured, probeStorage } from './storage/index.js';
+import { configuredMintBackend, loadMintBackend, createMasterUmi } from './mint-backends/index.js';
+import { getCluster } from './cluster.js';
+import { getConnection } from './solana.js';
+import { getMasterKeypair } from './wallet.js';
+
+export const CHECK_STATUS = {
+  OK:      'ok',
+  WARN:    'warn',
+  FAIL:    'fail',
+  SKIPPED: 'skipped',
+};
+
+// Env vars whose values must never appear in a response
+const SECRET_ENV = [
+  'MASTER_SEED_PHRASE',
+  'SOLANA_RPC_URL',
+  'PINATA_JWT',
+  'KUBO_API_URL',
+  'KUBO_API_AUTH',
+  'REDIS_URL',
+  'dayafterday_KV_REST_API_URL',
+  'dayafterday_KV_REST_API_TOKEN',
+  'UPLOAD_TOKEN_SECRET',
+  'CRON_SECRET',
+];
+
+const CHECKS = {
+  config:        checkConfig,
+  redis:         checkRedis,
+  rpc:           checkRpc,
+  masterBalance: checkMasterBalance,
+  storage:       checkStorage,
+  collection:    checkCollection,
+};
+
+/**
+ * Run every check. Resolves { status: 'ok' | 'degraded' | 'down', checks }:
+ * down if any check failed, degraded if any warned.
+ */
+export async function runHealthChecks() {
+  const timeoutMs = Number(process.env.HEALTH_TIMEOUT_MS) > 0 ? Number(process.env.HEALTH_TIMEOUT_MS) : 5000;
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(CHECKS[name], timeoutMs)));
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+  const statuses = results.map(r => r.status);
+  const status = statuses.includes(CHECK_STATUS.FAIL) ? 'down'
+    : statuses.includes(CHECK_STATUS.WARN) ? 'degraded'
+    : 'ok';
+  return { status, checks };
+}
+
+async function runCheck(check, timeoutMs) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    const result = await Promise.race([check(), timeout]);
+    return { status: CHECK_STATUS.OK, ...result, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { status: CHECK_STATUS.FAIL, error: redact(err.message || String(err)), latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Replace any configured secret in `text` with [redacted].
+ */
+export function redact(text) {
+  let out = String(text);
+  for (const name of SECRET_ENV) {
+    const value = (process.env[name] || '').trim();
+    if (value.length >= 8) out = out.split(value).join('[redacted]');
+  }
+  return out;
+}
+
+// Required settings, by name only
+async function checkConfig() {
+  const missing = [];
+  const need = (name, ok = !!(process.env[name] || '').trim()) => { if (!ok) missing.push(name); };
+
+  need('MASTER_SEED_PHRASE');
+  need('CRON_SECRET');
+  if (!redisConfigured()) missing.push(`redis (${configuredRedisBackend()})`);
+  // The in-memory store is per instance, so never enough for a deployment
+  if (configuredRedisBackend() === 'memory' && process.env.VERCEL_ENV) missing.push('redis (memory is development only)');
+  if (!storageConfigured()) missing.push(`storage (${configuredStorage()})`);
+  // The public mainnet RPC is too rate-limited to run a drop on
+  if (getCluster().name === 'mainnet') need('SOLANA_RPC_URL');
+
+  return missing.length ? { status: CHECK_STATUS.FAIL, missing } : {};
+}
+
+async function checkRedis() {
+  const key = `health-ping:${Math.random().toString(36).slice(2)}`;
+  await redis.set(key, '1', 10);
+  const value = await redis.get(key);
+  await redis.del(key);
+  if (value !== '1') throw new Error('Redis round trip returned the wrong value');
+  return { backend: configuredRedisBackend() };
+}
+
+// getHealth, then how far the node's latest block is behind the clock
+async function checkRpc() {
+  const cluster = getCluster();
+  const res = await fetch(cluster.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getHealth' }),
+  });
+  const json = await res.json();
+  // -32601: a provider without getHealth — the lag below still tells
+  if (json.error && json.error.code !== -32601) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      error: redact(json.error.message),
+      numSlotsBehind: json.error.data?.numSlotsBehind ?? null,
+    };
+  }
+
+  const connection = getConnection();
+  const slot = await connection.getSlot('confirmed');
+  const blockTime = await connection.getBlockTime(slot);
+  const lagSeconds = blockTime ? Math.max(0, Math.round(Date.now() / 1000 - blockTime)) : null;
+  const maxLag = Number(process.env.HEALTH_MAX_LAG_SECONDS) > 0 ? Number(process.env.HEALTH_MAX_LAG_SECONDS) : 60;
+
+  return {
+    status: lagSeconds !== null && lagSeconds > maxLag ? CHECK_STATUS.WARN : CHECK_STATUS.OK,
+    cluster: cluster.name,
+    slot,
+    lagSeconds,
+    maxLagSeconds: maxLag,
+  };
+}
+
+async function checkMasterBalance() {
+  const masterKeypair = await getMasterKeypair();
+  const sol = (await getConnection().getBalance(masterKeypair.publicKey)) / LAMPORTS_PER_SOL;
+  const minimum = Number(process.env.MASTER_LOW_BALANCE_SOL) > 0 ? Number(process.env.MASTER_LOW_BALANCE_SOL) : 0.1;
+  const mintCost = Number(process.env.MINT_COST_SOL) > 0 ? Number(process.env.MINT_COST_SOL) : 0.02;
+
+  return {
+    status: sol < mintCost ? CHECK_STATUS.FAIL : sol < minimum ? CHECK_STATUS.WARN : CHECK_STATUS.OK,
+    address: masterKeypair.publicKey.toBase58(),
+    sol,
+    minimumSol: minimum,
+  };
+}
+
+async function checkStorage() {
+  if (!storageConfigured()) return { status: CHECK_STATUS.SKIPPED, backend: configuredStorage(), detail: 'Not configured' };
+  return { backend: configuredStorage(), ...(await probeStorage()) };
+}
+
+async function checkCollection() {
+  const name = configuredMintBackend();
+  const backend = await loadMintBackend(name);
+  const masterKeypair = await getMasterKeypair();
+  const { umi } = await createMasterUmi(masterKeypair);
+  return { backend: name, ...(await backend.checkCollection({ umi, masterKeypair })) };
+}
@@ -0,0 +1,149 @@
+// lib/janitor.js
+// Reclaims SOL left behind in session wallets: the funding sent at session
+// creation, the rent locked in empty token accounts, and dust after sweeps.
+//
+// Walks derived indices up to `day-after-day:session-counter`, resuming from a
+// cursor. A wallet is only touched once nothing else will: its session has
+// left the reconciler's active set, it holds no tokens, and it holds no more
+// SOL than funding could explain (anything more may be an unclaimed SOL
+// payment and is reported instead).
+
+import { Transaction, SystemProgram, LAMPORTS_PER_SOL, sendAndConfirmTransaction } from '@solana/web3.js';
+import { createCloseAccountInstruction, TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { redis } from './redis.js';
+import { getMasterKeypair, getSessionKeypair } from './wallet.js';
+import { ATA_INIT_SOL } from './solana.js';
+import { ACTIVE_SESSIONS_KEY } from './sessions.js';
+import { logger } from './log.js';
+
+const COUNTER_KEY  = 'day-after-day:session-counter';
+const CURSOR_KEY   = 'janitor:cursor';   // last index fully handled
+const HORIZON_KEY  = 'janitor:horizon';  // counter as seen by the previous run
+const DEFERRED_KEY = 'janitor:deferred'; // indices skipped while still in use
+export const LAST_REPORT_KEY = 'janitor:last-report';
+
+// More SOL than a funded wallet can hold is treated as a payment, not dust
+const MAX_DUST_LAMPORTS = Math.ceil(ATA_INIT_SOL * LAMPORTS_PER_SOL);
+
+/**
+ * Run one janitor pass. Stops picking up wallets after timeBudgetMs.
+ * With dryRun, reports what would be reclaimed without sending anything.
+ */
+export async function runJanitor({ connection, timeBudgetMs = 50_000, dryRun = false, log = logger }) {
+  const startedAt = Date.now();
+  const masterKeypair = await getMasterKeypair();
+
+  // Only indices created before the previous run are walked — by now their
+  // sessions have either been added to the active set or never existed.
+  const counter = parseInt(await redis.get(COUNTER_KEY) || '0');
+  const horizon = parseInt(await redis.get(HORIZON_KEY) || '0');
+  const cursor  = parseInt(await redis.get(CURSOR_KEY) || '0');
+
+  const activeIndices = new Set(
+    ((await redis.smembers(ACTIVE_SESSIONS_KEY)) || []).map(sessionIndexOf)
+  );
+  const deferred = ((await redis.smembers(DEFERRED_KEY)) || []).map(Number);
+  const fresh = [];
+  for (let i = cursor + 1; i <= horizon; i++) fresh.push(i);
+
+  const report = {
+    dryRun,
+    counter,
+    scanned: 0,
+    reclaimed: [],
+    skipped: { active: 0, holdsTokens: [], holdsSol: [] },
+    errors: [],
+    recoveredLamports: 0,
+    cursor,
+  };
+
+  for (const index of [...deferred, ...fresh]) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    report.scanned++;
+
+    try {
+      if (activeIndices.has(index)) {
+        report.skipped.active++;
+        if (!dryRun) await redis.sadd(DEFERRED_KEY, String(index));
+      } else {
+        const result = await reclaimWallet(connection, masterKeypair, index, { dryRun });
+        if (result.skipped) {
+          report.skipped[result.skipped].push({ index, address: result.address, balance: result.balance });
+        } else if (result.lamports > 0) {
+          report.reclaimed.push(result);
+          report.recoveredLamports += result.lamports;
+        }
+        if (!dryRun) await redis.srem(DEFERRED_KEY, String(index));
+      }
+    } catch (err) {
+      // Left (or put) in the deferred set so the next run retries it
+      log.error('Janitor wallet error', { index, err });
+      report.errors.push({ index, error: err.message });
+      if (!dryRun) await redis.sadd(DEFERRED_KEY, String(index));
+    }
+
+    if (index > report.cursor) report.cursor = index;
+  }
+
+  if (!dryRun) {
+    await redis.set(CURSOR_KEY, String(report.cursor));
+    // Don't move the horizon on until the walk has caught up with it
+    if (report.cursor >= horizon) await redis.set(HORIZON_KEY, String(counter));
+  }
+
+  report.recoveredSol = report.recoveredLamports / LAMPORTS_PER_SOL;
+  report.durationMs = Date.now() - startedAt;
+  if (!dryRun) await redis.set(LAST_REPORT_KEY, JSON.stringify(report));
+  return report;
+}
+
+/**
+ * Close a session wallet's empty token accounts and move all of its SOL to
+ * master, in one transaction paid for by master.
+ * Resolves { index, address, lamports, closedAccounts, signature }, or
+ * { skipped, address, balance } when the wallet still holds something of value.
+ */
+export async function reclaimWallet(connection, masterKeypair, index, { dryRun = false } = {}) {
+  const sessionKeypair = await getSessionKeypair(index);
+  const owner = sessionKeypair.publicKey;
+  const address = owner.toBase58();
+
+  const { value: tokenAccounts } = await connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID });
+  const holding = tokenAccounts.find(a => a.account.data.parsed.info.tokenAmount.amount !== '0');
+  if (holding) {
+    const { mint, tokenAmount } = holding.account.data.parsed.info;
+    return { skipped: 'holdsTokens', address, balance: { mint, amount: Number(tokenAmount.amount) } };
+  }
+
+  const lamports = await connection.getBalance(owner);
+  if (lamports > MAX_DUST_LAMPORTS) {
+    return { skipped: 'holdsSol', address, balance: { lamports } };
+  }
+
+  const rent = tokenAccounts.reduce((sum, a) => sum + a.account.lamports, 0);
+  const result = {
+    index,
+    address,
+    lamports: lamports + rent,
+    closedAccounts: tokenAccounts.map(a => a.pubkey.toBase58()),
+    signature: null,
+  };
+  if (result.lamports === 0 || dryRun) return result;
+
+  const tx = new Transaction();
+  for (const { pubkey } of tokenAccounts) {
+    tx.add(createCloseAccountInstruction(pubkey, masterKeypair.publicKey, owner));
+  }
+  if (lamports > 0) {
+    tx.add(SystemProgram.transfer({ fromPubkey: owner, toPubkey: masterKeypair.publicKey, lamports }));
+  }
+  tx.feePayer = masterKeypair.publicKey;
+
+  result.signature = await sendAndConfirmTransaction(connection, tx, [masterKeypair, sessionKeypair]);
+  return result;
+}
+
+// sess_<index>_<timestamp>
+function sessionIndexOf(sessionId) {
+  return parseInt(String(sessionId).split('_')[1]);
+}
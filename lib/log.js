@@ -0,0 +1,65 @@
+// lib/log.js
+// Structured logging: one JSON line per entry, so Vercel's log search can
+// filter by requestId, sessionId, level, etc.
+//
+//   const log = requestLogger(req, res, 'session');
+//   log.info('Session created', { sessionId });
+//   log.error('Session creation error', { err });
+//
+// Every request gets an id (Vercel's x-vercel-id when present), echoed back
+// in the X-Request-Id response header so a buyer's report can be matched to
+// its log lines.
+//
+// LOG_LEVEL (info | warn | error | silent, default info) drops entries below
+// it — the test suite runs silent unless LOG_LEVEL is set.
+
+import { randomUUID } from 'node:crypto';
+
+const LEVELS = { info: 0, warn: 1, error: 2, silent: 3 };
+
+function minLevel() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+/**
+ * A logger that adds `context` to every entry. `err` fields are expanded to
+ * { message, stack }.
+ */
+export function createLogger(context = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < minLevel()) return;
+    const entry = { level, msg, time: new Date().toISOString(), ...context, ...fields };
+    if (fields.err) entry.err = serializeError(fields.err);
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+  }
+
+  return {
+    context,
+    info:  (msg, fields) => write('info', msg, fields),
+    warn:  (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+/**
+ * Logger for an API request, tagged with a request id and the route name.
+ */
+export function requestLogger(req, res, route) {
+  const requestId = String(req.headers?.['x-vercel-id'] || req.headers?.['x-request-id'] || randomUUID());
+  res.setHeader?.('X-Request-Id', requestId);
+  return createLogger({ requestId, route });
+}
+
+/**
+ * For code that runs outside a request, or before one is known.
+ */
+export const logger = createLogger();
+
+export function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return { message: err.message, stack: err.stack ? err.stack.slice(0, 2000) : undefined };
+}
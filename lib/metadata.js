@@ -0,0 +1,334 @@
+// lib/metadata.js
+// The Lossy metadata schema, shared by the page and the API. No imports, so
+// the browser loads this same file (<script type="module"> in
+// day-after-day.html) — one copy of the questionnaire, one validator, one
+// NFT metadata builder.
+//
+// The page sends session metadata with answers as choice ids (the index of
+// the choice within its question); the server validates it against
+// SESSION_METADATA_SCHEMA and derives the trait text itself, so a buyer
+// can't mint arbitrary traits.
+
+export const QUESTIONS = [
+  {
+    id: 'volume',
+    text: 'HOW IS YOUR FORM?',
+    param: 'volume_start',
+    choices: [
+      { text: 'Coherent. All parts in communication.',        value: 1.0  },
+      { text: 'Present with some notable absences.',          value: 0.80 },
+      { text: 'It is leaking somewhere.',                     value: 0.65 },
+      { text: 'Dispersed beyond recovery.',                   value: 0.50 },
+    ],
+  },
+  {
+    id: 'distortion',
+    text: 'ARE YOU EXPERIENCING A LOSS OF SENSORY QUALITY?',
+    param: 'dist_start',
+    choices: [
+      { text: 'No. If anything, gain.',                                          value: 0.05 },
+      { text: 'Selective attenuation. Mostly useful.',                           value: 0.30 },
+      { text: 'Compression at the edges. The centre holds.',                     value: 0.65 },
+      { text: 'The original signal is a working hypothesis at this point.',      value: 0.95 },
+    ],
+  },
+  {
+    id: 'pitch',
+    text: 'WHAT IS THE LOCATION OF THE SHORT CIRCUIT?',
+    param: 'pitch_start',
+    choices: [
+      { text: 'High frequency. Conceptual.',                  value: 8   },
+      { text: 'Central. Where processing meets output.',      value: 0   },
+      { text: 'Sub-surface. Detectable only under load.',     value: -5  },
+      { text: 'Foundational. Predates the current system.',   value: -10 },
+    ],
+  },
+  {
+    id: 'glitch',
+    text: 'WHAT IS YOUR SIGNAL TO NOISE RATIO?',
+    param: 'glitch_start',
+    choices: [
+      { text: 'Clean transmission. No interference.',         value: 0.0  },
+      { text: 'Manageable. The noise is informative.',        value: 0.25 },
+      { text: 'I have lost track of which is which.',         value: 0.60 },
+      { text: 'The interference is the message.',             value: 1.0  },
+    ],
+  },
+  {
+    id: 'reverb',
+    text: 'IS IT SHARP OR DULL?',
+    param: 'reverb_start',
+    choices: [
+      { text: 'Sharp. High resolution, minimal decay.',               value: 0.10 },
+      { text: 'Defined but with some acceptable bleed.',              value: 0.35 },
+      { text: 'Soft boundary. The edges are part of the object.',     value: 0.65 },
+      { text: 'Fully diffused. The room is the instrument.',          value: 0.90 },
+    ],
+  },
+  {
+    id: 'crush',
+    text: 'WHAT IS YOUR IDEAL LIGHTING SITUATION?',
+    param: 'crush_start',
+    choices: [
+      { text: 'High contrast. Every edge is visible and accounted for.',      value: 0.0  },
+      { text: 'Defined but with acceptable bleed at the threshold.',          value: 0.33 },
+      { text: 'Diffused. The hard cuts have softened into gradients.',        value: 0.66 },
+      { text: 'No distinction between source and environment. Both are light.', value: 1.0 },
+    ],
+  },
+  {
+    id: 'scale',
+    text: 'WHAT MEDIUM DO YOU FEEL MOST COMFORTABLE IN?',
+    param: 'scale_start',
+    choices: [
+      { text: 'It burns. It keeps the record.',              value: 0 },
+      { text: 'It clarifies. Nothing is hidden.',            value: 1 },
+      { text: 'It is ephemeral but does not decay.',         value: 2 },
+      { text: 'Its surface is always in negotiation.',       value: 3 },
+      { text: 'It predates urgency. It will outlast it.',    value: 4 },
+    ],
+  },
+  {
+    id: 'wobble',
+    text: 'HAVE YOU EVER FORGOTTEN WHERE YOU END?',
+    param: 'wobble_start',
+    choices: [
+      { text: 'No. The boundary is well-documented.',                    value: 0.0  },
+      { text: 'Temporarily. Permeability has its uses.',                 value: 0.25 },
+      { text: 'Regularly. The edge is a gradient, not a line.',          value: 0.60 },
+      { text: 'The question assumes a fixed topology.',                  value: 0.95 },
+    ],
+  },
+  {
+    id: 'echo',
+    text: 'HAVE YOU EVER FORGOTTEN WHEN YOU END?',
+    param: 'echo_start',
+    choices: [
+      { text: 'No. Duration is something I track carefully.',            value: 0.0  },
+      { text: 'Occasionally. There is some residue at the edges.',       value: 0.33 },
+      { text: 'Often. The ending repeats before it resolves.',           value: 0.66 },
+      { text: 'The echo has become the signal.',                         value: 1.0  },
+    ],
+  },
+  {
+    id: 'speed',
+    text: 'HOW DOES THE CANDLE BURN?',
+    param: 'speed_start',
+    choices: [
+      { text: 'One end. Deliberate sequencing.',                                  value: 0.25 },
+      { text: 'Both ends. The middle is lasting longer than expected.',           value: 2.0  },
+      { text: 'Surface area. It\'s more efficient.',                              value: 8.0  },
+      { text: 'The geometry of the candle no longer applies.',                    value: 32.0 },
+    ],
+  },
+  {
+    id: 'mode',
+    text: 'WHAT IS THE FIRE?',
+    param: 'mode_start',
+    choices: [
+      { text: 'It is precious. It is kept against the dark.',            value: 'ember'       },
+      { text: 'It marks the passage. It is ritual and it is enough.',    value: 'birthday'    },
+      { text: 'It is punishment. It is endless and specific.',           value: 'eternal'     },
+      { text: 'It is everything. It is embraced and it is release.',     value: 'immolation'  },
+    ],
+  },
+  {
+    id: 'launch',
+    text: 'HOW DO YOU CONSUME IT?',
+    param: null,
+    choices: [
+      { text: 'Slowly, then all at once.',                               value: 'transition_slow'    },
+      { text: 'I let it consume me.',                                    value: 'transition_engulf'  },
+      { text: 'Whole. No separation.',                                   value: 'transition_dissolve'},
+      { text: "I've been consuming it this entire time.",              value: 'transition_already' },
+    ],
+  },
+];
+
+export const MODES = ['ember', 'birthday', 'eternal', 'immolation'];
+
+// What each output is stored as. The first MIME type is the one the page
+// produces, and the default for sessions from before the type was recorded.
+export const OUTPUT_FILES = {
+  photo: { category: 'image', mimeTypes: ['image/jpeg', 'image/webp', 'image/png'] },
+  audio: { category: 'audio', mimeTypes: ['audio/webm', 'audio/ogg'] },
+  video: { category: 'video', mimeTypes: ['video/webm'] },
+};
+
+export const DESCRIPTION = 'Lossy. An extension of Day After Day by lampwrecked. The signal persists in spite of decay.';
+
+// What POST /api/session accepts as `metadata` (JSON Schema, draft 2020-12)
+export const SESSION_METADATA_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Lossy session metadata',
+  type: 'object',
+  required: ['fileUri', 'outputType', 'mode', 'speed', 'answers'],
+  additionalProperties: false,
+  properties: {
+    fileUri: { type: 'string', minLength: 1, maxLength: 512 },
+    outputType: { enum: Object.keys(OUTPUT_FILES) },
+    mode: { enum: MODES },
+    speed: { type: 'number', exclusiveMinimum: 0, maximum: 64 },
+    // question id → choice id
+    answers: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(QUESTIONS.map(q => [
+        q.id,
+        { type: 'integer', minimum: 0, maximum: q.choices.length - 1 },
+      ])),
+    },
+    zones: {
+      type: 'array',
+      maxItems: 16,
+      items: {
+        type: 'object',
+        required: ['name', 'val'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', maxLength: 16 },
+          val: { type: 'number' },
+        },
+      },
+    },
+    timestamp: { type: 'integer', minimum: 0 },
+    ghost: { type: ['string', 'null'], maxLength: 1000 },
+  },
+};
+
+/**
+ * Check `value` against the subset of JSON Schema this file uses. Returns a
+ * list of problems like "answers.volume: must be <= 3" — empty if it's valid.
+ */
+export function validate(schema, value, path = '') {
+  const at = path || 'value';
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(value, type))) return [`${at}: must be ${types.join(' or ')}`];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  } else if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? path + '.' : ''}${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties?.[key];
+      if (childSchema) errors.push(...validate(childSchema, child, childPath));
+      else if (schema.additionalProperties === false) errors.push(`${childPath}: is not allowed`);
+    }
+  }
+
+  return errors;
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':   return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number':  return typeof value === 'number' && Number.isFinite(value);
+    case 'null':    return value === null;
+    default:        return typeof value === type;
+  }
+}
+
+/**
+ * Problems with session metadata, or [] if POST /api/session would accept it.
+ */
+export function validateSessionMetadata(metadata) {
+  return validate(SESSION_METADATA_SCHEMA, metadata);
+}
+
+/**
+ * The MIME type (parameters like ;codecs= stripped) if it's one an output
+ * type may be stored as, else null.
+ */
+export function fileTypeFor(outputType, mimeType) {
+  const allowed = OUTPUT_FILES[outputType]?.mimeTypes;
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return allowed && allowed.includes(type) ? type : null;
+}
+
+/**
+ * Questionnaire traits for { questionId: choiceId } answers, in question order.
+ * Sessions from before answers were ids carry the choice text instead; that
+ * is passed through.
+ */
+export function deriveTraits(answers = {}) {
+  const traits = [];
+  for (const question of QUESTIONS) {
+    const answer = answers[question.id];
+    if (answer === undefined) continue;
+    const choice = typeof answer === 'number' ? question.choices[answer] : null;
+    traits.push({ trait_type: question.text, value: choice ? choice.text : String(answer) });
+  }
+  return traits;
+}
+
+function modeLabel(mode) {
+  return mode ? mode.charAt(0).toUpperCase() + mode.slice(1) : 'Unknown';
+}
+
+/**
+ * On-chain name: "LOSSY #N -- Mode -- YY-MM-DD" (no "#N" without an edition),
+ * within the 32-byte limit. The mode is shortened to fit; the Mode trait
+ * carries it in full.
+ */
+export function nftName(mode, date = new Date(), edition = null) {
+  const prefix = edition ? `LOSSY #${edition} -- ` : 'LOSSY -- ';
+  const suffix = ` -- ${date.toISOString().slice(2, 10)}`;
+  const room = Math.max(0, 32 - prefix.length - suffix.length);
+  return `${prefix}${modeLabel(mode).slice(0, Math.min(10, room))}${suffix}`.slice(0, 32);
+}
+
+/**
+ * The NFT metadata JSON for a session's metadata. `fileType` is the stored
+ * file's MIME type (default: the output type's usual one); `creator` the
+ * creator address; `edition` its number in the collection, if it has one.
+ * Without a fileUri (the page's local download) there's no image or files entry.
+ */
+export function buildNftMetadata({ metadata, outputType, fileType, creator, edition = null, date = new Date() }) {
+  const output = OUTPUT_FILES[outputType];
+  if (!output) throw new Error(`Unknown outputType: ${outputType}`);
+  const fileUri = metadata.fileUri || null;
+
+  const attributes = deriveTraits(metadata.answers);
+  if (metadata.mode) attributes.push({ trait_type: 'Mode', value: modeLabel(metadata.mode) });
+  if (metadata.speed) attributes.push({ trait_type: 'Speed', value: String(metadata.speed) + 'x' });
+  attributes.push({ trait_type: 'Output Type', value: outputType });
+  if (edition) attributes.push({ trait_type: 'Edition', value: edition, display_type: 'number' });
+
+  return {
+    name: nftName(metadata.mode, date, edition),
+    description: DESCRIPTION,
+    image: fileUri || undefined,
+    animation_url: fileUri && outputType !== 'photo' ? fileUri : undefined,
+    external_url: 'https://exchange.art',
+    attributes,
+    properties: {
+      files: fileUri ? [{ uri: fileUri, type: fileType || output.mimeTypes[0] }] : [],
+      category: output.category,
+      creators: creator ? [{ address: creator, share: 100 }] : [],
+    },
+  };
+}
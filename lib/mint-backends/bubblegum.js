@@ -0,0 +1,175 @@
+// lib/mint-backends/bubblegum.js
+// Compressed NFT (Bubblegum). No mint, metadata or edition accounts; the
+// leaf goes into a Merkle tree this app owns, and mintToCollectionV1 verifies
+// the collection (COLLECTION_MINT) in the same transaction.
+//
+// The tree is created on first use and recorded in Redis; when it's full a
+// new one replaces it. BUBBLEGUM_TREE pins a tree created elsewhere instead.
+// Tree size: BUBBLEGUM_TREE_DEPTH (default 14 — 16,384 leaves),
+// BUBBLEGUM_TREE_BUFFER (64), BUBBLEGUM_TREE_CANOPY (8).
+//
+// A compressed mint has no address known up front, so the signature is
+// recorded before confirmation (compressedMintSent). A retry looks that
+// transaction up and only sends a new one once the old one can no longer land.
+//
+// Steps: compressedMintSent, compressedMint
+
+import { redis, withLock } from '../redis.js';
+import { getConnection } from '../solana.js';
+import { recordStep, hasStep } from '../sessions.js';
+import { getCluster } from '../cluster.js';
+
+// Same COLLECTION_MINT as Token Metadata NFTs
+export { checkCollection } from './token-metadata.js';
+
+export const TREE_KEY = 'bubblegum:tree';
+const TREE_LOCK_TTL = 120;
+
+export async function mint({ session, umi, masterKeypair, metadataUri, name, tokenOwner, save }) {
+  const {
+    mplBubblegum,
+    mintV1,
+    mintToCollectionV1,
+    parseLeafFromMintV1Transaction,
+    parseLeafFromMintToCollectionV1Transaction,
+    findLeafAssetIdPda,
+  } = await import('@metaplex-foundation/mpl-bubblegum');
+  const { mplTokenMetadata } = await import('@metaplex-foundation/mpl-token-metadata');
+  const { none, publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+  const bs58 = await import('bs58');
+
+  umi.use(mplTokenMetadata()).use(mplBubblegum());
+
+  const collectionMintAddr = getCluster().collectionMint;
+
+  if (!hasStep(session, 'compressedMint')) {
+    let sent = session.steps.compressedMintSent || null;
+    if (sent && !(await hasLanded(sent))) sent = null;
+
+    if (!sent) {
+      const tree = await currentTree(umi);
+      const creator = umiPublicKey(masterKeypair.publicKey.toBase58());
+      const metadata = {
+        name,
+        symbol: 'LOSSY',
+        uri: metadataUri,
+        sellerFeeBasisPoints: 1500,
+        creators: [{ address: creator, verified: false, share: 100 }],
+        isMutable: false,
+        collection: collectionMintAddr ? { key: umiPublicKey(collectionMintAddr), verified: false } : none(),
+      };
+      const builder = collectionMintAddr
+        ? mintToCollectionV1(umi, {
+            leafOwner: umiPublicKey(tokenOwner),
+            merkleTree: umiPublicKey(tree.address),
+            collectionMint: umiPublicKey(collectionMintAddr),
+            metadata,
+          })
+        : mintV1(umi, {
+            leafOwner: umiPublicKey(tokenOwner),
+            merkleTree: umiPublicKey(tree.address),
+            metadata,
+          });
+
+      const blockhash = await umi.rpc.getLatestBlockhash();
+      const signature = await builder.setBlockhash(blockhash).send(umi);
+      sent = {
+        signature: bs58.default.encode(signature),
+        tree: tree.address,
+        lastValidBlockHeight: blockhash.lastValidBlockHeight,
+      };
+      recordStep(session, 'compressedMintSent', sent);
+      await save();
+
+      await umi.rpc.confirmTransaction(signature, { strategy: { type: 'blockhash', ...blockhash } });
+    }
+
+    const signatureBytes = bs58.default.decode(sent.signature);
+    const leaf = collectionMintAddr
+      ? await parseLeafFromMintToCollectionV1Transaction(umi, signatureBytes)
+      : await parseLeafFromMintV1Transaction(umi, signatureBytes);
+    const [assetId] = findLeafAssetIdPda(umi, { merkleTree: umiPublicKey(sent.tree), leafIndex: leaf.nonce });
+
+    recordStep(session, 'compressedMint', {
+      assetId,
+      signature: sent.signature,
+      tree: sent.tree,
+      leafIndex: Number(leaf.nonce),
+    });
+    await save();
+    await redis.incr(treeCountKey(sent.tree));
+  }
+
+  const { assetId, signature } = session.steps.compressedMint;
+  return { assetId, signature };
+}
+
+/**
+ * True if a sent mint landed, false if it failed or can no longer land.
+ * Throws while it's still in flight — the next retry looks again.
+ */
+async function hasLanded(sent) {
+  const connection = getConnection();
+  const { value } = await connection.getSignatureStatus(sent.signature, { searchTransactionHistory: true });
+  if (value?.err) return false;
+  if (value?.confirmationStatus === 'confirmed' || value?.confirmationStatus === 'finalized') return true;
+  if ((await connection.getBlockHeight()) > sent.lastValidBlockHeight) return false;
+  throw new Error('Compressed mint still confirming — retry shortly');
+}
+
+/**
+ * The tree to mint into: BUBBLEGUM_TREE, else the managed tree, creating a
+ * new one when there's none yet or the current one is full.
+ */
+async function currentTree(umi) {
+  if (process.env.BUBBLEGUM_TREE) return { address: process.env.BUBBLEGUM_TREE };
+
+  const tree = await redis.getJson(TREE_KEY);
+  if (tree && Number(await redis.get(treeCountKey(tree.address)) || 0) < tree.capacity) return tree;
+
+  const { locked, result } = await withLock('lock:bubblegum-tree', TREE_LOCK_TTL, async () => {
+    // Someone else may have replaced it while we waited
+    const latest = await redis.getJson(TREE_KEY);
+    if (latest && latest.address !== tree?.address) return latest;
+    return createManagedTree(umi);
+  });
+  if (!locked) throw new Error('Merkle tree is being created — retry shortly');
+  return result;
+}
+
+/**
+ * Create a tree owned by the master wallet and make it the managed tree.
+ * Resolves the tree record { address, maxDepth, maxBufferSize, canopyDepth, capacity, signature, createdAt }.
+ */
+export async function createManagedTree(umi) {
+  const { createTree, mplBubblegum } = await import('@metaplex-foundation/mpl-bubblegum');
+  const { generateSigner } = await import('@metaplex-foundation/umi');
+  const bs58 = await import('bs58');
+
+  umi.use(mplBubblegum());
+
+  const maxDepth = Number(process.env.BUBBLEGUM_TREE_DEPTH) || 14;
+  const maxBufferSize = Number(process.env.BUBBLEGUM_TREE_BUFFER) || 64;
+  const canopyDepth = Number(process.env.BUBBLEGUM_TREE_CANOPY) || 8;
+
+  const merkleTree = generateSigner(umi);
+  const builder = await createTree(umi, { merkleTree, maxDepth, maxBufferSize, canopyDepth, public: false });
+  const { signature } = await builder.sendAndConfirm(umi);
+
+  const tree = {
+    address: merkleTree.publicKey,
+    maxDepth,
+    maxBufferSize,
+    canopyDepth,
+    capacity: 2 ** maxDepth,
+    signature: bs58.default.encode(signature),
+    createdAt: Date.now(),
+  };
+  await redis.set(TREE_KEY, JSON.stringify(tree));
+  await redis.set(treeCountKey(tree.address), '0');
+  return tree;
+}
+
+function treeCountKey(address) {
+  return `bubblegum:tree-count:${address}`;
+}
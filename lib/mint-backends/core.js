@@ -0,0 +1,80 @@
+// lib/mint-backends/core.js
+// Metaplex Core asset: one account, one transaction, collection membership
+// included. The asset address is derived per session (getMintKeypair), like
+// the Token Metadata mint, so a landed-but-unconfirmed create isn't repeated.
+//
+// Config: CORE_COLLECTION — the Core collection (create it with
+// npm run collection -- create --type core). Royalties live on the collection; an
+// asset minted without one carries its own.
+//
+// Steps: createCoreAsset
+
+import { getMintKeypair } from '../wallet.js';
+import { recordStep, hasStep } from '../sessions.js';
+import { getCluster } from '../cluster.js';
+
+export const ROYALTY_BASIS_POINTS = 1500;
+
+export async function mint({ session, umi, masterKeypair, metadataUri, name, tokenOwner, save }) {
+  const { mplCore, create, fetchCollection } = await import('@metaplex-foundation/mpl-core');
+  const { createSignerFromKeypair, publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+  const bs58 = await import('bs58');
+
+  umi.use(mplCore());
+
+  const assetKeypair = await getMintKeypair(session.sessionIndex);
+  const asset = createSignerFromKeypair(umi, umi.eddsa.createKeypairFromSecretKey(assetKeypair.secretKey));
+
+  if (!hasStep(session, 'createCoreAsset')) {
+    let signature = null;
+
+    if (!(await umi.rpc.accountExists(asset.publicKey))) {
+      const collectionAddr = getCluster().coreCollection;
+      const collection = collectionAddr ? await fetchCollection(umi, umiPublicKey(collectionAddr)) : undefined;
+
+      const result = await create(umi, {
+        asset,
+        name,
+        uri: metadataUri,
+        owner: umiPublicKey(tokenOwner),
+        collection,
+        plugins: collection ? [] : [{
+          type: 'Royalties',
+          basisPoints: ROYALTY_BASIS_POINTS,
+          creators: [{ address: umiPublicKey(masterKeypair.publicKey.toBase58()), percentage: 100 }],
+          ruleSet: { type: 'None' },
+        }],
+      }).sendAndConfirm(umi);
+      signature = bs58.default.encode(result.signature);
+    }
+
+    recordStep(session, 'createCoreAsset', { assetId: asset.publicKey, signature });
+    await save();
+  }
+
+  return { assetId: asset.publicKey, signature: session.steps.createCoreAsset.signature };
+}
+
+/**
+ * Readiness check for /api/health: CORE_COLLECTION exists and the master
+ * wallet is its update authority, so assets can be created in it.
+ */
+export async function checkCollection({ umi, masterKeypair }) {
+  const collectionAddr = getCluster().coreCollection;
+  if (!collectionAddr) return { status: 'warn', detail: 'CORE_COLLECTION not set — assets mint without a collection' };
+
+  const { mplCore, fetchCollection } = await import('@metaplex-foundation/mpl-core');
+  const { publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+  umi.use(mplCore());
+
+  const collection = await fetchCollection(umi, umiPublicKey(collectionAddr)).catch(() => null);
+  if (!collection) return { status: 'fail', collection: collectionAddr, detail: 'Core collection account not found' };
+
+  const authorityIsMaster = collection.updateAuthority === masterKeypair.publicKey.toBase58();
+  return {
+    status: authorityIsMaster ? 'ok' : 'fail',
+    collection: collectionAddr,
+    updateAuthority: collection.updateAuthority,
+    authorityIsMaster,
+  };
+}
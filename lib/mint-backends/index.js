@@ -0,0 +1,68 @@
+// lib/mint-backends/index.js
+// Pluggable on-chain mint step. MINT_BACKEND picks one:
+//
+//   token-metadata  full Token Metadata NFT, collection verified in its own tx (default)
+//   bubblegum       compressed NFT into a Merkle tree this app creates and manages
+//   core            Metaplex Core asset, in the Core collection CORE_COLLECTION
+//
+// A backend module exports `mint(ctx)`, which runs its steps (recorded on
+// the session so a retry resumes) and resolves { assetId, signature }, and
+// `checkCollection({ umi, masterKeypair })`, /api/health's check that its
+// collection is set up for the master wallet to mint into.
+// lib/mint.js turns that into the same mint result for every backend.
+//
+// The backend is fixed on the session when its mint starts, so a config
+// change never switches a half-finished mint to another backend.
+
+import { getCluster, explorerUrl } from '../cluster.js';
+
+export const MINT_BACKEND = {
+  TOKEN_METADATA: 'token-metadata',
+  BUBBLEGUM:      'bubblegum',
+  CORE:           'core',
+};
+
+const LOADERS = {
+  [MINT_BACKEND.TOKEN_METADATA]: () => import('./token-metadata.js'),
+  [MINT_BACKEND.BUBBLEGUM]:      () => import('./bubblegum.js'),
+  [MINT_BACKEND.CORE]:           () => import('./core.js'),
+};
+
+/**
+ * The configured backend for new mints.
+ */
+export function configuredMintBackend() {
+  const name = (process.env.MINT_BACKEND || MINT_BACKEND.TOKEN_METADATA).trim();
+  if (!LOADERS[name]) throw new Error(`Unknown MINT_BACKEND: ${name}`);
+  return name;
+}
+
+export async function loadMintBackend(name) {
+  if (!LOADERS[name]) throw new Error(`Unknown mint backend: ${name}`);
+  return LOADERS[name]();
+}
+
+/**
+ * A umi instance signing as the master wallet. Backends add their programs.
+ */
+export async function createMasterUmi(masterKeypair) {
+  const { createUmi } = await import('@metaplex-foundation/umi-bundle-defaults');
+  const { createSignerFromKeypair, signerIdentity } = await import('@metaplex-foundation/umi');
+
+  const umi = createUmi(getCluster().rpcUrl);
+  const signer = createSignerFromKeypair(umi, umi.eddsa.createKeypairFromSecretKey(masterKeypair.secretKey));
+  umi.use(signerIdentity(signer));
+  return { umi, signer };
+}
+
+/**
+ * The mint result every backend reports.
+ */
+export function mintResult(backend, { assetId, signature }) {
+  return {
+    backend,
+    assetId,
+    signature,
+    explorerUrl: explorerUrl('address', assetId),
+  };
+}
@@ -0,0 +1,118 @@
+// lib/mint-backends/token-metadata.js
+// Full Token Metadata NFT: createNft, then verifyCollectionV1 in its own
+// transaction. The mint address is derived per session (getMintKeypair), so
+// a createNft that landed but lost its confirmation is detected, not repeated.
+//
+// Steps: createNft, verifyCollection
+
+import { getMintKeypair } from '../wallet.js';
+import { recordStep, hasStep } from '../sessions.js';
+import { getCluster } from '../cluster.js';
+
+export async function mint({ session, umi, signer, masterKeypair, metadataUri, name, tokenOwner, save }) {
+  const {
+    createNft,
+    mplTokenMetadata,
+    verifyCollectionV1,
+    findMetadataPda,
+    fetchMetadataFromSeeds,
+  } = await import('@metaplex-foundation/mpl-token-metadata');
+  const {
+    createSignerFromKeypair,
+    percentAmount,
+    unwrapOption,
+    publicKey: umiPublicKey,
+  } = await import('@metaplex-foundation/umi');
+  const bs58 = await import('bs58');
+
+  umi.use(mplTokenMetadata());
+
+  const mintKeypair = await getMintKeypair(session.sessionIndex);
+  const mint = createSignerFromKeypair(umi, umi.eddsa.createKeypairFromSecretKey(mintKeypair.secretKey));
+
+  const collectionMintAddr = getCluster().collectionMint;
+
+  if (!hasStep(session, 'createNft')) {
+    let signature = null;
+
+    // The mint address is fixed per session, so if it already exists on-chain
+    // an earlier attempt landed and only its confirmation was lost.
+    if (!(await umi.rpc.accountExists(mint.publicKey))) {
+      // Master wallet is creator so it can self-verify (verified: true).
+      // Collection is attached unverified, then verified in its own step.
+      const result = await createNft(umi, {
+        mint,
+        name,
+        symbol: 'LOSSY',
+        uri: metadataUri,
+        sellerFeeBasisPoints: percentAmount(15, 2),
+        creators: [{
+          address: umiPublicKey(masterKeypair.publicKey.toBase58()),
+          verified: true,
+          share: 100,
+        }],
+        tokenOwner: umiPublicKey(tokenOwner),
+        isMutable: false,
+        ...(collectionMintAddr ? {
+          collection: { key: umiPublicKey(collectionMintAddr), verified: false },
+        } : {}),
+      }).sendAndConfirm(umi);
+      signature = bs58.default.encode(result.signature);
+    }
+
+    recordStep(session, 'createNft', { mintAddress: mint.publicKey, signature });
+    await save();
+  }
+
+  // Verify collection membership on-chain so it shows correctly on marketplaces
+  if (collectionMintAddr && !hasStep(session, 'verifyCollection')) {
+    let signature = null;
+
+    const metadata = await fetchMetadataFromSeeds(umi, { mint: mint.publicKey });
+    const collection = unwrapOption(metadata.collection);
+    if (!collection?.verified) {
+      const result = await verifyCollectionV1(umi, {
+        metadata: findMetadataPda(umi, { mint: mint.publicKey }),
+        collectionMint: umiPublicKey(collectionMintAddr),
+        authority: signer,
+      }).sendAndConfirm(umi);
+      signature = bs58.default.encode(result.signature);
+    }
+
+    recordStep(session, 'verifyCollection', { signature });
+    await save();
+  }
+
+  return { assetId: mint.publicKey, signature: session.steps.createNft.signature };
+}
+
+/**
+ * Readiness check for /api/health: COLLECTION_MINT is a collection NFT
+ * (sized — create-collection makes one) whose update authority is the master
+ * wallet, so mints can verify into it.
+ */
+export async function checkCollection({ umi, masterKeypair }) {
+  const collectionMintAddr = getCluster().collectionMint;
+  if (!collectionMintAddr) return { status: 'warn', detail: 'COLLECTION_MINT not set — NFTs mint without a collection' };
+
+  const { mplTokenMetadata, fetchMetadataFromSeeds } = await import('@metaplex-foundation/mpl-token-metadata');
+  const { isSome, publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+  umi.use(mplTokenMetadata());
+
+  const mint = umiPublicKey(collectionMintAddr);
+  if (!(await umi.rpc.accountExists(mint))) {
+    return { status: 'fail', collection: collectionMintAddr, detail: 'Collection mint account not found' };
+  }
+  const metadata = await fetchMetadataFromSeeds(umi, { mint }).catch(() => null);
+  if (!metadata) return { status: 'fail', collection: collectionMintAddr, detail: 'Collection has no Token Metadata account' };
+
+  const isCollection = isSome(metadata.collectionDetails);
+  const authorityIsMaster = metadata.updateAuthority === masterKeypair.publicKey.toBase58();
+  return {
+    status: isCollection && authorityIsMaster ? 'ok' : 'fail',
+    collection: collectionMintAddr,
+    isCollection,
+    updateAuthority: metadata.updateAuthority,
+    authorityIsMaster,
+  };
+}
@@ -0,0 +1,453 @@
+// lib/mint.js
+// Drives a paid session through the mint pipeline:
+//   detect payment → pin metadata → mint (Token Metadata, Bubblegum or Core —
+//   see lib/mint-backends) → refund overpayment → sweep
+// Expired sessions are watched for late payments, which mint or are refunded.
+// Each step is recorded on the session, so a retry resumes where the last
+// attempt stopped instead of starting over.
+
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getSessionKeypair, getMasterKeypair } from './wallet.js';
+import {
+  getConnection,
+  getTokenBalance,
+  sweepToken,
+  sweepSol,
+} from './solana.js';
+import { recordMintedWork } from './ghosts.js';
+import { recordRevenue } from './revenue.js';
+import { refundPayment, canStillMint, REFUND_REASON } from './refunds.js';
+import { findReferencePayment, findSignaturePayment } from './solana-pay.js';
+import { resolveRecipient } from './recipient.js';
+import { recordEvent, EVENT } from './audit.js';
+import { emitWebhook, sessionPayload, alertLowBalance, WEBHOOK_EVENT } from './webhooks.js';
+import { logger } from './log.js';
+import { marketplaceUrl } from './cluster.js';
+import { buildNftMetadata } from './metadata.js';
+import { nextEdition, countMint, releaseSupply, reclaimSupply } from './supply.js';
+import { storeFile } from './storage/index.js';
+import { MINT_BACKEND, configuredMintBackend, loadMintBackend, createMasterUmi, mintResult } from './mint-backends/index.js';
+import {
+  STATUS,
+  transition,
+  recordStep,
+  hasStep,
+  isDormant,
+  paymentMint,
+  loadSession,
+  saveSession,
+  withSessionLock,
+} from './sessions.js';
+
+/**
+ * Advance a session as far as it can go right now.
+ * `signature` is a payment tx the caller already knows about (in-browser
+ * checkout), checked directly instead of waiting for the reference lookup.
+ * Safe to call concurrently — only the caller holding the session lock does
+ * any work; everyone else gets the current record back with busy: true.
+ * `log` is the caller's request logger, so audit events carry its request id.
+ */
+export async function processSession(sessionId, { testMode = false, signature = null, log = logger } = {}) {
+  const { locked, result } = await withSessionLock(sessionId, async () => {
+    const session = await loadSession(sessionId);
+    if (!session) return null;
+    await advance(session, { testMode, signature, log: log.child({ sessionId }) });
+    return session;
+  });
+
+  if (!locked) {
+    return { session: await loadSession(sessionId), busy: true };
+  }
+  return { session: result, busy: false };
+}
+
+/**
+ * Shape a session into the JSON the front end polls for.
+ */
+export function describeSession(session, { busy = false } = {}) {
+  const { status } = session;
+
+  if (status === STATUS.MINTED || status === STATUS.SWEPT) {
+    const result = session.mintResult
+      || mintResult(MINT_BACKEND.TOKEN_METADATA, { assetId: session.mintAddress, signature: session.mintSignature });
+    return {
+      status: 'minted',
+      backend: result.backend,
+      assetId: result.assetId,
+      mintAddress: result.assetId,
+      mintSignature: result.signature,
+      edition: session.steps?.edition?.number ?? null,
+      buyerWallet: session.buyerWallet,
+      explorerUrl: result.explorerUrl,
+      // Exchange Art lists Token Metadata NFTs, and only on mainnet
+      exchangeArtUrl: result.backend === MINT_BACKEND.TOKEN_METADATA ? marketplaceUrl(result.assetId) : null,
+    };
+  }
+
+  if (busy || status === STATUS.PAID || status === STATUS.MINTING) {
+    return { status: 'minting', message: 'Mint in progress...' };
+  }
+
+  if (status === STATUS.NEEDS_FUNDING || status === STATUS.MINT_FAILED) {
+    return {
+      status,
+      error: session.lastError?.message,
+      errorDetail: session.lastError?.stack,
+      buyerWallet: session.buyerWallet,
+    };
+  }
+
+  if (status === STATUS.NEEDS_RECIPIENT) {
+    return {
+      status,
+      message: 'Payment received, but the paying wallet could not be confirmed as yours. Claim it with the wallet that should receive the NFT.',
+    };
+  }
+
+  if (status === STATUS.REFUNDED || status === STATUS.REFUND_PENDING) {
+    return {
+      status,
+      token: session.price.token,
+      decimals: session.price.decimals,
+      refunds: (session.refunds || []).map(({ reason, amount, signature }) => ({ reason, amount, signature })),
+    };
+  }
+
+  if (status === STATUS.EXPIRED) {
+    return { status: 'expired' };
+  }
+
+  return {
+    status: 'pending',
+    paymentAddress: session.paymentAddress,
+    solanaPayUrl: session.solanaPayUrl,
+    token: session.price.token,
+    decimals: session.price.decimals,
+    requiredAmount: session.requiredAmount,
+    receivedAmount: session.receivedAmount || 0,
+    amountDisplay: session.price.amountDisplay,
+  };
+}
+
+async function advance(session, { testMode, signature, log }) {
+  const connection = getConnection();
+  const sessionKeypair = await getSessionKeypair(session.sessionIndex);
+  const mint = paymentMint(session);
+  const event = (type, data) => recordEvent(session.sessionId, type, data, log);
+
+  if (session.status === STATUS.PENDING && Date.now() > session.expiresAt) {
+    transition(session, STATUS.EXPIRED);
+    await releaseSupply(session);
+    await saveSession(session);
+  }
+
+  if (isDormant(session)) {
+    if (testMode) return;
+    await handleStrayPayment(connection, session, sessionKeypair, mint, log);
+  }
+
+  if (session.status === STATUS.PENDING) {
+    // Solana Pay wallets tag the transfer with the session's reference key,
+    // which identifies the payment and its sender. A plain transfer to the
+    // address (copy-paste, exchanges) falls back to the balance.
+    let payment = null;
+    if (!testMode && signature) {
+      payment = await findSignaturePayment(connection, signature, session.paymentAddress, mint);
+    }
+    if (!testMode && !payment && session.reference) {
+      payment = await findReferencePayment(connection, session.reference, session.paymentAddress, mint);
+    }
+
+    let balance = payment?.amount || 0;
+    if (balance < session.requiredAmount) {
+      balance = testMode ? session.requiredAmount : await getTokenBalance(connection, sessionKeypair.publicKey, mint);
+    }
+
+    if (balance < session.requiredAmount) {
+      if (balance !== session.receivedAmount) {
+        session.receivedAmount = balance;
+        await saveSession(session);
+      }
+      return;
+    }
+
+    session.receivedAmount = balance;
+    transition(session, STATUS.PAID);
+    recordStep(session, 'payment', {
+      amount: balance,
+      signature: payment?.signature || null,
+      sender: payment?.sender || null,
+      memos: payment?.memos || [],
+      testMode,
+    });
+    await saveSession(session);
+    await event(EVENT.PAYMENT_SEEN, { ...session.steps.payment, token: session.price.token });
+    await emitWebhook(WEBHOOK_EVENT.PAYMENT_RECEIVED, sessionPayload(session), log);
+  }
+
+  // Never mint blindly: without a trustworthy recipient, wait for a claim
+  if ([STATUS.PAID, STATUS.NEEDS_RECIPIENT].includes(session.status) && !session.buyerWallet) {
+    const recipient = await resolveRecipient(connection, session, sessionKeypair);
+    if (!recipient) {
+      if (session.status !== STATUS.NEEDS_RECIPIENT) {
+        transition(session, STATUS.NEEDS_RECIPIENT);
+        await saveSession(session);
+      }
+      return;
+    }
+    session.buyerWallet = recipient.wallet;
+    session.recipientSource = recipient.source;
+    await saveSession(session);
+  }
+
+  if ([STATUS.PAID, STATUS.NEEDS_RECIPIENT, STATUS.NEEDS_FUNDING, STATUS.MINT_FAILED].includes(session.status)) {
+    transition(session, STATUS.MINTING);
+    await saveSession(session);
+  }
+
+  // A session can be left in `minting` by a request that died mid-way —
+  // holding the lock means nobody else is on it, so resume.
+  if (session.status === STATUS.MINTING) {
+    await event(EVENT.MINT_ATTEMPT, {
+      recipient: session.buyerWallet,
+      backend: session.mintBackend || configuredMintBackend(),
+      completedSteps: Object.keys(session.steps),
+    });
+    try {
+      await mintNft(session);
+    } catch (mintErr) {
+      failMint(session, mintErr);
+      await saveSession(session);
+      await event(EVENT.MINT_FAILED, { status: session.status, err: mintErr });
+      await emitWebhook(WEBHOOK_EVENT.MINT_FAILED, sessionPayload(session), log);
+      if (session.status === STATUS.NEEDS_FUNDING) await alertMasterFunding(connection, session, log);
+      return;
+    }
+
+    transition(session, STATUS.MINTED);
+    session.lastError = null;
+    await saveSession(session);
+    await event(EVENT.MINT_SUCCEEDED, {
+      ...session.mintResult,
+      collectionSignature: session.steps.verifyCollection?.signature || null,
+    });
+    await emitWebhook(WEBHOOK_EVENT.MINT_SUCCEEDED, sessionPayload(session), log);
+
+    // Make this work available to the ghost layer of future exports
+    try {
+      await recordMintedWork(session, {
+        name: session.steps.metadataPin.name,
+        mintAddress: session.mintAddress,
+      });
+    } catch (indexErr) {
+      log.error('Ghost index error (non-fatal)', { err: indexErr });
+    }
+
+    try {
+      await recordRevenue(session);
+    } catch (revenueErr) {
+      log.error('Revenue record error (non-fatal)', { err: revenueErr });
+    }
+
+    try {
+      await countMint({ mode: session.metadata.mode, outputType: session.outputType });
+    } catch (countErr) {
+      log.error('Supply count error (non-fatal)', { err: countErr });
+    }
+  }
+
+  if (session.status === STATUS.MINTED) {
+    // Anything above the price goes back before the rest is swept
+    if (!hasStep(session, 'overpaymentRefund')) {
+      try {
+        const balance = await getTokenBalance(connection, sessionKeypair.publicKey, mint);
+        const excess = balance - session.requiredAmount;
+        if (excess > 0) {
+          const refund = await refundPayment(connection, session, sessionKeypair, excess, REFUND_REASON.OVERPAYMENT, { log });
+          recordStep(session, 'overpaymentRefund', refund || {
+            amount: excess,
+            unresolved: 'Could not verify who paid — excess swept to master, refund manually',
+          });
+        } else {
+          recordStep(session, 'overpaymentRefund', { amount: 0 });
+        }
+        await saveSession(session);
+      } catch (refundErr) {
+        // Don't sweep the excess into master — the next pass retries the refund
+        session.lastError = { message: `Overpayment refund failed: ${refundErr.message}`, at: Date.now() };
+        await saveSession(session);
+        await event(EVENT.ERROR, { step: 'overpaymentRefund', err: refundErr });
+        return;
+      }
+    }
+
+    try {
+      const masterKeypair = await getMasterKeypair();
+      // A SOL payment is swept along with the wallet's leftover SOL. The
+      // emptied ATA is closed first, so its rent goes out with that sweep.
+      // Master pays the fees — session wallets aren't funded.
+      const tokenSignature = mint
+        ? await sweepToken(connection, sessionKeypair, masterKeypair.publicKey, mint, { closeAccount: true, feePayer: masterKeypair })
+        : null;
+      const solSignature   = await sweepSol(connection, sessionKeypair, masterKeypair.publicKey, { feePayer: masterKeypair });
+      session.sweepSignature = tokenSignature || solSignature;
+      recordStep(session, 'sweep', { tokenSignature, solSignature });
+      transition(session, STATUS.SWEPT);
+      await saveSession(session);
+      await event(EVENT.SWEEP, { tokenSignature, solSignature });
+    } catch (sweepErr) {
+      // Funds stay in the derived wallet; the next pass retries the sweep
+      await event(EVENT.ERROR, { step: 'sweep', err: sweepErr });
+    }
+  }
+}
+
+/**
+ * Handle a payment landing on an expired session's address: a full payment
+ * inside the grace window goes on to mint if there's still supply for it;
+ * anything else is sent back.
+ */
+async function handleStrayPayment(connection, session, sessionKeypair, mint, log) {
+  const event = (type, data) => recordEvent(session.sessionId, type, data, log);
+  const balance = await getTokenBalance(connection, sessionKeypair.publicKey, mint);
+  if (balance === 0) return;
+
+  const mintable = session.status === STATUS.EXPIRED && balance >= session.requiredAmount && canStillMint(session);
+  // Its supply slot went back when it expired, so it has to win one again
+  const soldOut = mintable && !(await reclaimSupply(session));
+
+  if (mintable && !soldOut) {
+    session.receivedAmount = balance;
+    transition(session, STATUS.PAID);
+    recordStep(session, 'payment', { amount: balance, late: true });
+    await saveSession(session);
+    await event(EVENT.PAYMENT_SEEN, { amount: balance, token: session.price.token, late: true });
+    await emitWebhook(WEBHOOK_EVENT.PAYMENT_RECEIVED, { ...sessionPayload(session), late: true }, log);
+    return;
+  }
+
+  const reason = soldOut ? REFUND_REASON.SOLD_OUT
+    : balance >= session.requiredAmount ? REFUND_REASON.LATE_PAYMENT
+    : REFUND_REASON.UNDERPAYMENT;
+  try {
+    const refund = await refundPayment(connection, session, sessionKeypair, balance, reason, { log });
+    if (!refund) throw new Error('Could not verify who paid — refund it from the admin dashboard with a wallet');
+    session.lastError = null;
+    if (session.status !== STATUS.REFUNDED) transition(session, STATUS.REFUNDED);
+    await saveSession(session);
+  } catch (refundErr) {
+    session.lastError = { message: `Refund failed: ${refundErr.message}`, at: Date.now() };
+    if (session.status === STATUS.EXPIRED) transition(session, STATUS.REFUND_PENDING);
+    await saveSession(session);
+    await event(EVENT.ERROR, { step: 'refund', reason, err: refundErr });
+  }
+}
+
+async function alertMasterFunding(connection, session, log) {
+  try {
+    const masterKeypair = await getMasterKeypair();
+    const lamports = await connection.getBalance(masterKeypair.publicKey);
+    await alertLowBalance({
+      address: masterKeypair.publicKey.toBase58(),
+      solBalance: lamports / LAMPORTS_PER_SOL,
+      reason: 'needs_funding',
+      sessionId: session.sessionId,
+    }, log);
+  } catch (err) {
+    log.error('Low balance alert error', { err });
+  }
+}
+
+function failMint(session, mintErr) {
+  const errMsg = mintErr.message || String(mintErr);
+  const isInsufficientSol = errMsg.includes('insufficient lamports') || errMsg.includes('Insufficient lamports');
+
+  if (isInsufficientSol) {
+    const match = errMsg.match(/need (\d+)/);
+    const needed = match ? (parseInt(match[1]) / 1e9).toFixed(4) : 'unknown';
+    transition(session, STATUS.NEEDS_FUNDING);
+    session.lastError = {
+      message: `Master wallet needs more SOL (${needed} SOL required). Payment is safe.`,
+      at: Date.now(),
+    };
+    return;
+  }
+
+  transition(session, STATUS.MINT_FAILED);
+  session.lastError = {
+    message: errMsg,
+    stack: mintErr.stack ? mintErr.stack.slice(0, 800) : undefined,
+    at: Date.now(),
+  };
+}
+
+/**
+ * Run the on-chain half of the pipeline, skipping any step already recorded.
+ * Saves the session after every step so a crash loses at most one step.
+ * The on-chain mint itself is the session's mint backend (lib/mint-backends).
+ */
+async function mintNft(session) {
+  const masterKeypair = await getMasterKeypair();
+
+  if (!hasStep(session, 'metadataPin')) {
+    // Numbered when it starts minting — the number goes in its name
+    if (!hasStep(session, 'edition')) {
+      const number = await nextEdition();
+      recordStep(session, 'edition', { number });
+      await saveSession(session);
+    }
+    const pinned = await pinMetadata(session, masterKeypair);
+    recordStep(session, 'metadataPin', pinned);
+    await saveSession(session);
+  }
+  const { uri: metadataUri, name } = session.steps.metadataPin;
+
+  // Sessions that started minting before backends existed are Token Metadata
+  if (!session.mintBackend) {
+    session.mintBackend = hasStep(session, 'createNft') ? MINT_BACKEND.TOKEN_METADATA : configuredMintBackend();
+    await saveSession(session);
+  }
+
+  const backend = await loadMintBackend(session.mintBackend);
+  const { umi, signer } = await createMasterUmi(masterKeypair);
+  const minted = await backend.mint({
+    session,
+    umi,
+    signer,
+    masterKeypair,
+    metadataUri,
+    name,
+    tokenOwner: session.buyerWallet || masterKeypair.publicKey.toBase58(),
+    save: () => saveSession(session),
+  });
+
+  session.mintResult = mintResult(session.mintBackend, minted);
+  session.mintAddress = minted.assetId;
+  session.mintSignature = minted.signature;
+  await saveSession(session);
+}
+
+/**
+ * Build the NFT metadata JSON for a session and store it (lib/storage).
+ */
+async function pinMetadata(session, masterKeypair) {
+  const metadataJson = buildNftMetadata({
+    metadata: session.metadata,
+    outputType: session.outputType,
+    fileType: session.fileType,
+    creator: masterKeypair.publicKey.toBase58(),
+    edition: session.steps.edition?.number,
+  });
+
+  const stored = await storeFile(JSON.stringify(metadataJson), {
+    name: `lossy-metadata-${Date.now()}.json`,
+    contentType: 'application/json',
+  });
+
+  // On-chain uri is the gateway URL — wallets and explorers fetch it directly
+  return {
+    name: metadataJson.name,
+    uri: stored.url,
+    storageUri: stored.uri,
+  };
+}
@@ -0,0 +1,137 @@
+// lib/pricing.js
+// What a Lossy costs and in which tokens it can be paid.
+//
+// Prices are set in USD per output type and converted to a token amount when a
+// session is created. That quote (amount, rate, discount) is stored on the
+// session, so what the buyer was shown is what they owe — even for SOL, whose
+// USD rate moves.
+//
+// Config (all optional):
+//   PRICE_USD_PHOTO / PRICE_USD_AUDIO / PRICE_USD_VIDEO   default 2.25
+//   ACCEPTED_TOKENS   comma list, default "USDC,USDT,SOL"
+//   DISCOUNT_CODES    JSON: { "CODE": { "percent": 20, "startsAt": "2026-11-01", "endsAt": "2026-11-08" } }
+//                     percent must be under 100 — every session has to be paid
+
+import { redis } from './redis.js';
+import { USDC_MINT, USDT_MINT } from './solana.js';
+
+export const OUTPUT_TYPES = ['photo', 'audio', 'video'];
+
+const DEFAULT_PRICE_USD = 2.25;
+
+// Only tokens that exist on the configured cluster (lib/cluster.js)
+export const TOKENS = {
+  ...(USDC_MINT && { USDC: { symbol: 'USDC', mint: USDC_MINT, decimals: 6, stable: true } }),
+  ...(USDT_MINT && { USDT: { symbol: 'USDT', mint: USDT_MINT, decimals: 6, stable: true } }),
+  SOL: { symbol: 'SOL', mint: null, decimals: 9, stable: false },
+};
+
+const SOL_PRICE_URL = 'https://lite-api.jup.ag/price/v2?ids=So11111111111111111111111111111111111111112';
+const SOL_PRICE_CACHE_KEY = 'price:SOL-USD';
+const SOL_PRICE_CACHE_TTL = 60;
+
+/**
+ * Token symbols buyers may pay with.
+ */
+export function acceptedTokens() {
+  const configured = (process.env.ACCEPTED_TOKENS || 'USDC,USDT,SOL')
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(s => TOKENS[s]);
+  return configured.length ? configured : [Object.keys(TOKENS)[0]];
+}
+
+/**
+ * Base USD price for an output type.
+ */
+export function basePriceUsd(outputType) {
+  const configured = Number(process.env[`PRICE_USD_${String(outputType).toUpperCase()}`]);
+  return configured > 0 ? configured : DEFAULT_PRICE_USD;
+}
+
+/**
+ * Look up a discount code that is valid right now. Returns { code, percent } or null.
+ */
+export function findDiscount(code, now = Date.now()) {
+  if (!code) return null;
+  let codes;
+  try { codes = JSON.parse(process.env.DISCOUNT_CODES || '{}'); } catch { return null; }
+
+  const key = Object.keys(codes).find(k => k.toUpperCase() === String(code).trim().toUpperCase());
+  if (!key) return null;
+
+  const { percent, startsAt, endsAt } = codes[key];
+  // A free mint would look paid with an empty wallet — there is no free path
+  if (!(percent > 0 && percent < 100)) return null;
+  if (startsAt && now < Date.parse(startsAt)) return null;
+  if (endsAt && now > Date.parse(endsAt)) return null;
+  return { code: key, percent };
+}
+
+/**
+ * USD per SOL. Cached briefly in Redis so a burst of sessions makes one call.
+ */
+export async function getSolUsdRate() {
+  const cached = await redis.get(SOL_PRICE_CACHE_KEY);
+  if (cached) return Number(cached);
+
+  const res = await fetch(SOL_PRICE_URL, { signal: AbortSignal.timeout(5000) });
+  if (!res.ok) throw new Error(`SOL price lookup failed: ${res.status}`);
+  const json = await res.json();
+  const rate = Number(Object.values(json.data || {})[0]?.price);
+  if (!(rate > 0)) throw new Error('SOL price lookup returned no price');
+
+  await redis.set(SOL_PRICE_CACHE_KEY, String(rate), SOL_PRICE_CACHE_TTL);
+  return rate;
+}
+
+/**
+ * Raw token units → human string, e.g. 2250000 (6 dp) → "2.25".
+ */
+export function formatAmount(raw, decimals) {
+  const base = 10 ** decimals;
+  const whole = Math.floor(raw / base);
+  const frac  = String(raw % base).padStart(decimals, '0').replace(/0+$/, '');
+  return frac ? `${whole}.${frac}` : String(whole);
+}
+
+/**
+ * Quote the price of an output in a token. Throws on an unknown output type or
+ * a token that isn't accepted; an invalid discount code is simply ignored
+ * (and reported as discount: null).
+ */
+export async function quotePrice({ outputType, token = 'USDC', discountCode = null }) {
+  if (!OUTPUT_TYPES.includes(outputType)) throw new Error(`Unknown outputType: ${outputType}`);
+
+  const symbol = String(token).toUpperCase();
+  if (!acceptedTokens().includes(symbol)) throw new Error(`Token not accepted: ${token}`);
+  const tokenInfo = TOKENS[symbol];
+
+  const baseUsd  = basePriceUsd(outputType);
+  const discount = findDiscount(discountCode);
+  const usd = Math.round(baseUsd * (100 - (discount?.percent || 0))) / 100;
+
+  // Stablecoins are taken at $1
+  const rate = tokenInfo.stable ? 1 : await getSolUsdRate();
+  // Stablecoin amounts are exact cents; volatile ones round up so we're never short
+  const exact  = (usd / rate) * 10 ** tokenInfo.decimals;
+  const amount = tokenInfo.stable ? Math.round(exact) : Math.ceil(exact - 1e-6);
+  if (!(amount > 0)) throw new Error(`${outputType} in ${symbol} works out to nothing — check its price and discount`);
+  const amountDisplay = tokenInfo.stable
+    ? `$${usd.toFixed(2)} ${symbol}`
+    : `${formatAmount(amount, tokenInfo.decimals)} ${symbol} (~$${usd.toFixed(2)})`;
+
+  return {
+    outputType,
+    token: symbol,
+    mint: tokenInfo.mint ? tokenInfo.mint.toBase58() : null,
+    decimals: tokenInfo.decimals,
+    baseUsd,
+    usd,
+    discount,
+    rate,
+    amount,
+    amountDisplay,
+    quotedAt: Date.now(),
+  };
+}
@@ -0,0 +1,80 @@
+// lib/ratelimit.js
+// Fixed-window rate limits and the open-session cap, kept in Redis.
+// Creating a session and uploading media both cost real money (RPC, pinning,
+// token account rent), so each is limited per client and overall.
+//
+// Clients are identified by a hash of their IP — raw addresses aren't stored.
+//
+// Config (all optional; counts per window):
+//   RATE_LIMIT_SESSIONS_PER_IP     default 10 / 10 min
+//   RATE_LIMIT_SESSIONS_GLOBAL     default 200 / 10 min
+//   RATE_LIMIT_UPLOADS_PER_IP      default 10 / 10 min
+//   MAX_OPEN_SESSIONS_PER_CLIENT   default 3
+
+import { createHash } from 'node:crypto';
+import { redis } from './redis.js';
+
+const WINDOW_SECONDS = 10 * 60;
+
+export const LIMITS = {
+  sessionsPerIp:  { limit: envInt('RATE_LIMIT_SESSIONS_PER_IP', 10),   windowSeconds: WINDOW_SECONDS },
+  sessionsGlobal: { limit: envInt('RATE_LIMIT_SESSIONS_GLOBAL', 200), windowSeconds: WINDOW_SECONDS },
+  uploadsPerIp:   { limit: envInt('RATE_LIMIT_UPLOADS_PER_IP', 10),    windowSeconds: WINDOW_SECONDS },
+};
+
+export const MAX_OPEN_SESSIONS = envInt('MAX_OPEN_SESSIONS_PER_CLIENT', 3);
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return value > 0 ? value : fallback;
+}
+
+/**
+ * A stable, non-reversible id for the client behind a request.
+ * Vercel puts the real client IP first in x-forwarded-for.
+ */
+export function clientId(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  const ip = forwarded || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+  return createHash('sha256').update(`lossy:${ip}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Count one hit against a limit. Resolves { ok, retryAfter } — retryAfter is
+ * the seconds until the window resets, when over the limit.
+ */
+export async function hit(name, id, { limit, windowSeconds }) {
+  const key = `ratelimit:${name}:${id}`;
+  const count = await redis.incrWithExpiry(key, windowSeconds);
+  if (count <= limit) return { ok: true, retryAfter: 0 };
+
+  const ttl = await redis.ttl(key);
+  return { ok: false, retryAfter: ttl > 0 ? ttl : windowSeconds };
+}
+
+/**
+ * Sessions a client has open, i.e. created and not yet past their payment
+ * window. Expired ones drop out as they're counted.
+ */
+export async function openSessionCount(id) {
+  const key = `open-sessions:${id}`;
+  await redis.zremrangebyscore(key, '-inf', Date.now());
+  return Number(await redis.zcard(key));
+}
+
+/**
+ * Note a new session as open for a client until expiresAt.
+ */
+export async function trackOpenSession(id, sessionId, expiresAt) {
+  const key = `open-sessions:${id}`;
+  await redis.zadd(key, expiresAt, sessionId);
+  await redis.expire(key, Math.ceil((expiresAt - Date.now()) / 1000));
+}
+
+/**
+ * Send a 429 with Retry-After. Returns the response for `return` chaining.
+ */
+export function tooManyRequests(res, retryAfter, message) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
@@ -0,0 +1,122 @@
+// lib/recipient.js
+// Decides which wallet receives the NFT for a paid session.
+//
+// Only sources that actually say who the buyer is are trusted, in order:
+//   1. recipientWallet — given explicitly at session creation or via /api/claim
+//   2. the wallet an in-browser checkout was built for — only once the
+//      payment is seen to come from it, since a buyer can cancel the wallet
+//      checkout and pay from somewhere else
+//   3. a `lossy:<wallet>` memo on the payment transaction — never on any other
+//      transaction: anyone who sees the address can send dust with a memo
+//   4. the sender of a Solana Pay (reference-tagged) transfer
+// Anything else — e.g. a plain transfer that may have come from an exchange
+// hot wallet — leaves the session in `needs_recipient` until it's claimed.
+
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddress } from '@solana/spl-token';
+import { findSignaturePayment } from './solana-pay.js';
+import { paymentMint } from './sessions.js';
+
+export const RECIPIENT_MEMO_PREFIX = 'lossy:';
+
+/**
+ * Parse and check a wallet address. Returns the base58 string, or null if it
+ * isn't a valid on-curve (i.e. ordinary, user-held) Solana address.
+ */
+export function normalizeWallet(address) {
+  if (typeof address !== 'string') return null;
+  try {
+    const key = new PublicKey(address.trim());
+    return PublicKey.isOnCurve(key.toBytes()) ? key.toBase58() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A claim token is handed to whoever created the session and lets them set
+ * the recipient later. Only its hash is stored on the session.
+ */
+export function createClaimToken() {
+  const token = randomBytes(24).toString('base64url');
+  return { token, hash: hashClaimToken(token) };
+}
+
+export function checkClaimToken(session, token) {
+  if (typeof token !== 'string' || !session.claimTokenHash) return false;
+  const expected = Buffer.from(session.claimTokenHash, 'hex');
+  const actual = Buffer.from(hashClaimToken(token), 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function hashClaimToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse a `lossy:<wallet>` memo. Returns the wallet, or null.
+ */
+export function parseRecipientMemo(memo) {
+  if (typeof memo !== 'string') return null;
+  const trimmed = memo.trim();
+  if (!trimmed.toLowerCase().startsWith(RECIPIENT_MEMO_PREFIX)) return null;
+  return normalizeWallet(trimmed.slice(RECIPIENT_MEMO_PREFIX.length));
+}
+
+/**
+ * For a payment found by balance alone (a plain transfer): look through recent
+ * transactions on the session's payment account (its ATA for an SPL token,
+ * the wallet itself for SOL), oldest first, for a recipient memo on one whose
+ * transfer by itself covers `requiredAmount` — i.e. on the payment, not on
+ * dust someone else sent to the address.
+ */
+export async function findMemoRecipient(connection, receiverPublicKey, mint, requiredAmount) {
+  const watched = mint ? await getAssociatedTokenAddress(mint, receiverPublicKey) : receiverPublicKey;
+  const sigs = await connection.getSignaturesForAddress(watched, { limit: 10 });
+
+  for (const sigInfo of [...sigs].reverse()) {
+    if (sigInfo.err) continue;
+    // Memos show up on the signature list, which saves fetching most txs
+    if (sigInfo.memo === null) continue;
+
+    const payment = await findSignaturePayment(connection, sigInfo.signature, receiverPublicKey, mint);
+    if (!payment || payment.amount < requiredAmount) continue;
+    for (const memo of payment.memos) {
+      const wallet = parseRecipientMemo(memo);
+      if (wallet) return wallet;
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out the recipient for a paid session, or null if nothing trustworthy
+ * says who it is. Also reports which source was used.
+ */
+export async function resolveRecipient(connection, session, sessionKeypair) {
+  if (session.recipientWallet) {
+    return { wallet: session.recipientWallet, source: 'explicit' };
+  }
+
+  const payment = session.steps?.payment || {};
+  if (session.checkoutWallet && session.checkoutWallet === payment.sender) {
+    return { wallet: session.checkoutWallet, source: 'checkout' };
+  }
+
+  for (const memo of payment.memos || []) {
+    const wallet = parseRecipientMemo(memo);
+    if (wallet) return { wallet, source: 'memo' };
+  }
+  // Only when the payment transaction itself is unknown (found by balance)
+  if (!payment.signature) {
+    const memoWallet = await findMemoRecipient(connection, sessionKeypair.publicKey, paymentMint(session), session.requiredAmount);
+    if (memoWallet) return { wallet: memoWallet, source: 'memo' };
+  }
+
+  if (payment.sender && payment.signature) {
+    return { wallet: payment.sender, source: 'solana-pay' };
+  }
+
+  return null;
+}
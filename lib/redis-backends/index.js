@@ -0,0 +1,56 @@
+// lib/redis-backends/index.js
+// Where lib/redis.js keeps its data. REDIS_BACKEND picks one:
+//
+//   upstash  Upstash's REST API — dayafterday_KV_REST_API_URL / _TOKEN, which
+//            Vercel injects (default whenever those are set)
+//   redis    a plain Redis server over TCP — REDIS_URL (redis:// or rediss://;
+//            default when only REDIS_URL is set)
+//   memory   in process, optionally saved to REDIS_MEMORY_FILE as JSON —
+//            local development and tests only
+//
+// A backend module exports `command(args)`, which runs one Redis command
+// (['SET', key, value, 'EX', '60']) and resolves the reply as Upstash's REST
+// API shapes it: strings, integers, arrays and null. Errors are thrown as
+// "Redis error: …". lib/redis.js builds everything else on that.
+
+export const REDIS_BACKEND = {
+  UPSTASH: 'upstash',
+  REDIS:   'redis',
+  MEMORY:  'memory',
+};
+
+const LOADERS = {
+  [REDIS_BACKEND.UPSTASH]: () => import('./upstash.js'),
+  [REDIS_BACKEND.REDIS]:   () => import('./redis.js'),
+  [REDIS_BACKEND.MEMORY]:  () => import('./memory.js'),
+};
+
+/**
+ * The configured backend: REDIS_BACKEND, else whichever connection settings
+ * are present (Upstash first).
+ */
+export function configuredRedisBackend() {
+  const explicit = (process.env.REDIS_BACKEND || '').trim();
+  if (explicit) {
+    if (!LOADERS[explicit]) throw new Error(`Unknown REDIS_BACKEND: ${explicit}`);
+    return explicit;
+  }
+  if (!process.env.dayafterday_KV_REST_API_URL && process.env.REDIS_URL) return REDIS_BACKEND.REDIS;
+  return REDIS_BACKEND.UPSTASH;
+}
+
+/**
+ * Whether the configured backend has the settings it needs (see /api/health).
+ */
+export function redisConfigured() {
+  const required = {
+    [REDIS_BACKEND.UPSTASH]: ['dayafterday_KV_REST_API_URL', 'dayafterday_KV_REST_API_TOKEN'],
+    [REDIS_BACKEND.REDIS]:   ['REDIS_URL'],
+  }[configuredRedisBackend()] || [];
+  return required.every(name => !!(process.env[name] || '').trim());
+}
+
+export async function loadRedisBackend(name) {
+  if (!LOADERS[name]) throw new Error(`Unknown Redis backend: ${name}`);
+  return LOADERS[name]();
+}
@@ -0,0 +1,312 @@
+// lib/redis-backends/memory.js
+// Redis in process, for tests and local development. Runs the commands
+// lib/redis.js sends, answering the way Upstash's REST API does. Keys expire
+// lazily on access. EVAL only knows the scripts lib/redis.js uses.
+//
+// State lasts as long as the process, unless REDIS_MEMORY_FILE names a JSON
+// file: it's loaded on first use and rewritten after every write, so
+// `vercel dev` keeps its sessions across restarts. One process per file.
+
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+
+let store = null; // key → { type, value, expiresAt }
+
+// Commands that never change anything, so don't rewrite the file
+const READ_ONLY = new Set(['GET', 'TTL', 'LRANGE', 'LLEN', 'LINDEX', 'SMEMBERS', 'ZCARD', 'ZRANGEBYSCORE', 'ZREVRANGEBYSCORE', 'HGETALL', 'MGET']);
+
+// lib/redis.js's Lua scripts, by what they do
+const SCRIPTS = [
+  {
+    match: "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end",
+    run: ([key], [value]) => (read(key, 'string') === value ? del(key) : 0),
+  },
+  {
+    match: "local n = redis.call('INCR', KEYS[1]) if n == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end return n",
+    run: ([key], [ttl]) => {
+      const n = incrBy(key, 1);
+      if (n === 1) expire(key, Number(ttl));
+      return n;
+    },
+  },
+];
+
+const COMMANDS = {
+  GET: ([key]) => read(key, 'string'),
+
+  SET: ([key, value, ...options]) => {
+    const upper = options.map(o => String(o).toUpperCase());
+    if (upper.includes('NX') && entry(key)) return null;
+    const ex = upper.indexOf('EX');
+    write(key, 'string', String(value), ex >= 0 ? Date.now() + Number(options[ex + 1]) * 1000 : null);
+    return 'OK';
+  },
+
+  INCR: ([key]) => incrBy(key, 1),
+
+  TTL: ([key]) => {
+    const e = entry(key);
+    if (!e) return -2;
+    if (!e.expiresAt) return -1;
+    return Math.max(0, Math.ceil((e.expiresAt - Date.now()) / 1000));
+  },
+
+  EXPIRE: ([key, seconds]) => expire(key, Number(seconds)),
+
+  DEL: (keys) => keys.reduce((n, key) => n + del(key), 0),
+
+  LPUSH: ([key, ...values]) => {
+    const list = container(key, 'list', () => []);
+    for (const v of values) list.unshift(String(v));
+    return list.length;
+  },
+
+  RPUSH: ([key, ...values]) => {
+    const list = container(key, 'list', () => []);
+    for (const v of values) list.push(String(v));
+    return list.length;
+  },
+
+  LRANGE: ([key, start, stop]) => {
+    const list = read(key, 'list') || [];
+    const [from, to] = range(list.length, Number(start), Number(stop));
+    return list.slice(from, to + 1);
+  },
+
+  LTRIM: ([key, start, stop]) => {
+    const list = read(key, 'list');
+    if (!list) return 'OK';
+    const [from, to] = range(list.length, Number(start), Number(stop));
+    const kept = list.slice(from, to + 1);
+    if (kept.length) entry(key).value = kept;
+    else del(key);
+    return 'OK';
+  },
+
+  LLEN: ([key]) => (read(key, 'list') || []).length,
+
+  LINDEX: ([key, index]) => {
+    const list = read(key, 'list') || [];
+    const i = Number(index) < 0 ? list.length + Number(index) : Number(index);
+    return list[i] ?? null;
+  },
+
+  SADD: ([key, ...members]) => {
+    const set = container(key, 'set', () => new Set());
+    let added = 0;
+    for (const m of members) {
+      if (!set.has(String(m))) added++;
+      set.add(String(m));
+    }
+    return added;
+  },
+
+  SREM: ([key, ...members]) => {
+    const set = read(key, 'set');
+    if (!set) return 0;
+    const removed = members.filter(m => set.delete(String(m))).length;
+    if (!set.size) del(key);
+    return removed;
+  },
+
+  SMEMBERS: ([key]) => [...(read(key, 'set') || [])],
+
+  ZADD: ([key, ...pairs]) => {
+    const zset = container(key, 'zset', () => new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!zset.has(String(pairs[i + 1]))) added++;
+      zset.set(String(pairs[i + 1]), Number(pairs[i]));
+    }
+    return added;
+  },
+
+  ZREM: ([key, ...members]) => {
+    const zset = read(key, 'zset');
+    if (!zset) return 0;
+    const removed = members.filter(m => zset.delete(String(m))).length;
+    if (!zset.size) del(key);
+    return removed;
+  },
+
+  ZREMRANGEBYSCORE: ([key, min, max]) => {
+    const zset = read(key, 'zset');
+    if (!zset) return 0;
+    const inRange = scoreFilter(min, max);
+    let removed = 0;
+    for (const [member, score] of zset) {
+      if (inRange(score)) {
+        zset.delete(member);
+        removed++;
+      }
+    }
+    if (!zset.size) del(key);
+    return removed;
+  },
+
+  ZCARD: ([key]) => (read(key, 'zset') || new Map()).size,
+
+  ZRANGEBYSCORE: ([key, min, max, ...options]) => zrange(key, min, max, options, false),
+
+  ZREVRANGEBYSCORE: ([key, max, min, ...options]) => zrange(key, min, max, options, true),
+
+  HINCRBY: ([key, field, increment]) => {
+    const hash = container(key, 'hash', () => new Map());
+    const n = Number(hash.get(String(field)) || 0) + Number(increment);
+    hash.set(String(field), String(n));
+    return n;
+  },
+
+  HGETALL: ([key]) => [...(read(key, 'hash') || new Map())].flat(),
+
+  MGET: (keys) => keys.map(key => {
+    const e = entry(key);
+    return e?.type === 'string' ? e.value : null;
+  }),
+
+  EVAL: ([script, numKeys, ...rest]) => {
+    const known = SCRIPTS.find(s => s.match === script);
+    if (!known) throw new Error('Redis error: script not supported by the in-memory backend');
+    const n = Number(numKeys);
+    return known.run(rest.slice(0, n), rest.slice(n));
+  },
+};
+
+export async function command([name, ...args]) {
+  const upper = String(name).toUpperCase();
+  const run = COMMANDS[upper];
+  if (!run) throw new Error(`Redis error: ${name} is not supported by the in-memory backend`);
+  const result = run(args.map(String));
+  if (!READ_ONLY.has(upper)) save();
+  return result;
+}
+
+/**
+ * Forget everything (and empty REDIS_MEMORY_FILE) — between tests.
+ */
+export function resetMemoryStore() {
+  data().clear();
+  save();
+}
+
+function data() {
+  if (!store) store = load();
+  return store;
+}
+
+function load() {
+  const file = process.env.REDIS_MEMORY_FILE;
+  if (!file || !existsSync(file)) return new Map();
+  const revive = {
+    string: v => v,
+    list:   v => v,
+    set:    v => new Set(v),
+    zset:   v => new Map(v),
+    hash:   v => new Map(v),
+  };
+  const saved = JSON.parse(readFileSync(file, 'utf8'));
+  return new Map(Object.entries(saved).map(([key, { type, value, expiresAt }]) => [key, { type, value: revive[type](value), expiresAt }]));
+}
+
+function save() {
+  const file = process.env.REDIS_MEMORY_FILE;
+  if (!file) return;
+  const saved = {};
+  for (const [key, { type, value, expiresAt }] of data()) {
+    saved[key] = { type, value: typeof value === 'string' ? value : [...value], expiresAt };
+  }
+  // Written whole then renamed, so a crash never leaves half a file
+  writeFileSync(`${file}.tmp`, JSON.stringify(saved));
+  renameSync(`${file}.tmp`, file);
+}
+
+function entry(key) {
+  const e = data().get(key);
+  if (e && e.expiresAt && e.expiresAt <= Date.now()) {
+    data().delete(key);
+    return null;
+  }
+  return e || null;
+}
+
+function read(key, type) {
+  const e = entry(key);
+  if (!e) return null;
+  if (e.type !== type) throw new Error('Redis error: WRONGTYPE Operation against a key holding the wrong kind of value');
+  return e.value;
+}
+
+function write(key, type, value, expiresAt = null) {
+  data().set(key, { type, value, expiresAt });
+}
+
+// The list / set / hash at key, created empty if missing
+function container(key, type, create) {
+  const existing = read(key, type);
+  if (existing) return existing;
+  const value = create();
+  write(key, type, value);
+  return value;
+}
+
+function del(key) {
+  return entry(key) && data().delete(key) ? 1 : 0;
+}
+
+function expire(key, seconds) {
+  const e = entry(key);
+  if (!e) return 0;
+  e.expiresAt = Date.now() + seconds * 1000;
+  return 1;
+}
+
+function incrBy(key, by) {
+  const e = entry(key);
+  const current = e ? Number(read(key, 'string')) : 0;
+  if (!Number.isInteger(current)) throw new Error('Redis error: ERR value is not an integer or out of range');
+  const n = current + by;
+  if (e) e.value = String(n);
+  else write(key, 'string', String(n));
+  return n;
+}
+
+// Redis start/stop indexes (negative from the end, inclusive) → [from, to]
+function range(length, start, stop) {
+  const from = Math.max(0, start < 0 ? length + start : start);
+  const to = Math.min(length - 1, stop < 0 ? length + stop : stop);
+  return [from, to];
+}
+
+// min/max as Redis takes them: numbers, -inf / +inf, or "(" for exclusive
+function scoreFilter(min, max) {
+  const bound = (raw) => {
+    const exclusive = raw.startsWith('(');
+    const text = exclusive ? raw.slice(1) : raw;
+    const value = /^[-+]?inf$/i.test(text) ? (text.startsWith('-') ? -Infinity : Infinity) : Number(text);
+    return { value, exclusive };
+  };
+  const lo = bound(min);
+  const hi = bound(max);
+  return (score) => (lo.exclusive ? score > lo.value : score >= lo.value)
+    && (hi.exclusive ? score < hi.value : score <= hi.value);
+}
+
+function zrange(key, min, max, options, reverse) {
+  const zset = read(key, 'zset') || new Map();
+  const upper = options.map(o => o.toUpperCase());
+  const inRange = scoreFilter(min, max);
+
+  let members = [...zset]
+    .filter(([, score]) => inRange(score))
+    .sort(([a, sa], [b, sb]) => (sa - sb) || (a < b ? -1 : a > b ? 1 : 0));
+  if (reverse) members.reverse();
+
+  const limit = upper.indexOf('LIMIT');
+  if (limit >= 0) {
+    const offset = Number(options[limit + 1]);
+    const count = Number(options[limit + 2]);
+    members = members.slice(offset, count < 0 ? undefined : offset + count);
+  }
+  return upper.includes('WITHSCORES')
+    ? members.flatMap(([member, score]) => [member, String(score)])
+    : members.map(([member]) => member);
+}
@@ -0,0 +1,22 @@
+// lib/redis-backends/upstash.js
+// Upstash's REST API, with the env vars Vercel injected (dayafterday_ prefix).
+
+export async function command(args) {
+  const url   = process.env.dayafterday_KV_REST_API_URL;
+  const token = process.env.dayafterday_KV_REST_API_TOKEN;
+  if (!url || !token) {
+    throw new Error('Redis error: dayafterday_KV_REST_API_URL / dayafterday_KV_REST_API_TOKEN not configured');
+  }
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(args),
+  });
+  const json = await res.json();
+  if (json.error) throw new Error(`Redis error: ${json.error}`);
+  return json.result;
+}
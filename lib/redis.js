@@ -1,62 +1,208 @@
 // lib/redis.js
-// Upstash Redis client using the Vercel-injected env vars
-// Vercel injected these with the dayafterday_ prefix from Upstash
+// The Redis client everything else uses. Where the data lives — Upstash
+// (the default on Vercel), a Redis server over TCP, or in memory — is the
+// REDIS_BACKEND config, see lib/redis-backends.
 
-const BASE_URL  = process.env.dayafterday_KV_REST_API_URL;
-const TOKEN     = process.env.dayafterday_KV_REST_API_TOKEN;
+import { randomUUID } from 'node:crypto';
+import { logger } from './log.js';
+import { configuredRedisBackend, redisConfigured, loadRedisBackend } from './redis-backends/index.js';
 
-if (!BASE_URL || !TOKEN) {
-  console.warn('Redis env vars missing — sessions will not persist');
+try {
+  if (!redisConfigured()) logger.warn('Redis env vars missing — every Redis call will fail', { backend: configuredRedisBackend() });
+} catch (err) {
+  logger.warn('Redis misconfigured', { err });
 }
 
-async function redisRequest(args) {
-  const res = await fetch(`${BASE_URL}/${args.map(encodeURIComponent).join('/')}`, {
-    method: 'GET',
-    headers: { Authorization: `Bearer ${TOKEN}` },
-  });
-  const json = await res.json();
-  if (json.error) throw new Error(`Redis error: ${json.error}`);
-  return json.result;
-}
+let backendPromise = null;
 
-async function redisPost(command, ...args) {
-  const res = await fetch(`${BASE_URL}`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify([command, ...args]),
-  });
-  const json = await res.json();
-  if (json.error) throw new Error(`Redis error: ${json.error}`);
-  return json.result;
+async function redisCommand(command, ...args) {
+  if (!backendPromise) {
+    backendPromise = loadRedisBackend(configuredRedisBackend()).catch(err => {
+      backendPromise = null;
+      throw err;
+    });
+  }
+  const backend = await backendPromise;
+  return backend.command([command, ...args]);
 }
 
 export const redis = {
   async get(key) {
-    return redisRequest(['GET', key]);
+    return redisCommand('GET', key);
   },
 
   async set(key, value, exSeconds) {
     const val = typeof value === 'object' ? JSON.stringify(value) : String(value);
     if (exSeconds) {
-      return redisPost('SET', key, val, 'EX', String(exSeconds));
+      return redisCommand('SET', key, val, 'EX', String(exSeconds));
     }
-    return redisPost('SET', key, val);
+    return redisCommand('SET', key, val);
+  },
+
+  /**
+   * SET only if the key does not exist. Resolves true if this call set it.
+   */
+  async setNx(key, value, exSeconds) {
+    const val = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const result = await redisCommand('SET', key, val, 'NX', 'EX', String(exSeconds));
+    return result === 'OK';
+  },
+
+  /**
+   * Delete a key only if it still holds the given value (atomic, via Lua).
+   * Used to release locks without clobbering one another caller re-acquired.
+   */
+  async delIfEquals(key, value) {
+    const script = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+    const result = await redisCommand('EVAL', script, '1', key, String(value));
+    return Number(result) === 1;
   },
 
   async incr(key) {
-    return redisPost('INCR', key);
+    return redisCommand('INCR', key);
+  },
+
+  /**
+   * INCR, setting the TTL when the key is first created (atomic, via Lua).
+   * Resolves the new count — a fixed-window counter for rate limits.
+   */
+  async incrWithExpiry(key, ttlSeconds) {
+    const script = "local n = redis.call('INCR', KEYS[1]) if n == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end return n";
+    return Number(await redisCommand('EVAL', script, '1', key, String(ttlSeconds)));
+  },
+
+  async ttl(key) {
+    return redisCommand('TTL', key);
+  },
+
+  async expire(key, seconds) {
+    return redisCommand('EXPIRE', key, String(seconds));
   },
 
   async del(key) {
-    return redisPost('DEL', key);
+    return redisCommand('DEL', key);
+  },
+
+  async lpush(key, value) {
+    const val = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return redisCommand('LPUSH', key, val);
+  },
+
+  async rpush(key, value) {
+    const val = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return redisCommand('RPUSH', key, val);
+  },
+
+  async lrange(key, start, stop) {
+    return redisCommand('LRANGE', key, String(start), String(stop));
+  },
+
+  async ltrim(key, start, stop) {
+    return redisCommand('LTRIM', key, String(start), String(stop));
+  },
+
+  async llen(key) {
+    return redisCommand('LLEN', key);
+  },
+
+  async lindex(key, index) {
+    return redisCommand('LINDEX', key, String(index));
+  },
+
+  async sadd(key, member) {
+    return redisCommand('SADD', key, String(member));
+  },
+
+  async srem(key, member) {
+    return redisCommand('SREM', key, String(member));
+  },
+
+  async smembers(key) {
+    return redisCommand('SMEMBERS', key);
+  },
+
+  async zadd(key, score, member) {
+    return redisCommand('ZADD', key, String(score), String(member));
+  },
+
+  async zrem(key, member) {
+    return redisCommand('ZREM', key, String(member));
+  },
+
+  async zremrangebyscore(key, min, max) {
+    return redisCommand('ZREMRANGEBYSCORE', key, String(min), String(max));
+  },
+
+  async zcard(key) {
+    return redisCommand('ZCARD', key);
+  },
+
+  /**
+   * Members (no scores) with score in [min, max], lowest score first.
+   */
+  async zrangebyscore(key, min, max, { offset = 0, count = 100 } = {}) {
+    return redisCommand('ZRANGEBYSCORE', key, String(min), String(max), 'LIMIT', String(offset), String(count));
+  },
+
+  /**
+   * Members with score in [min, max], highest score first.
+   */
+  async zrevrangebyscore(key, max, min, { offset = 0, count = 100 } = {}) {
+    return redisCommand('ZREVRANGEBYSCORE', key, String(max), String(min), 'WITHSCORES', 'LIMIT', String(offset), String(count));
+  },
+
+  async hincrby(key, field, increment) {
+    return redisCommand('HINCRBY', key, String(field), String(increment));
+  },
+
+  /**
+   * Resolves the hash as an object of string values ({} if missing).
+   */
+  async hgetall(key) {
+    const flat = (await redisCommand('HGETALL', key)) || [];
+    const hash = {};
+    for (let i = 0; i < flat.length; i += 2) hash[flat[i]] = flat[i + 1];
+    return hash;
+  },
+
+  /**
+   * GET several JSON values at once. Resolves an array in key order, with
+   * null for missing keys.
+   */
+  async mgetJson(keys) {
+    if (!keys.length) return [];
+    const raws = await redisCommand('MGET', ...keys);
+    return raws.map(raw => {
+      if (!raw) return null;
+      try { return JSON.parse(raw); } catch { return raw; }
+    });
   },
 
   async getJson(key) {
-    const raw = await redisRequest(['GET', key]);
+    const raw = await redisCommand('GET', key);
     if (!raw) return null;
     try { return JSON.parse(raw); } catch { return raw; }
   },
 };
+
+/**
+ * Run fn while holding a distributed lock on key.
+ * Resolves { locked: true, result } or { locked: false } if someone else holds it.
+ */
+export async function withLock(key, ttlSeconds, fn) {
+  const token = randomUUID();
+
+  const acquired = await redis.setNx(key, token, ttlSeconds);
+  if (!acquired) return { locked: false };
+
+  try {
+    return { locked: true, result: await fn() };
+  } finally {
+    try {
+      await redis.delIfEquals(key, token);
+    } catch (err) {
+      // Lock expires on its own — log and move on
+      logger.error('Lock release error', { key, err });
+    }
+  }
+}
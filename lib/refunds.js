@@ -0,0 +1,79 @@
+// lib/refunds.js
+// Returns payments that can't be kept: overpayment beyond the price, partial
+// payments once a session expires, and late payments that can no longer mint
+// (too late, or the supply ran out meanwhile).
+// Every refund is recorded on the session with its signature.
+//
+// A refund only goes to a wallet known to have paid: the sender of a transfer
+// identified by the session's reference or signature (Solana Pay, in-browser
+// checkout), or one an admin names. A plain transfer may have come from an
+// exchange hot wallet, so its refund waits in `refund_pending` for an admin.
+
+import { PublicKey } from '@solana/web3.js';
+import { getMasterKeypair } from './wallet.js';
+import { ensureTokenAta, sweepToken } from './solana.js';
+import { findReferencePayment } from './solana-pay.js';
+import { paymentMint } from './sessions.js';
+import { recordEvent, EVENT } from './audit.js';
+import { emitWebhook, WEBHOOK_EVENT } from './webhooks.js';
+import { logger } from './log.js';
+
+export const REFUND_REASON = {
+  OVERPAYMENT:  'overpayment',
+  UNDERPAYMENT: 'underpayment',
+  LATE_PAYMENT: 'late_payment',
+  SOLD_OUT:     'sold_out',
+  ADMIN:        'admin',
+};
+
+// A full payment this long after expiresAt still mints; after that it's refunded
+export const LATE_PAYMENT_GRACE = 60 * 60;
+
+/**
+ * True if a full payment arriving now can still be turned into a mint.
+ */
+export function canStillMint(session) {
+  return Date.now() <= session.expiresAt + LATE_PAYMENT_GRACE * 1000;
+}
+
+/**
+ * The wallet a session's payment verifiably came from, or null. Partial
+ * payments aren't recorded on the session, so their sender is looked up by
+ * the session's reference.
+ */
+export async function verifiedSender(connection, session) {
+  if (session.steps?.payment?.sender) return session.steps.payment.sender;
+  if (!session.reference) return null;
+  const payment = await findReferencePayment(connection, session.reference, session.paymentAddress, paymentMint(session));
+  return payment?.sender || null;
+}
+
+/**
+ * Send `amount` raw units of the session's payment token from its derived
+ * wallet back to whoever paid.
+ * Resolves the refund record, or null if who paid isn't known (see
+ * verifiedSender) — that case needs a human, so nothing is sent.
+ * Throws if the refund transaction itself fails (safe to retry).
+ */
+export async function refundPayment(connection, session, sessionKeypair, amount, reason, { to = null, log = logger } = {}) {
+  const mint = paymentMint(session);
+  // `to` lets an admin name the refund wallet when the sender isn't known
+  const sender = to || await verifiedSender(connection, session);
+  if (!sender) return null;
+
+  const masterKeypair = await getMasterKeypair();
+  const recipient = new PublicKey(sender);
+
+  // The master wallet pays rent and fees — the derived wallet may hold no SOL
+  await ensureTokenAta(connection, masterKeypair, recipient, mint);
+  const signature = await sweepToken(connection, sessionKeypair, recipient, mint, {
+    amount,
+    feePayer: masterKeypair,
+  });
+
+  const refund = { reason, amount, token: session.price.token, recipient: sender, signature, at: Date.now() };
+  session.refunds = [...(session.refunds || []), refund];
+  await recordEvent(session.sessionId, EVENT.REFUND, refund, log);
+  await emitWebhook(WEBHOOK_EVENT.REFUND_SENT, { sessionId: session.sessionId, ...refund }, log);
+  return refund;
+}
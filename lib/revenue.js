@@ -0,0 +1,65 @@
+// lib/revenue.js
+// Daily revenue counters for the admin dashboard, one Redis hash per UTC day:
+//   revenue:2026-11-01  →  { "photo:count": 3, "photo:usdCents": 675, "photo:USDC": 6750000, ... }
+// Recorded once per session when it mints — refunded payments never count.
+
+import { redis } from './redis.js';
+import { OUTPUT_TYPES } from './pricing.js';
+
+const REVENUE_TTL = 60 * 60 * 24 * 400;
+
+function dayKey(time) {
+  return `revenue:${new Date(time).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Count a minted session's payment. Test mints aren't revenue.
+ */
+export async function recordRevenue(session) {
+  if (session.steps?.payment?.testMode) return;
+
+  const key = dayKey(Date.now());
+  const { outputType, price } = session;
+  await redis.hincrby(key, `${outputType}:count`, 1);
+  await redis.hincrby(key, `${outputType}:usdCents`, Math.round(price.usd * 100));
+  await redis.hincrby(key, `${outputType}:${price.token}`, session.requiredAmount);
+  await redis.expire(key, REVENUE_TTL);
+}
+
+/**
+ * Revenue for the last `days` days (today included), newest first:
+ *   { days: [{ date, byOutputType: { photo: { count, usd, tokens: { USDC: raw } } } }], totals }
+ */
+export async function revenueSummary(days = 30) {
+  const result = [];
+  const totals = { count: 0, usd: 0, byOutputType: {} };
+
+  const keys = Array.from({ length: days }, (_, i) => dayKey(Date.now() - i * 24 * 60 * 60 * 1000));
+  const hashes = await Promise.all(keys.map(key => redis.hgetall(key)));
+
+  for (const [i, hash] of hashes.entries()) {
+    const byOutputType = {};
+
+    for (const [field, value] of Object.entries(hash)) {
+      const [outputType, metric] = field.split(':');
+      if (!OUTPUT_TYPES.includes(outputType)) continue;
+      const entry = byOutputType[outputType] ||= { count: 0, usd: 0, tokens: {} };
+      const n = Number(value);
+      if (metric === 'count') entry.count += n;
+      else if (metric === 'usdCents') entry.usd += n / 100;
+      else entry.tokens[metric] = (entry.tokens[metric] || 0) + n;
+    }
+
+    for (const [outputType, entry] of Object.entries(byOutputType)) {
+      const total = totals.byOutputType[outputType] ||= { count: 0, usd: 0 };
+      total.count += entry.count;
+      total.usd += entry.usd;
+      totals.count += entry.count;
+      totals.usd += entry.usd;
+    }
+    result.push({ date: keys[i].slice('revenue:'.length), byOutputType });
+  }
+
+  totals.usd = Math.round(totals.usd * 100) / 100;
+  return { days: result, totals };
+}
@@ -0,0 +1,201 @@
+// lib/sessions.js
+// Mint session records and their state machine.
+//
+//   pending ──→ paid ──→ minting ──→ minted ──→ swept
+//      │         ↑  │      ↑  │   ↑
+//      ↓         │  ↓      │  ↓   │
+//   expired ─────┘  needs_recipient  needs_funding / mint_failed
+//      │
+//      ↓
+//   refund_pending ──→ refunded
+//
+// An admin can also refund any session that hasn't minted (→ refunded).
+//
+// Every status change goes through transition(), and anything that drives a
+// session forward holds the per-session lock from withSessionLock().
+
+import { PublicKey } from '@solana/web3.js';
+import { redis, withLock } from './redis.js';
+import { CLUSTERS } from './cluster.js';
+
+// Payment window for a new session
+export const SESSION_TTL = 60 * 30;
+
+// How long a session record is kept after its last update (and after the
+// payment window closes), so late payments can still be traced and recovered
+export const SESSION_RETENTION = 60 * 60 * 24;
+
+// A paid session waiting for its buyer to say where the NFT goes is kept
+// much longer — the payment is sitting in its derived wallet
+export const CLAIM_RETENTION = 60 * 60 * 24 * 30;
+
+// Redis set of session IDs the reconciler still has to look at
+export const ACTIVE_SESSIONS_KEY = 'sessions:active';
+
+// Redis sorted set of every session ID, scored by createdAt — for the admin
+// dashboard. Entries older than the longest retention are trimmed.
+export const SESSIONS_INDEX_KEY = 'sessions:by-created';
+
+// Long enough to cover a full mint + verify + sweep inside one request
+const LOCK_TTL = 120;
+
+export const STATUS = {
+  PENDING:       'pending',
+  PAID:          'paid',
+  MINTING:       'minting',
+  MINTED:        'minted',
+  SWEPT:         'swept',
+  NEEDS_FUNDING: 'needs_funding',
+  MINT_FAILED:   'mint_failed',
+  NEEDS_RECIPIENT: 'needs_recipient',
+  EXPIRED:       'expired',
+  REFUND_PENDING: 'refund_pending',
+  REFUNDED:      'refunded',
+};
+
+const TRANSITIONS = {
+  pending:       ['paid', 'expired', 'refunded'],
+  paid:          ['minting', 'needs_recipient', 'refunded'],
+  needs_recipient: ['minting', 'refunded'],
+  minting:       ['minted', 'needs_funding', 'mint_failed'],
+  needs_funding: ['minting', 'refunded'],
+  mint_failed:   ['minting', 'refunded'],
+  minted:        ['swept'],
+  swept:         [],
+  // A late payment can still mint within the grace window, otherwise it's refunded
+  expired:       ['paid', 'refund_pending', 'refunded'],
+  refund_pending: ['refunded'],
+  refunded:      [],
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a session to a new status, recording it in the session history.
+ * Throws on a transition the state machine doesn't allow.
+ */
+export function transition(session, to) {
+  const from = session.status;
+  if (!canTransition(from, to)) {
+    throw new Error(`Invalid session transition: ${from} → ${to}`);
+  }
+  session.status = to;
+  session.history = session.history || [];
+  session.history.push({ from, to, at: Date.now() });
+  return session;
+}
+
+/**
+ * Record a completed pipeline step so a retry can skip it.
+ */
+export function recordStep(session, name, data = {}) {
+  session.steps = session.steps || {};
+  session.steps[name] = { ...data, at: Date.now() };
+  return session;
+}
+
+export function hasStep(session, name) {
+  return Boolean(session.steps && session.steps[name]);
+}
+
+// Steps each mint backend records once its mint transaction has gone out
+export const ON_CHAIN_MINT_STEPS = ['createNft', 'createCoreAsset', 'compressedMintSent'];
+
+/**
+ * Whether an NFT may exist on chain for the session — true from the first
+ * mint transaction on, even if a later step failed.
+ */
+export function hasOnChainMint(session) {
+  return Boolean(session.mintResult) || ON_CHAIN_MINT_STEPS.some(name => hasStep(session, name));
+}
+
+export async function loadSession(sessionId) {
+  const session = await redis.getJson(`session:${sessionId}`);
+  if (session && !session.price) upgradeLegacySession(session);
+  return session;
+}
+
+/**
+ * Load several sessions at once. Resolves an array in the same order, with
+ * null for records that have aged out.
+ */
+export async function loadSessions(sessionIds) {
+  const sessions = await redis.mgetJson(sessionIds.map(id => `session:${id}`));
+  for (const session of sessions) {
+    if (session && !session.price) upgradeLegacySession(session);
+  }
+  return sessions;
+}
+
+/**
+ * The token a session is paid in: a mint PublicKey, or null for native SOL.
+ */
+export function paymentMint(session) {
+  return session.price.mint ? new PublicKey(session.price.mint) : null;
+}
+
+// Sessions created before multi-token pricing were always $2.25 USDC
+function upgradeLegacySession(session) {
+  session.price = {
+    outputType: session.outputType,
+    token: 'USDC',
+    mint: CLUSTERS.mainnet.tokens.USDC,
+    decimals: 6,
+    usd: 2.25,
+    amount: session.requiredUsdc,
+    amountDisplay: '$2.25 USDC',
+  };
+  session.requiredAmount = session.requiredUsdc;
+  session.receivedAmount = session.receivedUsdc || 0;
+}
+
+/**
+ * Persist a session. Records outlive the payment window by SESSION_RETENTION
+ * so the reconciler can expire them and catch payments that arrive late.
+ */
+export async function saveSession(session) {
+  let ttl = SESSION_RETENTION;
+  if (session.status === STATUS.PENDING) {
+    ttl += Math.max(0, Math.ceil((session.expiresAt - Date.now()) / 1000));
+  }
+  if (session.status === STATUS.NEEDS_RECIPIENT) {
+    ttl = CLAIM_RETENTION;
+  }
+  await redis.set(`session:${session.sessionId}`, session, ttl);
+  return session;
+}
+
+/**
+ * Make a new session visible to the reconciler and the admin dashboard.
+ */
+export async function indexSession(session) {
+  await redis.sadd(ACTIVE_SESSIONS_KEY, session.sessionId);
+  await redis.zadd(SESSIONS_INDEX_KEY, session.createdAt, session.sessionId);
+}
+
+/**
+ * Terminal sessions need no further reconciling. Expired and refunded
+ * sessions are not terminal: their address can still receive a late payment,
+ * so they are watched until the record ages out.
+ */
+export function isTerminal(session) {
+  return session.status === STATUS.SWEPT;
+}
+
+/**
+ * Sessions that are only being watched for stray payments.
+ */
+export function isDormant(session) {
+  return [STATUS.EXPIRED, STATUS.REFUND_PENDING, STATUS.REFUNDED].includes(session.status);
+}
+
+/**
+ * Run fn while holding the session's distributed lock.
+ * Resolves { locked: true, result } or { locked: false } if another
+ * request (worker, cron, recover, test-mint) is already driving this session.
+ */
+export async function withSessionLock(sessionId, fn) {
+  return withLock(`lock:session:${sessionId}`, LOCK_TTL, fn);
+}
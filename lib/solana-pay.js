@@ -0,0 +1,173 @@
+// lib/solana-pay.js
+// Solana Pay transfer requests: a `solana:` URL wallets understand, tagged with
+// a unique reference public key so the payment can be found on-chain by
+// reference rather than by watching a wallet's balance. Works for any SPL
+// token (mint) or native SOL (mint null).
+// Spec: https://docs.solanapay.com/spec#transfer-request
+
+import { Keypair, PublicKey, SystemProgram, Transaction, TransactionInstruction } from '@solana/web3.js';
+import {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+} from '@solana/spl-token';
+export const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+/**
+ * A fresh reference key. Only the public key matters — nobody ever signs with it.
+ */
+export function createReference() {
+  return Keypair.generate().publicKey;
+}
+
+/**
+ * Build a Solana Pay transfer-request URL.
+ */
+export function buildTransferRequestUrl({ recipient, amount, splToken, reference, label, message, memo }) {
+  // encodeURIComponent rather than URLSearchParams — wallets expect %20, not '+'
+  const params = [
+    ['amount', amount],
+    ['spl-token', splToken],
+    ['reference', reference],
+    ['label', label],
+    ['message', message],
+    ['memo', memo],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+  return `solana:${recipient}` + (params.length ? `?${params.join('&')}` : '');
+}
+
+/**
+ * Build the unsigned transfer a connected browser wallet signs at checkout.
+ * For SPL tokens the payer creates the recipient ATA if needed (idempotent).
+ * The reference key rides along on the transfer so the payment is found by
+ * reference like any other Solana Pay payment.
+ * mint is a PublicKey for SPL tokens, null for native SOL.
+ */
+export async function buildTransferTransaction(connection, { payer, recipient, amount, mint, decimals, reference, memo }) {
+  const payerKey     = new PublicKey(payer);
+  const recipientKey = new PublicKey(recipient);
+  const tx = new Transaction();
+
+  let transferIx;
+  if (mint) {
+    const fromAta = await getAssociatedTokenAddress(mint, payerKey);
+    const toAta   = await getAssociatedTokenAddress(mint, recipientKey);
+    tx.add(createAssociatedTokenAccountIdempotentInstruction(payerKey, toAta, recipientKey, mint));
+    transferIx = createTransferCheckedInstruction(fromAta, mint, toAta, payerKey, amount, decimals);
+  } else {
+    transferIx = SystemProgram.transfer({ fromPubkey: payerKey, toPubkey: recipientKey, lamports: amount });
+  }
+  transferIx.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+  tx.add(transferIx);
+
+  if (memo) {
+    tx.add(new TransactionInstruction({
+      programId: MEMO_PROGRAM_ID,
+      keys: [],
+      data: Buffer.from(memo, 'utf8'),
+    }));
+  }
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  tx.feePayer = payerKey;
+  tx.recentBlockhash = blockhash;
+  tx.lastValidBlockHeight = lastValidBlockHeight;
+  return tx;
+}
+
+/**
+ * Look up a payment tagged with `reference` and check it paid `recipient`.
+ * Returns { signature, amount, sender, memos } for the first successful
+ * transfer found, or null if none has landed yet.
+ */
+export async function findReferencePayment(connection, reference, recipient, mint) {
+  const sigs = await connection.getSignaturesForAddress(new PublicKey(reference), { limit: 10 }, 'confirmed');
+
+  // Oldest first — the first transfer is the payment, anything later is extra
+  for (const sigInfo of [...sigs].reverse()) {
+    if (sigInfo.err) continue;
+    const payment = await findSignaturePayment(connection, sigInfo.signature, recipient, mint);
+    if (payment) return payment;
+  }
+  return null;
+}
+
+/**
+ * Check a specific transaction (e.g. one a browser wallet just sent) for a
+ * payment of `mint` (null = SOL) to `recipient`. Returns
+ * { signature, amount, sender, memos } or null if it isn't confirmed yet or
+ * didn't pay the recipient.
+ */
+export async function findSignaturePayment(connection, signature, recipient, mint) {
+  const recipientStr = new PublicKey(recipient).toBase58();
+
+  const tx = await connection.getTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx || tx.meta?.err) return null;
+
+  const { received, sender } = mint
+    ? tokenDelta(tx, mint.toBase58(), recipientStr)
+    : solDelta(tx, recipientStr);
+  if (received <= 0) return null;
+
+  return {
+    signature,
+    amount: received,
+    sender,
+    memos: extractMemos(tx),
+  };
+}
+
+// What the recipient gained of an SPL token, and who it came from
+function tokenDelta(tx, mint, recipient) {
+  const preBalances  = tx.meta?.preTokenBalances  || [];
+  const postBalances = tx.meta?.postTokenBalances || [];
+
+  // The recipient ATA may have been created in this same tx, so it has no pre entry
+  const received = postBalances
+    .filter(p => p.mint === mint && p.owner === recipient)
+    .reduce((sum, post) => {
+      const pre = preBalances.find(b => b.accountIndex === post.accountIndex);
+      return sum + Number(post.uiTokenAmount.amount) - (pre ? Number(pre.uiTokenAmount.amount) : 0);
+    }, 0);
+
+  const senderEntry = preBalances.find(pre => {
+    if (pre.mint !== mint || pre.owner === recipient) return false;
+    const post = postBalances.find(p => p.accountIndex === pre.accountIndex);
+    return Number(pre.uiTokenAmount.amount) > (post ? Number(post.uiTokenAmount.amount) : 0);
+  });
+
+  return { received, sender: senderEntry?.owner || null };
+}
+
+// What the recipient gained in lamports; the fee payer is taken as the sender
+function solDelta(tx, recipient) {
+  const keys = tx.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: tx.meta?.loadedAddresses })
+    .keySegments().flat()
+    .map(k => k.toBase58());
+  const index = keys.indexOf(recipient);
+  if (index < 0) return { received: 0, sender: null };
+
+  const received = tx.meta.postBalances[index] - tx.meta.preBalances[index];
+  return { received, sender: index === 0 ? null : keys[0] };
+}
+
+/**
+ * Pull memo strings out of a transaction's logs.
+ * The memo program logs each one as: Program log: Memo (len 12): "..."
+ */
+export function extractMemos(tx) {
+  const logs = tx?.meta?.logMessages || [];
+  const memos = [];
+  for (const line of logs) {
+    const match = line.match(/^Program log: Memo \(len \d+\): "(.*)"$/);
+    if (match) memos.push(match[1].replace(/\\"/g, '"'));
+  }
+  return memos;
+}
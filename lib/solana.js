@@ -1,42 +1,48 @@
 // lib/solana.js
-// Solana + USDC utilities: check balance, init ATA, sweep funds
+// Solana token utilities: check balance, init ATA, sweep funds, close accounts.
+// Payment tokens are identified by mint — a PublicKey for SPL tokens
+// (USDC, USDT, ...) or null for native SOL.
 
 import {
   Connection,
   PublicKey,
   Transaction,
   SystemProgram,
-  LAMPORTS_PER_SOL,
   sendAndConfirmTransaction,
 } from '@solana/web3.js';
 import {
   getAssociatedTokenAddress,
   getOrCreateAssociatedTokenAccount,
   createTransferInstruction,
+  createCloseAccountInstruction,
   getAccount,
   TOKEN_PROGRAM_ID,
-  ASSOCIATED_TOKEN_PROGRAM_ID,
 } from '@solana/spl-token';
+import { logger } from './log.js';
+import { getCluster, tokenMint } from './cluster.js';
 
-// USDC on Solana mainnet
-export const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+// USDC / USDT on the configured cluster (lib/cluster.js) — null where it has none
+export const USDC_MINT = tokenMint('USDC');
+export const USDT_MINT = tokenMint('USDT');
 
-// $2.25 USDC in raw units (6 decimals)
-export const REQUIRED_USDC = 2_250_000;
-
-// ~0.002 SOL to cover ATA init + tx fees for derived wallet
+// What sessions used to be funded with up front (ATA init + tx fees).
+// Sessions are no longer funded; the janitor still reclaims it from old ones.
 export const ATA_INIT_SOL = 0.003;
 
+// ~0.000005 SOL tx fee
+const TX_FEE_LAMPORTS = 5000;
+
 export function getConnection() {
-  return new Connection(process.env.SOLANA_RPC_URL, 'confirmed');
+  return new Connection(getCluster().rpcUrl, 'confirmed');
 }
 
 /**
- * Get USDC balance of a wallet in raw units (6 decimals)
+ * Get a wallet's balance of a token in raw units — lamports when mint is null.
  */
-export async function getUsdcBalance(connection, walletPublicKey) {
+export async function getTokenBalance(connection, walletPublicKey, mint) {
+  if (!mint) return connection.getBalance(walletPublicKey);
   try {
-    const ata = await getAssociatedTokenAddress(USDC_MINT, walletPublicKey);
+    const ata = await getAssociatedTokenAddress(mint, walletPublicKey);
     const account = await getAccount(connection, ata);
     return Number(account.amount);
   } catch {
@@ -45,13 +51,22 @@ export async function getUsdcBalance(connection, walletPublicKey) {
 }
 
 /**
- * Find the sender of USDC to a given address by scanning recent tx history.
+ * Get USDC balance of a wallet in raw units (6 decimals)
+ */
+export async function getUsdcBalance(connection, walletPublicKey) {
+  return getTokenBalance(connection, walletPublicKey, USDC_MINT);
+}
+
+/**
+ * Find the sender of a token to a given address by scanning recent tx history.
  * Returns the sender's public key string, or null if not found.
  */
-export async function findUsdcSender(connection, receiverPublicKey) {
+export async function findTokenSender(connection, receiverPublicKey, mint) {
+  const receiver = receiverPublicKey.toBase58();
   try {
-    const ata = await getAssociatedTokenAddress(USDC_MINT, receiverPublicKey);
-    const sigs = await connection.getSignaturesForAddress(ata, { limit: 10 });
+    // SPL transfers touch the ATA; native SOL transfers touch the wallet itself
+    const watched = mint ? await getAssociatedTokenAddress(mint, receiverPublicKey) : receiverPublicKey;
+    const sigs = await connection.getSignaturesForAddress(watched, { limit: 10 });
 
     for (const sigInfo of sigs) {
       const tx = await connection.getTransaction(sigInfo.signature, {
@@ -60,94 +75,140 @@ export async function findUsdcSender(connection, receiverPublicKey) {
       });
       if (!tx) continue;
 
-      const preBalances  = tx.meta?.preTokenBalances  || [];
-      const postBalances = tx.meta?.postTokenBalances || [];
-
-      // Find accounts whose USDC balance decreased (they sent)
-      for (const pre of preBalances) {
-        if (pre.mint !== USDC_MINT.toBase58()) continue;
-        const post = postBalances.find(p => p.accountIndex === pre.accountIndex);
-        const preAmt  = Number(pre.uiTokenAmount.amount);
-        const postAmt = post ? Number(post.uiTokenAmount.amount) : 0;
-        if (preAmt > postAmt && pre.owner !== receiverPublicKey.toBase58()) {
-          return pre.owner; // This is the sender
-        }
-      }
+      const sender = mint ? tokenSenderOf(tx, mint.toBase58(), receiver) : solSenderOf(tx, receiver);
+      if (sender) return sender;
     }
   } catch (err) {
-    console.error('findUsdcSender error:', err);
+    logger.error('findTokenSender error', { receiver, err });
   }
   return null;
 }
 
 /**
- * Fund a derived wallet with enough SOL to initialize its USDC ATA and pay tx fees.
- * Called when a session is created, before the user sends payment.
+ * Find the sender of USDC to a given address by scanning recent tx history.
  */
-export async function fundDerivedWallet(connection, masterKeypair, derivedPublicKey) {
-  const lamports = Math.ceil(ATA_INIT_SOL * LAMPORTS_PER_SOL);
+export async function findUsdcSender(connection, receiverPublicKey) {
+  return findTokenSender(connection, receiverPublicKey, USDC_MINT);
+}
 
-  const tx = new Transaction().add(
-    SystemProgram.transfer({
-      fromPubkey: masterKeypair.publicKey,
-      toPubkey: derivedPublicKey,
-      lamports,
-    })
-  );
+// Owner of a token account whose balance of `mint` decreased (they sent)
+function tokenSenderOf(tx, mint, receiver) {
+  const preBalances  = tx.meta?.preTokenBalances  || [];
+  const postBalances = tx.meta?.postTokenBalances || [];
+
+  for (const pre of preBalances) {
+    if (pre.mint !== mint) continue;
+    const post = postBalances.find(p => p.accountIndex === pre.accountIndex);
+    const preAmt  = Number(pre.uiTokenAmount.amount);
+    const postAmt = post ? Number(post.uiTokenAmount.amount) : 0;
+    if (preAmt > postAmt && pre.owner !== receiver) {
+      return pre.owner;
+    }
+  }
+  return null;
+}
 
-  const sig = await sendAndConfirmTransaction(connection, tx, [masterKeypair]);
-  return sig;
+// Account whose lamports went down by more than the fee, in a tx that paid receiver
+function solSenderOf(tx, receiver) {
+  const keys = tx.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: tx.meta?.loadedAddresses })
+    .keySegments().flat()
+    .map(k => k.toBase58());
+  const pre  = tx.meta?.preBalances  || [];
+  const post = tx.meta?.postBalances || [];
+
+  const receiverIndex = keys.indexOf(receiver);
+  if (receiverIndex < 0 || post[receiverIndex] <= pre[receiverIndex]) return null;
+
+  for (let i = 0; i < keys.length; i++) {
+    if (i === receiverIndex) continue;
+    const spent = pre[i] - post[i] - (i === 0 ? tx.meta.fee : 0);
+    if (spent > 0) return keys[i];
+  }
+  return null;
 }
 
 /**
- * Initialize the USDC Associated Token Account for a derived wallet.
- * This is what allows the derived wallet to receive USDC.
+ * Make sure any wallet has an ATA for mint, creating it with payerKeypair if not.
+ * Returns the ATA address. Native SOL needs no ATA — returns the wallet itself.
  */
-export async function initUsdcAta(connection, masterKeypair, derivedKeypair) {
+export async function ensureTokenAta(connection, payerKeypair, ownerPublicKey, mint) {
+  if (!mint) return ownerPublicKey;
   const ata = await getOrCreateAssociatedTokenAccount(
     connection,
-    masterKeypair,     // payer
-    USDC_MINT,
-    derivedKeypair.publicKey,
+    payerKeypair,
+    mint,
+    ownerPublicKey,
     false,
   );
   return ata.address;
 }
 
 /**
- * Sweep all USDC from derived wallet back to master wallet.
- * Called after payment confirmed and NFT minted.
+ * Sweep a token from a derived wallet to another wallet.
+ * Called with the master wallet after payment confirmed and NFT minted,
+ * and with the payer's wallet for refunds.
+ *
+ * Options:
+ *   amount       — raw units to send; defaults to the whole balance
+ *   feePayer     — keypair paying the tx fee, for when the derived wallet has no SOL left
+ *   closeAccount — after sending the whole balance, close the derived wallet's
+ *                  ATA so its rent returns to the derived wallet (for sweepSol)
  */
-export async function sweepUsdc(connection, derivedKeypair, masterPublicKey) {
-  const balance = await getUsdcBalance(connection, derivedKeypair.publicKey);
-  if (balance === 0) return null;
-
-  const fromAta = await getAssociatedTokenAddress(USDC_MINT, derivedKeypair.publicKey);
-  const toAta   = await getAssociatedTokenAddress(USDC_MINT, masterPublicKey);
+export async function sweepToken(connection, derivedKeypair, toPublicKey, mint, { amount = null, feePayer = null, closeAccount = false } = {}) {
+  const balance = await getTokenBalance(connection, derivedKeypair.publicKey, mint);
+
+  // Paying its own fee in SOL means the derived wallet can't send all of it
+  const spendable = !mint && !feePayer ? balance - TX_FEE_LAMPORTS : balance;
+  const toSend = amount === null ? spendable : Math.min(amount, spendable);
+  const closing = closeAccount && mint && toSend === balance;
+  if (toSend <= 0 && !closing) return null;
+
+  const tx = new Transaction();
+  if (mint) {
+    const fromAta = await getAssociatedTokenAddress(mint, derivedKeypair.publicKey);
+    const toAta   = await getAssociatedTokenAddress(mint, toPublicKey);
+    if (toSend > 0) {
+      tx.add(createTransferInstruction(fromAta, toAta, derivedKeypair.publicKey, toSend, [], TOKEN_PROGRAM_ID));
+    }
+    if (closing) {
+      // An empty balance may just mean the ATA was never created
+      if (toSend === 0 && !(await connection.getAccountInfo(fromAta))) return null;
+      tx.add(createCloseAccountInstruction(fromAta, derivedKeypair.publicKey, derivedKeypair.publicKey));
+    }
+  } else {
+    tx.add(SystemProgram.transfer({
+      fromPubkey: derivedKeypair.publicKey,
+      toPubkey: toPublicKey,
+      lamports: toSend,
+    }));
+  }
 
-  const tx = new Transaction().add(
-    createTransferInstruction(
-      fromAta,
-      toAta,
-      derivedKeypair.publicKey,
-      balance,
-      [],
-      TOKEN_PROGRAM_ID,
-    )
-  );
+  const signers = [derivedKeypair];
+  if (feePayer) {
+    tx.feePayer = feePayer.publicKey;
+    signers.unshift(feePayer);
+  }
 
-  const sig = await sendAndConfirmTransaction(connection, tx, [derivedKeypair]);
+  const sig = await sendAndConfirmTransaction(connection, tx, signers);
   return sig;
 }
 
+/**
+ * Sweep USDC from a derived wallet to another wallet.
+ */
+export async function sweepUsdc(connection, derivedKeypair, toPublicKey, options) {
+  return sweepToken(connection, derivedKeypair, toPublicKey, USDC_MINT, options);
+}
+
 /**
  * Sweep remaining SOL from derived wallet back to master wallet.
- * Called after USDC sweep — cleans up dust.
+ * Called after the token sweep — cleans up dust and closed-account rent.
+ * With a feePayer (normally master) the wallet is emptied completely.
  */
-export async function sweepSol(connection, derivedKeypair, masterPublicKey) {
+export async function sweepSol(connection, derivedKeypair, masterPublicKey, { feePayer = null } = {}) {
   const balance = await connection.getBalance(derivedKeypair.publicKey);
-  const fee = 5000; // ~0.000005 SOL tx fee
-  const toSend = balance - fee;
+  const toSend = feePayer ? balance : balance - TX_FEE_LAMPORTS;
   if (toSend <= 0) return null;
 
   const tx = new Transaction().add(
@@ -158,6 +219,12 @@ export async function sweepSol(connection, derivedKeypair, masterPublicKey) {
     })
   );
 
-  const sig = await sendAndConfirmTransaction(connection, tx, [derivedKeypair]);
+  const signers = [derivedKeypair];
+  if (feePayer) {
+    tx.feePayer = feePayer.publicKey;
+    signers.unshift(feePayer);
+  }
+
+  const sig = await sendAndConfirmTransaction(connection, tx, signers);
   return sig;
 }
@@ -0,0 +1,61 @@
+// lib/storage/arweave.js
+// Arweave through the Irys bundler, paid in SOL from the master wallet. The
+// bundler balance is topped up by exactly what each upload costs.
+//
+// Off mainnet this uses Irys devnet (paid in devnet SOL; files there expire
+// after ~60 days — set ARWEAVE_GATEWAY=https://devnet.irys.xyz to view them).
+// ARWEAVE_BUNDLER_URL overrides the bundler node.
+
+import { getMasterKeypair } from '../wallet.js';
+import { getCluster } from '../cluster.js';
+
+export const SCHEME = 'ar';
+
+let irysPromise = null;
+
+function irys() {
+  if (!irysPromise) {
+    irysPromise = (async () => {
+      const { Uploader } = await import('@irys/upload');
+      const { Solana } = await import('@irys/upload-solana');
+      const bs58 = await import('bs58');
+
+      const masterKeypair = await getMasterKeypair();
+      const cluster = getCluster();
+      let builder = Uploader(Solana)
+        .withWallet(bs58.default.encode(masterKeypair.secretKey))
+        .withRpc(cluster.rpcUrl);
+      if (cluster.name !== 'mainnet') builder = builder.devnet();
+      if (process.env.ARWEAVE_BUNDLER_URL) builder = builder.bundlerUrl(process.env.ARWEAVE_BUNDLER_URL);
+      return builder.build();
+    })().catch(err => {
+      irysPromise = null;
+      throw err;
+    });
+  }
+  return irysPromise;
+}
+
+export async function put(bytes, { contentType }) {
+  const uploader = await irys();
+  const price = await uploader.getPrice(bytes.length);
+  const balance = await uploader.getLoadedBalance();
+  if (balance.lt(price)) await uploader.fund(price.minus(balance));
+
+  const receipt = await uploader.upload(bytes, { tags: [{ name: 'Content-Type', value: contentType }] });
+  return receipt.id;
+}
+
+/**
+ * Readiness check for /api/health: the bundler answers for the master
+ * wallet. Resolves its balance there, in lamports.
+ */
+export async function probe() {
+  const uploader = await irys();
+  const balance = await uploader.getLoadedBalance();
+  return { bundlerBalance: balance.toString() };
+}
+
+export async function remove() {
+  // Arweave is permanent — there is nothing to unpin
+}
@@ -0,0 +1,117 @@
+// lib/storage/index.js
+// Where uploads and NFT metadata are stored. STORAGE_BACKEND picks one:
+//
+//   pinata   Pinata's pinning service (default) — PINATA_JWT
+//   kubo     a self-hosted IPFS node's RPC API — KUBO_API_URL, KUBO_API_AUTH
+//   arweave  Arweave through the Irys bundler, paid in SOL by the master wallet
+//   local    files on disk (LOCAL_STORAGE_DIR) — development and tests only
+//   memory   files in process memory — tests only
+//
+// A backend module exports SCHEME, `put(bytes, { name, contentType })`, which
+// resolves the content id, `remove(id)`, and `probe()`, a live check for
+// /api/health that throws if the backend can't take files.
+//
+// Files are addressed by URI: ipfs://<cid> (local and memory compute the same
+// kind of CID), or ar://<id>. The URI is what goes inside NFT metadata;
+// gatewayUrl() turns it into the HTTP URL browsers and on-chain uri fields use.
+//
+//   IPFS_GATEWAY     default https://gateway.pinata.cloud (local, memory: http://localhost:3000,
+//                    whose /ipfs/<cid> is served by api/storage/[id].js)
+//   ARWEAVE_GATEWAY  default https://gateway.irys.xyz
+
+export const STORAGE_BACKEND = {
+  PINATA:  'pinata',
+  KUBO:    'kubo',
+  ARWEAVE: 'arweave',
+  LOCAL:   'local',
+  MEMORY:  'memory',
+};
+
+const LOADERS = {
+  [STORAGE_BACKEND.PINATA]:  () => import('./pinata.js'),
+  [STORAGE_BACKEND.KUBO]:    () => import('./kubo.js'),
+  [STORAGE_BACKEND.ARWEAVE]: () => import('./arweave.js'),
+  [STORAGE_BACKEND.LOCAL]:   () => import('./local.js'),
+  [STORAGE_BACKEND.MEMORY]:  () => import('./memory.js'),
+};
+
+/**
+ * The configured backend for new files.
+ */
+export function configuredStorage() {
+  const name = (process.env.STORAGE_BACKEND || STORAGE_BACKEND.PINATA).trim();
+  if (!LOADERS[name]) throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+  return name;
+}
+
+/**
+ * Whether the configured backend has the settings it needs (see /api/health).
+ */
+export function storageConfigured() {
+  const required = {
+    [STORAGE_BACKEND.PINATA]:  'PINATA_JWT',
+    [STORAGE_BACKEND.KUBO]:    'KUBO_API_URL',
+    [STORAGE_BACKEND.ARWEAVE]: 'MASTER_SEED_PHRASE',
+  }[configuredStorage()];
+  return !required || !!(process.env[required] || '').trim();
+}
+
+export async function loadStorage(name) {
+  if (!LOADERS[name]) throw new Error(`Unknown storage backend: ${name}`);
+  return LOADERS[name]();
+}
+
+/**
+ * Store a file with the configured backend.
+ * Resolves { backend, id, uri, url } — url being the gateway URL.
+ */
+export async function storeFile(bytes, { name, contentType }) {
+  const backend = configuredStorage();
+  const storage = await loadStorage(backend);
+  const id = await storage.put(Buffer.from(bytes), { name, contentType });
+  const uri = `${storage.SCHEME}://${id}`;
+  return { backend, id, uri, url: gatewayUrl(uri) };
+}
+
+/**
+ * Unpin / delete a file storeFile stored. A no-op on Arweave, which is permanent.
+ */
+export async function removeFile({ backend, id }) {
+  const storage = await loadStorage(backend);
+  await storage.remove(id);
+}
+
+/**
+ * Whether files are only on this machine (local, memory), served back by
+ * api/storage/[id].js.
+ */
+export function isLocalStorage(name = configuredStorage()) {
+  return name === STORAGE_BACKEND.LOCAL || name === STORAGE_BACKEND.MEMORY;
+}
+
+/**
+ * Probe the configured backend. Resolves its details, throws if it's down.
+ */
+export async function probeStorage() {
+  const storage = await loadStorage(configuredStorage());
+  return storage.probe();
+}
+
+export function ipfsGateway() {
+  const fallback = isLocalStorage() ? 'http://localhost:3000' : 'https://gateway.pinata.cloud';
+  return (process.env.IPFS_GATEWAY || fallback).replace(/\/+$/, '');
+}
+
+export function arweaveGateway() {
+  return (process.env.ARWEAVE_GATEWAY || 'https://gateway.irys.xyz').replace(/\/+$/, '');
+}
+
+/**
+ * HTTP URL for a storage URI. Anything else (an https URL from a session
+ * stored before URIs) is returned as is.
+ */
+export function gatewayUrl(uri) {
+  const match = /^(ipfs|ar):\/\/(.+)$/.exec(uri || '');
+  if (!match) return uri;
+  return match[1] === 'ipfs' ? `${ipfsGateway()}/ipfs/${match[2]}` : `${arweaveGateway()}/${match[2]}`;
+}
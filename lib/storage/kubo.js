@@ -0,0 +1,45 @@
+// lib/storage/kubo.js
+// IPFS on a self-hosted Kubo node, through its RPC API.
+// Config: KUBO_API_URL (e.g. http://ipfs.internal:5001), and KUBO_API_AUTH —
+// the Authorization header value, if the API sits behind auth.
+
+export const SCHEME = 'ipfs';
+
+function rpc(path) {
+  const base = (process.env.KUBO_API_URL || '').trim().replace(/\/+$/, '');
+  if (!base) throw new Error('KUBO_API_URL not configured');
+  return `${base}/api/v0/${path}`;
+}
+
+function headers() {
+  return process.env.KUBO_API_AUTH ? { 'Authorization': process.env.KUBO_API_AUTH } : {};
+}
+
+export async function put(bytes, { name, contentType }) {
+  const form = new FormData();
+  form.append('file', new Blob([bytes], { type: contentType }), name);
+
+  const res = await fetch(rpc('add?cid-version=1&pin=true'), { method: 'POST', headers: headers(), body: form });
+  if (!res.ok) throw new Error(`Kubo add failed: HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+  const data = await res.json();
+  if (!data.Hash) throw new Error('Kubo add failed: ' + JSON.stringify(data).slice(0, 300));
+  return data.Hash;
+}
+
+/**
+ * Readiness check for /api/health: the node answers.
+ */
+export async function probe() {
+  const res = await fetch(rpc('version'), { method: 'POST', headers: headers() });
+  if (!res.ok) throw new Error(`Kubo version failed: HTTP ${res.status}`);
+  const data = await res.json();
+  return { version: data.Version };
+}
+
+export async function remove(cid) {
+  const res = await fetch(rpc(`pin/rm?arg=${encodeURIComponent(cid)}`), { method: 'POST', headers: headers() });
+  if (res.ok) return;
+  const body = await res.text();
+  // Already unpinned is as good as unpinned
+  if (!/not pinned/i.test(body)) throw new Error(`Kubo unpin failed: HTTP ${res.status} ${body.slice(0, 200)}`);
+}
@@ -0,0 +1,81 @@
+// lib/storage/local.js
+// Files on local disk, for development and tests. Each file is named by the
+// CIDv1 (raw codec, sha2-256) of its bytes, so URIs look like any other IPFS
+// backend's; api/storage/[id].js serves them back.
+// Config: LOCAL_STORAGE_DIR, default <tmpdir>/lossy-storage.
+
+import { createHash } from 'node:crypto';
+import { access, constants, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const SCHEME = 'ipfs';
+
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+
+function dir() {
+  return process.env.LOCAL_STORAGE_DIR || join(tmpdir(), 'lossy-storage');
+}
+
+export async function put(bytes, { contentType }) {
+  const cid = rawCid(bytes);
+  await mkdir(dir(), { recursive: true });
+  await writeFile(join(dir(), cid), bytes);
+  await writeFile(join(dir(), `${cid}.json`), JSON.stringify({ contentType }));
+  return cid;
+}
+
+/**
+ * A stored file { bytes, contentType }, or null.
+ */
+export async function get(cid) {
+  if (!CID_PATTERN.test(cid)) return null;
+  try {
+    const bytes = await readFile(join(dir(), cid));
+    const { contentType } = JSON.parse(await readFile(join(dir(), `${cid}.json`), 'utf8'));
+    return { bytes, contentType };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Readiness check for /api/health: the directory is writable.
+ */
+export async function probe() {
+  await mkdir(dir(), { recursive: true });
+  await access(dir(), constants.W_OK);
+  return {};
+}
+
+export async function remove(cid) {
+  if (!CID_PATTERN.test(cid)) return;
+  await rm(join(dir(), cid), { force: true });
+  await rm(join(dir(), `${cid}.json`), { force: true });
+}
+
+/**
+ * CIDv1 of `bytes` as a single raw block: base32 of
+ * <version 1><raw 0x55><sha2-256 0x12><length 32><digest>.
+ */
+export function rawCid(bytes) {
+  const digest = createHash('sha256').update(bytes).digest();
+  return 'b' + base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]));
+}
+
+// RFC 4648 base32, lowercase, unpadded — multibase 'b'
+function base32(bytes) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0, value = 0, out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return out;
+}
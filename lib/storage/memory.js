@@ -0,0 +1,31 @@
+// lib/storage/memory.js
+// Files held in process memory, for tests — the pinning service stand-in.
+// Same content ids as lib/storage/local.js; api/storage/[id].js serves them
+// back while the process lives.
+
+import { rawCid } from './local.js';
+
+export const SCHEME = 'ipfs';
+
+const files = new Map(); // cid → { bytes, contentType }
+
+export async function put(bytes, { contentType }) {
+  const cid = rawCid(bytes);
+  files.set(cid, { bytes: Buffer.from(bytes), contentType });
+  return cid;
+}
+
+/**
+ * A stored file { bytes, contentType }, or null.
+ */
+export async function get(cid) {
+  return files.get(cid) || null;
+}
+
+export async function probe() {
+  return {};
+}
+
+export async function remove(cid) {
+  files.delete(cid);
+}
@@ -0,0 +1,49 @@
+// lib/storage/pinata.js
+// IPFS through Pinata's pinning API. Config: PINATA_JWT.
+
+export const SCHEME = 'ipfs';
+
+function jwt() {
+  const pinataJwt = (process.env.PINATA_JWT || '').trim();
+  if (!pinataJwt) throw new Error('PINATA_JWT not configured');
+  return pinataJwt;
+}
+
+export async function put(bytes, { name, contentType }) {
+  const form = new FormData();
+  form.append('file', new Blob([bytes], { type: contentType }), name);
+  form.append('pinataMetadata', JSON.stringify({
+    name,
+    keyvalues: { project: 'day-after-day', artist: 'lampwrecked' },
+  }));
+  form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+  const res = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${jwt()}` },
+    body: form,
+  });
+  const data = await res.json();
+  if (!data.IpfsHash) throw new Error('Pinata upload failed: ' + JSON.stringify(data).slice(0, 300));
+  return data.IpfsHash;
+}
+
+/**
+ * Readiness check for /api/health: the JWT authenticates.
+ */
+export async function probe() {
+  const res = await fetch('https://api.pinata.cloud/data/testAuthentication', {
+    headers: { 'Authorization': `Bearer ${jwt()}` },
+  });
+  if (!res.ok) throw new Error(`Pinata authentication failed: HTTP ${res.status}`);
+  return {};
+}
+
+export async function remove(cid) {
+  const res = await fetch(`https://api.pinata.cloud/pinning/unpin/${cid}`, {
+    method: 'DELETE',
+    headers: { 'Authorization': `Bearer ${jwt()}` },
+  });
+  // Already gone is as good as unpinned
+  if (!res.ok && res.status !== 404) throw new Error(`Pinata unpin failed: HTTP ${res.status}`);
+}
@@ -0,0 +1,210 @@
+// lib/supply.js
+// Edition numbers, supply caps and the mint window.
+//
+// Every session reserves a slot when it's created — against the total and
+// against its mode and output type — and gives it back if it expires or is
+// refunded before minting. A minted session keeps its slot for good, so
+// minted + open reservations can never pass a cap.
+//
+// A session takes its edition number when it starts minting (the number is in
+// its name) and is counted as minted once the mint has landed. A session
+// refunded after taking a number gives it back for the next mint to reuse,
+// so the editions end up without gaps — unless a mint transaction already
+// went out for it: that NFT carries the number, so it's never handed out again.
+//
+// Config (all optional; no cap when unset):
+//   MAX_SUPPLY                                         total
+//   MAX_SUPPLY_EMBER / _BIRTHDAY / _ETERNAL / _IMMOLATION   per mode
+//   MAX_SUPPLY_PHOTO / _AUDIO / _VIDEO                 per output type
+//   MINT_OPENS_AT / MINT_CLOSES_AT   ISO dates — no new sessions outside them.
+//                                    Sessions already open still mint.
+
+import { redis } from './redis.js';
+import { MODES, OUTPUT_FILES } from './metadata.js';
+import { hasOnChainMint } from './sessions.js';
+
+// Hash of scope → reserved + minted slots
+export const SUPPLY_CLAIMED_KEY = 'supply:claimed';
+
+// Hash of scope → minted count
+export const SUPPLY_MINTED_KEY = 'supply:minted';
+
+// The highest edition number handed out
+export const EDITION_COUNTER_KEY = 'supply:edition';
+
+// Sorted set of edition numbers given back, scored by number
+export const FREE_EDITIONS_KEY = 'supply:edition:free';
+
+const ALL = 'all';
+
+export const MINT_WINDOW = {
+  UPCOMING: 'upcoming',
+  OPEN:     'open',
+  CLOSED:   'closed',
+};
+
+/**
+ * The counters a session with this mode and output type counts against.
+ */
+export function supplyScopes({ mode, outputType }) {
+  return [ALL, `mode:${mode}`, `output:${outputType}`];
+}
+
+/**
+ * The configured cap for a scope, or null for none.
+ */
+export function maxSupply(scope) {
+  const name = scope === ALL ? 'MAX_SUPPLY' : `MAX_SUPPLY_${scope.split(':')[1].toUpperCase()}`;
+  const value = parseInt(process.env[name]);
+  return value >= 0 ? value : null;
+}
+
+/**
+ * Where `now` falls relative to MINT_OPENS_AT / MINT_CLOSES_AT.
+ * Resolves { status, opensAt, closesAt } with the times as epoch ms or null.
+ */
+export function mintWindow(now = Date.now()) {
+  const opensAt = parseTime(process.env.MINT_OPENS_AT);
+  const closesAt = parseTime(process.env.MINT_CLOSES_AT);
+  const status = opensAt && now < opensAt ? MINT_WINDOW.UPCOMING
+    : closesAt && now >= closesAt ? MINT_WINDOW.CLOSED
+    : MINT_WINDOW.OPEN;
+  return { status, opensAt, closesAt };
+}
+
+function parseTime(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Read-only check that every scope a new session counts against has room.
+ * Resolves { ok: true } or { ok: false, exhausted }. Lets /api/session turn
+ * a buyer away before using anything up; only reserveSupply() holds a slot.
+ */
+export async function checkSupply({ mode, outputType }) {
+  const claimed = await redis.hgetall(SUPPLY_CLAIMED_KEY);
+  for (const scope of supplyScopes({ mode, outputType })) {
+    const cap = maxSupply(scope);
+    if (cap !== null && Number(claimed[scope] || 0) >= cap) return { ok: false, exhausted: scope };
+  }
+  return { ok: true };
+}
+
+/**
+ * Reserve a slot for a new session. Resolves { ok: true, scopes } or
+ * { ok: false, exhausted } naming the first scope that is full.
+ * Each counter is bumped and checked on its own, and every bump is undone
+ * if any cap is passed — so concurrent callers can never overshoot.
+ */
+export async function reserveSupply({ mode, outputType }) {
+  const scopes = supplyScopes({ mode, outputType });
+  const bumped = [];
+  let exhausted = null;
+
+  for (const scope of scopes) {
+    const claimed = await redis.hincrby(SUPPLY_CLAIMED_KEY, scope, 1);
+    bumped.push(scope);
+    const cap = maxSupply(scope);
+    if (cap !== null && claimed > cap) {
+      exhausted = scope;
+      break;
+    }
+  }
+
+  if (exhausted) {
+    await releaseScopes(bumped);
+    return { ok: false, exhausted };
+  }
+  return { ok: true, scopes };
+}
+
+/**
+ * Give back a session's reservation (on expiry or refund before minting),
+ * and its edition number if it had taken one and nothing was minted under
+ * it. Marks both on the session, so calling it twice releases once — the
+ * caller saves the session.
+ */
+export async function releaseSupply(session) {
+  const edition = session.steps?.edition;
+  if (edition && !edition.released && !hasOnChainMint(session)) {
+    edition.released = true;
+    await redis.zadd(FREE_EDITIONS_KEY, edition.number, String(edition.number));
+  }
+
+  if (!session.supply?.reserved) return false;
+  session.supply.reserved = false;
+  session.supply.releasedAt = Date.now();
+  await releaseScopes(session.supply.scopes);
+  return true;
+}
+
+async function releaseScopes(scopes) {
+  for (const scope of scopes) {
+    await redis.hincrby(SUPPLY_CLAIMED_KEY, scope, -1);
+  }
+}
+
+/**
+ * Take a slot again for a session whose reservation was released — a late
+ * payment on an expired session. Resolves false if a cap is full.
+ */
+export async function reclaimSupply(session) {
+  if (!session.supply || session.supply.reserved) return true;
+  const reservation = await reserveSupply({ mode: session.metadata.mode, outputType: session.outputType });
+  if (!reservation.ok) return false;
+  session.supply = { reserved: true, scopes: reservation.scopes, reservedAt: Date.now() };
+  return true;
+}
+
+/**
+ * Hand out an edition number: the lowest one given back, else the next.
+ */
+export async function nextEdition() {
+  // Whoever removes a free number owns it; losing a race just tries the next
+  for (const number of await redis.zrangebyscore(FREE_EDITIONS_KEY, '-inf', '+inf', { count: 5 })) {
+    if (await redis.zrem(FREE_EDITIONS_KEY, number)) return Number(number);
+  }
+  return redis.incr(EDITION_COUNTER_KEY);
+}
+
+/**
+ * Count a session's mint, once it has landed.
+ */
+export async function countMint({ mode, outputType }) {
+  for (const scope of supplyScopes({ mode, outputType })) {
+    await redis.hincrby(SUPPLY_MINTED_KEY, scope, 1);
+  }
+}
+
+/**
+ * Minted, reserved and remaining, in total and per mode and output type —
+ * what /api/supply shows. remaining is null where there's no cap.
+ */
+export async function supplySnapshot(now = Date.now()) {
+  const [claimed, minted] = await Promise.all([
+    redis.hgetall(SUPPLY_CLAIMED_KEY),
+    redis.hgetall(SUPPLY_MINTED_KEY),
+  ]);
+  const describe = (scope) => {
+    const mintedCount = Number(minted[scope] || 0);
+    const claimedCount = Math.max(mintedCount, Number(claimed[scope] || 0));
+    const cap = maxSupply(scope);
+    return {
+      minted: mintedCount,
+      reserved: claimedCount - mintedCount,
+      maxSupply: cap,
+      remaining: cap === null ? null : Math.max(0, cap - claimedCount),
+    };
+  };
+
+  const total = describe(ALL);
+  const window = mintWindow(now);
+  return {
+    ...total,
+    soldOut: total.maxSupply !== null && total.minted >= total.maxSupply,
+    window,
+    byMode: Object.fromEntries(MODES.map(mode => [mode, describe(`mode:${mode}`)])),
+    byOutputType: Object.fromEntries(Object.keys(OUTPUT_FILES).map(type => [type, describe(`output:${type}`)])),
+  };
+}
@@ -0,0 +1,67 @@
+// lib/upload-token.js
+// Proof that an upload happened: /api/upload signs what it stored, and
+// /api/session only accepts metadata pointing at a file it was handed a token
+// for. Tokens are HMAC-signed, expire, and can back only a few sessions (the
+// mint modal re-creates its session when the buyer switches token).
+//
+// Signing key: UPLOAD_TOKEN_SECRET, or one derived from MASTER_SEED_PHRASE.
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { redis } from './redis.js';
+
+export const UPLOAD_TOKEN_TTL = 60 * 60;
+const MAX_SESSIONS_PER_UPLOAD = 5;
+
+function signingKey() {
+  if (process.env.UPLOAD_TOKEN_SECRET) return process.env.UPLOAD_TOKEN_SECRET;
+  if (!process.env.MASTER_SEED_PHRASE) throw new Error('UPLOAD_TOKEN_SECRET not configured');
+  return createHash('sha256').update(`lossy-upload-token:${process.env.MASTER_SEED_PHRASE}`).digest();
+}
+
+function sign(payload) {
+  return createHmac('sha256', signingKey()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a token for an uploaded file. `fileType` is its MIME type,
+ * `uploadId` its record in lib/uploads.js.
+ */
+export function issueUploadToken({ fileUri, outputType, fileType, uploadId }) {
+  const payload = Buffer.from(JSON.stringify({
+    fileUri,
+    outputType,
+    fileType,
+    uploadId,
+    nonce: randomBytes(12).toString('base64url'),
+    exp: Date.now() + UPLOAD_TOKEN_TTL * 1000,
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token's signature and expiry. Resolves its claims
+ * { fileUri, outputType, fileType, uploadId, nonce, exp }, or null if it isn't valid.
+ */
+export function verifyUploadToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return null; }
+  if (!claims.exp || Date.now() > claims.exp) return null;
+  return claims;
+}
+
+/**
+ * Count a session against an upload token. Resolves false once the token has
+ * backed as many sessions as it's allowed to.
+ */
+export async function consumeUploadToken(claims) {
+  const uses = await redis.incrWithExpiry(`upload-token:${claims.nonce}`, UPLOAD_TOKEN_TTL);
+  return uses <= MAX_SESSIONS_PER_UPLOAD;
+}
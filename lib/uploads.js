@@ -0,0 +1,236 @@
+// lib/uploads.js
+// What /api/upload will store, and cleanup of what nobody minted.
+//
+// The file's type comes from its magic bytes, never the client's
+// Content-Type: JPEG, PNG or WebP for photos, WebM or Ogg for audio, WebM for
+// video. Each output type has a size cap (under Vercel's 4.5 MB request
+// limit) and, for recordings, a duration cap.
+//
+// Identical files are stored once: the SHA-256 of the bytes maps to the
+// upload already stored (lib/storage). An upload that no session is created
+// for within UNATTACHED_TTL is unpinned by the janitor cron
+// (unpinUnattachedUploads).
+//
+// Keys: upload:<id> (record), upload-sha256:<hex> → id,
+// uploads:unattached (zset of upload id by unpin-after time)
+
+import { createHash } from 'node:crypto';
+import { redis } from './redis.js';
+import { logger } from './log.js';
+import { OUTPUT_FILES, fileTypeFor } from './metadata.js';
+import { UPLOAD_TOKEN_TTL } from './upload-token.js';
+import { removeFile } from './storage/index.js';
+
+const MB = 1024 * 1024;
+
+export const UPLOAD_LIMITS = {
+  photo: { maxBytes: 4 * MB, maxSeconds: null },
+  audio: { maxBytes: 4 * MB, maxSeconds: 10 * 60 },
+  video: { maxBytes: 4 * MB, maxSeconds: 2 * 60 },
+};
+export const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_LIMITS).map(l => l.maxBytes));
+
+export const UNATTACHED_KEY = 'uploads:unattached';
+// Outlives the upload token, so anything unpinned can no longer back a session
+const UNATTACHED_TTL = UPLOAD_TOKEN_TTL + 60 * 60;
+
+/**
+ * Check an uploaded file against its output type. Returns
+ * { fileType, durationSeconds } — durationSeconds null where it can't be
+ * read — or { status, error } when the upload must be refused.
+ */
+export function inspectUpload(buffer, outputType) {
+  const limits = UPLOAD_LIMITS[outputType];
+  if (!limits) return { status: 400, error: 'Invalid outputType' };
+  if (buffer.length > limits.maxBytes) {
+    return { status: 413, error: `${outputType} uploads are limited to ${limits.maxBytes / MB} MB` };
+  }
+
+  const sniffed = sniffMediaType(buffer);
+  const fileType = fileTypeFor(outputType, sniffed === 'webm' ? `${OUTPUT_FILES[outputType].category}/webm` : sniffed);
+  if (!fileType) {
+    return { status: 415, error: `Not a supported ${outputType} file (${OUTPUT_FILES[outputType].mimeTypes.join(', ')})` };
+  }
+
+  const durationSeconds = fileType.endsWith('/webm') ? webmDurationSeconds(buffer)
+    : fileType === 'audio/ogg' ? oggDurationSeconds(buffer)
+    : null;
+  if (limits.maxSeconds && durationSeconds > limits.maxSeconds) {
+    return { status: 413, error: `${outputType} uploads are limited to ${limits.maxSeconds / 60} minutes` };
+  }
+  return { fileType, durationSeconds };
+}
+
+/**
+ * The media type from a file's first bytes: 'image/jpeg', 'image/png',
+ * 'image/webp', 'audio/ogg', 'webm' (audio or video — the container can't
+ * say which up front) or null.
+ */
+export function sniffMediaType(buffer) {
+  const starts = (bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+  const ascii = (text, offset = 0) => buffer.toString('latin1', offset, offset + text.length) === text;
+
+  if (starts([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (starts([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii('RIFF') && ascii('WEBP', 8)) return 'image/webp';
+  if (ascii('OggS')) return 'audio/ogg';
+  // EBML header with DocType "webm" (plain Matroska isn't accepted)
+  if (starts([0x1a, 0x45, 0xdf, 0xa3]) && buffer.subarray(0, 64).includes('webm', 0, 'latin1')) return 'webm';
+  return null;
+}
+
+/**
+ * A WebM's duration in seconds: the Segment Info Duration when present, else
+ * (MediaRecorder doesn't write one) the last cluster's timecode — short by at
+ * most one cluster. Null if neither can be read.
+ */
+export function webmDurationSeconds(buffer) {
+  const head = buffer.subarray(0, 4096);
+  // TimecodeScale (2AD7B1), in ns per timecode unit
+  let scale = 1e6;
+  const scaleAt = head.indexOf(Buffer.from([0x2a, 0xd7, 0xb1]));
+  if (scaleAt >= 0) {
+    const size = readVint(head, scaleAt + 3);
+    if (size && size.value <= 6) scale = head.readUIntBE(scaleAt + 3 + size.length, size.value) || scale;
+  }
+
+  // Duration (4489), a float in timecode units
+  const durationAt = head.indexOf(Buffer.from([0x44, 0x89]));
+  if (durationAt >= 0 && (head[durationAt + 2] === 0x84 || head[durationAt + 2] === 0x88)) {
+    const duration = head[durationAt + 2] === 0x84 ? head.readFloatBE(durationAt + 3) : head.readDoubleBE(durationAt + 3);
+    if (Number.isFinite(duration) && duration > 0) return (duration * scale) / 1e9;
+  }
+
+  // Last Cluster (1F43B675) → its Timecode (E7), the cluster's first child
+  const clusterAt = buffer.lastIndexOf(Buffer.from([0x1f, 0x43, 0xb6, 0x75]));
+  if (clusterAt < 0) return null;
+  const clusterSize = readVint(buffer, clusterAt + 4);
+  if (!clusterSize) return null;
+  const timecodeAt = clusterAt + 4 + clusterSize.length;
+  if (buffer[timecodeAt] !== 0xe7) return null;
+  const size = readVint(buffer, timecodeAt + 1);
+  if (!size || size.value < 1 || size.value > 6 || timecodeAt + 1 + size.length + size.value > buffer.length) return null;
+  return (buffer.readUIntBE(timecodeAt + 1 + size.length, size.value) * scale) / 1e9;
+}
+
+// EBML variable-length integer at `offset`: { value, length }, or null
+function readVint(buffer, offset) {
+  const first = buffer[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (length > 8 || offset + length > buffer.length) return null;
+  let value = first & (0xff >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + buffer[offset + i];
+  return { value, length };
+}
+
+/**
+ * An Ogg Opus or Vorbis stream's duration in seconds, from the last page's
+ * granule position. Null for other codecs or if it can't be read.
+ */
+export function oggDurationSeconds(buffer) {
+  // First packet, after the first page's segment table
+  const packetAt = 27 + (buffer[26] || 0);
+  let rate, preSkip = 0;
+  if (buffer.toString('latin1', packetAt, packetAt + 8) === 'OpusHead') {
+    rate = 48000;
+    preSkip = buffer.readUInt16LE(packetAt + 10);
+  } else if (buffer[packetAt] === 1 && buffer.toString('latin1', packetAt + 1, packetAt + 7) === 'vorbis') {
+    rate = buffer.readUInt32LE(packetAt + 12);
+  }
+  if (!rate) return null;
+
+  const lastPage = buffer.lastIndexOf('OggS', buffer.length, 'latin1');
+  if (lastPage < 0 || lastPage + 14 > buffer.length) return null;
+  const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+  return granule > 0 ? Math.max(0, granule - preSkip) / rate : null;
+}
+
+export function sha256Hex(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * The upload already stored for these bytes, or null. Pushes back its
+ * unpinning if it's still unattached.
+ */
+export async function findDuplicateUpload(sha256) {
+  const id = await redis.get(`upload-sha256:${sha256}`);
+  const upload = id ? await redis.getJson(uploadKey(id)) : null;
+  if (!upload) return null;
+  if (!upload.attachedAt) await redis.zadd(UNATTACHED_KEY, Date.now() + UNATTACHED_TTL * 1000, id);
+  return upload;
+}
+
+/**
+ * Record a newly stored file (storeFile's { backend, id, uri }); it's
+ * unpinned unless a session attaches it in time.
+ */
+export async function recordUpload({ stored, fileType, outputType, sha256, size }) {
+  const upload = {
+    id: stored.id,
+    backend: stored.backend,
+    fileUri: stored.uri,
+    fileType,
+    outputType,
+    sha256,
+    size,
+    uploadedAt: Date.now(),
+    attachedAt: null,
+  };
+  await redis.set(uploadKey(upload.id), JSON.stringify(upload));
+  await redis.set(`upload-sha256:${sha256}`, upload.id);
+  await redis.zadd(UNATTACHED_KEY, Date.now() + UNATTACHED_TTL * 1000, upload.id);
+  return upload;
+}
+
+/**
+ * A session was created for this upload — keep it.
+ */
+export async function attachUpload(id) {
+  const upload = await redis.getJson(uploadKey(id));
+  if (upload && !upload.attachedAt) {
+    upload.attachedAt = Date.now();
+    await redis.set(uploadKey(id), JSON.stringify(upload));
+  }
+  await redis.zrem(UNATTACHED_KEY, id);
+}
+
+/**
+ * Unpin uploads whose time ran out without a session. Run under a lock —
+ * see api/cron/janitor.js. Resolves { due, unpinned: [id], errors }.
+ */
+export async function unpinUnattachedUploads({ timeBudgetMs = 20_000, dryRun = false, log = logger } = {}) {
+  const startedAt = Date.now();
+  const ids = (await redis.zrangebyscore(UNATTACHED_KEY, '-inf', Date.now(), { count: 100 })) || [];
+  const report = { due: ids.length, unpinned: [], errors: [] };
+
+  for (const id of ids) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    try {
+      const upload = await redis.getJson(uploadKey(id));
+      if (!upload || upload.attachedAt) {
+        if (!dryRun) await redis.zrem(UNATTACHED_KEY, id);
+        continue;
+      }
+      if (dryRun) {
+        report.unpinned.push(id);
+        continue;
+      }
+      // Forget it first so a concurrent duplicate upload stores afresh
+      await redis.del(`upload-sha256:${upload.sha256}`);
+      await removeFile(upload);
+      await redis.del(uploadKey(id));
+      await redis.zrem(UNATTACHED_KEY, id);
+      report.unpinned.push(id);
+    } catch (err) {
+      log.error('Unpin error', { uploadId: id, err });
+      report.errors.push({ id, error: err.message });
+    }
+  }
+  return report;
+}
+
+function uploadKey(id) {
+  return `upload:${id}`;
+}
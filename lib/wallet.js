@@ -10,12 +10,12 @@ import * as bip39 from 'bip39';
  * Derive a child keypair from the master seed phrase at a given index.
  * Each session gets a unique index — stored in Redis alongside the session.
  */
-export async function deriveKeypair(index) {
+export async function deriveKeypair(index, change = 0) {
   const mnemonic = process.env.MASTER_SEED_PHRASE;
   if (!mnemonic) throw new Error('MASTER_SEED_PHRASE not configured');
 
   const seed = await bip39.mnemonicToSeed(mnemonic);
-  const path = `m/44'/501'/${index}'/0'`;
+  const path = `m/44'/501'/${index}'/${change}'`;
   const { key } = derivePath(path, seed.toString('hex'));
   return Keypair.fromSeed(key);
 }
@@ -35,3 +35,12 @@ export async function getSessionKeypair(sessionIndex) {
   // Offset by 1000 so session wallets never collide with master (index 0)
   return deriveKeypair(1000 + sessionIndex);
 }
+
+/**
+ * Get the NFT mint keypair for a session.
+ * Deterministic per session, so a retried mint can only ever target the
+ * same mint address — a second createNft for a session simply fails.
+ */
+export async function getMintKeypair(sessionIndex) {
+  return deriveKeypair(1000 + sessionIndex, 1);
+}
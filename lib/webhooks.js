@@ -0,0 +1,207 @@
+// lib/webhooks.js
+// Outbound webhooks for session lifecycle events (Discord bot, bookkeeping).
+//
+// Config: WEBHOOK_ENDPOINTS — JSON list of endpoints, e.g.
+//   [{ "url": "https://example.com/hook", "secret": "...", "events": ["mint.succeeded"] }]
+// `events` is optional (default: every event).
+//
+// Each delivery is a POST of the event as JSON:
+//   { id, type, createdAt, data }
+// with headers
+//   X-Lossy-Event      the event type
+//   X-Lossy-Delivery   the event id — the same across retries, use it to dedupe
+//   X-Lossy-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+//
+// A delivery is queued in Redis before it's first tried, so one that's cut
+// off mid-request is still retried. Failures back off (RETRY_DELAYS) and are
+// retried by /api/cron/webhooks; after the last one the delivery moves to the
+// dead-letter list.
+
+import { createHmac, randomUUID } from 'node:crypto';
+import { redis } from './redis.js';
+import { logger } from './log.js';
+import { gatewayUrl } from './storage/index.js';
+
+export const WEBHOOK_EVENT = {
+  SESSION_CREATED:    'session.created',
+  PAYMENT_RECEIVED:   'payment.received',
+  MINT_SUCCEEDED:     'mint.succeeded',
+  MINT_FAILED:        'mint.failed',
+  REFUND_SENT:        'refund.sent',
+  MASTER_LOW_BALANCE: 'master.low_balance',
+};
+
+export const RETRY_QUEUE_KEY = 'webhooks:retry';
+export const DEAD_LETTER_KEY = 'webhooks:dead-letter';
+
+// Seconds to wait before each retry; the delivery is dead-lettered after the last
+const RETRY_DELAYS = [30, 120, 600, 3600, 6 * 3600];
+const DELIVERY_TIMEOUT_MS = 4000;
+// A queued delivery isn't picked up by the cron while its first try is in flight
+const FIRST_TRY_LEASE = 60;
+const DELIVERY_TTL = 2 * 24 * 60 * 60;
+const DEAD_LETTER_MAX = 500;
+const LOW_BALANCE_ALERT_INTERVAL = 60 * 60;
+
+export function webhookEndpoints() {
+  try {
+    const endpoints = JSON.parse(process.env.WEBHOOK_ENDPOINTS || '[]');
+    return Array.isArray(endpoints) ? endpoints.filter(e => e && typeof e.url === 'string' && e.secret) : [];
+  } catch {
+    logger.warn('WEBHOOK_ENDPOINTS is not valid JSON — webhooks disabled');
+    return [];
+  }
+}
+
+/**
+ * Send `type` to every endpoint subscribed to it. Never throws — a webhook
+ * failing must not fail the session it reports on.
+ */
+export async function emitWebhook(type, data, log = logger) {
+  const endpoints = webhookEndpoints().filter(e => !e.events || e.events.includes(type));
+  if (!endpoints.length) return;
+
+  const event = { id: randomUUID(), type, createdAt: Date.now(), data };
+  await Promise.all(endpoints.map(async endpoint => {
+    const delivery = { id: randomUUID(), url: endpoint.url, event, attempts: 0 };
+    try {
+      await queue(delivery, Date.now() + FIRST_TRY_LEASE * 1000);
+      await attempt(delivery, log);
+    } catch (err) {
+      log.error('Webhook emit error', { type, url: endpoint.url, err });
+    }
+  }));
+}
+
+/**
+ * The session fields webhook consumers get — never the claim token hash.
+ */
+export function sessionPayload(session) {
+  return {
+    sessionId: session.sessionId,
+    status: session.status,
+    outputType: session.outputType,
+    token: session.price?.token,
+    amountDisplay: session.price?.amountDisplay,
+    requiredAmount: session.requiredAmount,
+    receivedAmount: session.receivedAmount || 0,
+    paymentAddress: session.paymentAddress,
+    buyerWallet: session.buyerWallet,
+    recipientWallet: session.recipientWallet || null,
+    mintBackend: session.mintBackend || null,
+    mintAddress: session.mintAddress,
+    mintSignature: session.mintSignature,
+    explorerUrl: session.mintResult?.explorerUrl || null,
+    fileUri: session.metadata?.fileUri,
+    fileUrl: gatewayUrl(session.metadata?.fileUri),
+    error: session.lastError?.message || null,
+  };
+}
+
+/**
+ * master.low_balance, at most once per LOW_BALANCE_ALERT_INTERVAL.
+ */
+export async function alertLowBalance({ address, solBalance, reason, sessionId = null }, log = logger) {
+  try {
+    if (!(await redis.setNx('webhooks:low-balance-alerted', '1', LOW_BALANCE_ALERT_INTERVAL))) return;
+  } catch (err) {
+    log.error('Low balance alert error', { err });
+    return;
+  }
+  await emitWebhook(WEBHOOK_EVENT.MASTER_LOW_BALANCE, { address, solBalance, reason, sessionId }, log);
+}
+
+/**
+ * Retry deliveries that are due. Run under a lock — see api/cron/webhooks.js.
+ * Resolves { due, delivered, rescheduled, deadLettered }.
+ */
+export async function drainRetries({ timeBudgetMs = 50_000, log = logger } = {}) {
+  const startedAt = Date.now();
+  const report = { due: 0, delivered: 0, rescheduled: 0, deadLettered: 0 };
+
+  const ids = (await redis.zrangebyscore(RETRY_QUEUE_KEY, '-inf', Date.now(), { count: 200 })) || [];
+  report.due = ids.length;
+
+  for (const id of ids) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    const delivery = await redis.getJson(deliveryKey(id));
+    if (!delivery) {
+      await redis.zrem(RETRY_QUEUE_KEY, id);
+      continue;
+    }
+    const outcome = await attempt(delivery, log);
+    report[outcome]++;
+  }
+  return report;
+}
+
+/**
+ * Try a delivery once. Resolves 'delivered', 'rescheduled' or 'deadLettered'.
+ */
+async function attempt(delivery, log) {
+  const endpoint = webhookEndpoints().find(e => e.url === delivery.url);
+  delivery.attempts++;
+
+  let error;
+  if (!endpoint) {
+    error = 'Endpoint no longer configured';
+  } else {
+    try {
+      const body = JSON.stringify(delivery.event);
+      const res = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Lossy-Event': delivery.event.type,
+          'X-Lossy-Delivery': delivery.event.id,
+          'X-Lossy-Signature': signPayload(endpoint.secret, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      if (res.ok) {
+        await redis.zrem(RETRY_QUEUE_KEY, delivery.id);
+        await redis.del(deliveryKey(delivery.id));
+        return 'delivered';
+      }
+      error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  delivery.lastError = { message: error, at: Date.now() };
+  const delay = endpoint ? RETRY_DELAYS[delivery.attempts - 1] : undefined;
+
+  if (delay === undefined) {
+    log.error('Webhook dead-lettered', { type: delivery.event.type, url: delivery.url, attempts: delivery.attempts, error });
+    await redis.lpush(DEAD_LETTER_KEY, JSON.stringify(delivery));
+    await redis.ltrim(DEAD_LETTER_KEY, 0, DEAD_LETTER_MAX - 1);
+    await redis.zrem(RETRY_QUEUE_KEY, delivery.id);
+    await redis.del(deliveryKey(delivery.id));
+    return 'deadLettered';
+  }
+
+  log.warn('Webhook delivery failed', { type: delivery.event.type, url: delivery.url, attempts: delivery.attempts, error });
+  await queue(delivery, Date.now() + delay * 1000);
+  return 'rescheduled';
+}
+
+async function queue(delivery, at) {
+  delivery.nextAt = at;
+  await redis.set(deliveryKey(delivery.id), JSON.stringify(delivery), DELIVERY_TTL);
+  await redis.zadd(RETRY_QUEUE_KEY, at, delivery.id);
+}
+
+function deliveryKey(id) {
+  return `webhook-delivery:${id}`;
+}
+
+/**
+ * The X-Lossy-Signature value for `body`. Receivers recompute the HMAC over
+ * "<t>.<raw body>" and should reject stale timestamps.
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
@@ -0,0 +1,66 @@
+// lib/worker.js
+// Hands a session's mint pipeline to /api/worker/:sessionId, a separate
+// function invocation, so read paths (/api/events, /api/poll) never check
+// balances or mint themselves. Kicks are throttled per session; the
+// reconciler cron still drives every open session if a kick is lost.
+//
+// Config: WORKER_BASE_URL — where the worker is reachable, default
+// https://$VERCEL_URL. Never taken from the request: the kick carries
+// CRON_SECRET. With neither set there are no kicks, only the cron.
+
+import { redis } from './redis.js';
+import { STATUS } from './sessions.js';
+import { logger } from './log.js';
+
+// At most one kick per session this often, however many streams are open
+export const KICK_INTERVAL = 5;
+
+// How long a kick waits on the worker. It only has to be sure the request
+// went out — a function may be frozen once its own response is done — and
+// the worker carries on after we stop waiting.
+const KICK_WAIT_MS = 2000;
+
+// Statuses the buyer is waiting on that processSession moves forward
+const WORKABLE = [STATUS.PENDING, STATUS.PAID, STATUS.MINTING, STATUS.MINT_FAILED];
+
+export function needsWork(session) {
+  return WORKABLE.includes(session.status);
+}
+
+/**
+ * Ask the worker to process a session. Resolves once the worker has been
+ * called (or the kick was throttled) — not when it finishes. Never throws.
+ */
+export async function kickSession(sessionId, { signature = null, log = logger } = {}) {
+  try {
+    const baseUrl = workerBaseUrl();
+    if (!process.env.CRON_SECRET || !baseUrl) return false;
+    if (!(await redis.setNx(`kick:${sessionId}`, '1', KICK_INTERVAL))) return false;
+
+    await fetch(`${baseUrl}/api/worker/${encodeURIComponent(sessionId)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.CRON_SECRET}`,
+        'X-Request-Id': log.context?.requestId || '',
+      },
+      body: JSON.stringify({ signature }),
+      signal: AbortSignal.timeout(KICK_WAIT_MS),
+    }).catch(err => {
+      if (err.name !== 'TimeoutError') throw err;
+    });
+    return true;
+  } catch (err) {
+    log.error('Worker kick error', { sessionId, err });
+    return false;
+  }
+}
+
+/**
+ * Where the worker is reachable, or null if nothing configures it.
+ */
+export function workerBaseUrl() {
+  if (process.env.WORKER_BASE_URL) return process.env.WORKER_BASE_URL.replace(/\/$/, '');
+  if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
+  return null;
+}
@@ -0,0 +1,411 @@
+// scripts/collection.js
+// Manage the Lossy collection (lib/collection.js) from the command line:
+//
+//   npm run collection -- <command> [options]
+//
+//   create              create the collection from local assets and print the
+//                       env var to set. --image <file> (default
+//                       lossy-collection.jpg), --name, --symbol, --description,
+//                       --royalty-bps, --force (when one is already configured)
+//   verify-creator      sign as the artist to verify them as the collection's
+//                       creator. --keypair <file> (Solana CLI keypair JSON)
+//   set-metadata        change --name, --symbol, --description, --image <file>,
+//                       --royalty-bps, or point at new metadata with --uri
+//   verify <mint…>      verify NFTs into the collection
+//   unverify <mint…>    take them out of it
+//   list                the collection's members (needs a DAS-enabled RPC). --limit <n>
+//   royalties           check the on-chain royalty config against the metadata JSON;
+//                       exits 1 on any mismatch
+//
+// Every command takes:
+//   --cluster mainnet|devnet|localnet   instead of SOLANA_CLUSTER
+//   --type token-metadata|core          default: what MINT_BACKEND mints into
+//   --collection <address>              default COLLECTION_MINT / CORE_COLLECTION
+//   --dry-run                           print what would change; store and send
+//                                       nothing (list and royalties only read)
+//
+// Signs as the master wallet — the update authority — so MASTER_SEED_PHRASE
+// must be set, plus the storage backend's env for create and set-metadata.
+
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Keypair } from '@solana/web3.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+const DAS_PAGE_SIZE = 1000;
+
+const args = parseArgs(process.argv.slice(2));
+if (args.cluster) process.env.SOLANA_CLUSTER = args.cluster;
+// Library warnings (Redis config and the like) are noise here
+process.env.LOG_LEVEL ??= 'error';
+
+const COMMANDS = {
+  'create':         create,
+  'verify-creator': verifyCreator,
+  'set-metadata':   setMetadata,
+  'verify':         () => setItemsVerified(true),
+  'unverify':       () => setItemsVerified(false),
+  'list':           list,
+  'royalties':      royalties,
+};
+
+const command = COMMANDS[args._[0]];
+if (!command) fail(`Usage: npm run collection -- <${Object.keys(COMMANDS).join('|')}> [options] — see scripts/collection.js`);
+
+const { getCluster, explorerUrl } = await import('../lib/cluster.js');
+const { getMasterKeypair } = await import('../lib/wallet.js');
+const { configuredMintBackend, createMasterUmi } = await import('../lib/mint-backends/index.js');
+const { gatewayUrl, storeFile } = await import('../lib/storage/index.js');
+const { DESCRIPTION } = await import('../lib/metadata.js');
+const {
+  COLLECTION_TYPE,
+  COLLECTION_NAME,
+  COLLECTION_SYMBOL,
+  CREATOR_ADDRESS,
+  ROYALTY_BASIS_POINTS,
+  collectionTypeFor,
+  collectionEnvVar,
+  buildCollectionMetadata,
+  storeCollectionMetadata,
+  createCollectionOnChain,
+} = await import('../lib/collection.js');
+const tm = await import('@metaplex-foundation/mpl-token-metadata');
+const core = await import('@metaplex-foundation/mpl-core');
+const { createSignerFromKeypair, unwrapOption, publicKey: umiPublicKey } = await import('@metaplex-foundation/umi');
+const bs58 = await import('bs58');
+
+let cluster, type, masterKeypair, umi, signer;
+try {
+  cluster = getCluster();
+  type = args.type || collectionTypeFor(configuredMintBackend());
+  if (!Object.values(COLLECTION_TYPE).includes(type)) fail(`Unknown --type: ${type}`);
+  masterKeypair = await getMasterKeypair();
+  ({ umi, signer } = await createMasterUmi(masterKeypair));
+  umi.use(tm.mplTokenMetadata()).use(core.mplCore());
+} catch (err) {
+  fail(err.message);
+}
+
+console.log(`${cluster.name} · ${type} collection${args.dryRun ? ' · dry run' : ''}\n`);
+try {
+  await command();
+} catch (err) {
+  fail(err.message);
+}
+
+// ── Commands ───────────────────────────────────────────────────────────
+
+async function create() {
+  const envVar = collectionEnvVar(type);
+  const existing = type === COLLECTION_TYPE.CORE ? cluster.coreCollection : cluster.collectionMint;
+  // One collection per cluster — refuse to create a second by accident
+  if (existing && !args.force) fail(`${envVar} is already set (${existing}). Pass --force to create another anyway.`);
+
+  const imagePath = args.image || join(ROOT, 'lossy-collection.jpg');
+  const imageType = IMAGE_TYPES[extname(imagePath).toLowerCase()];
+  if (!imageType) fail(`Unsupported image type: ${imagePath} (${Object.keys(IMAGE_TYPES).join(', ')})`);
+  const imageBytes = await readFile(imagePath);
+  const fields = {
+    name: args.name || COLLECTION_NAME,
+    symbol: args.symbol || COLLECTION_SYMBOL,
+    description: args.description || DESCRIPTION,
+    royaltyBasisPoints: royaltyArg() ?? ROYALTY_BASIS_POINTS,
+  };
+
+  if (args.dryRun) {
+    const json = buildCollectionMetadata({ imageUri: `<${basename(imagePath)} once stored>`, imageType, ...fields });
+    console.log(`Would store ${basename(imagePath)} (${imageBytes.length} bytes) and this metadata:\n`);
+    console.log(JSON.stringify(json, null, 2));
+    console.log(`\nthen create "${fields.name}" with update authority ${masterKeypair.publicKey.toBase58()}.`);
+    return;
+  }
+
+  const { imageUri, metadataUri } = await storeCollectionMetadata(imageBytes, { imageName: basename(imagePath), imageType, ...fields });
+  console.log(`Image    ${imageUri}\nMetadata ${metadataUri}`);
+  const { collectionMint, signature } = await createCollectionOnChain(umi, { type, uri: metadataUri, ...fields });
+  console.log(`Created  ${collectionMint}\n         ${explorerUrl('tx', signature)}`);
+  console.log(`\nSet ${envVar}=${collectionMint} and redeploy.`);
+  if (type === COLLECTION_TYPE.TOKEN_METADATA) {
+    console.log(`Then verify the artist as creator: npm run collection -- verify-creator --keypair <${CREATOR_ADDRESS} keypair>`);
+  }
+}
+
+async function verifyCreator() {
+  if (type === COLLECTION_TYPE.CORE) fail('Core collections have no creator verification — royalty creators are part of the collection itself.');
+  if (!args.keypair) fail('Pass the creator wallet with --keypair <file>.');
+
+  const creatorKeypair = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(await readFile(args.keypair, 'utf8'))));
+  const creatorAddress = creatorKeypair.publicKey.toBase58();
+  const mint = umiPublicKey(collectionAddress());
+  const metadata = await tm.fetchMetadataFromSeeds(umi, { mint });
+  const creators = unwrapOption(metadata.creators) || [];
+
+  const creator = creators.find(c => c.address === creatorAddress);
+  if (!creator) fail(`${creatorAddress} is not a creator of this collection (creators: ${creators.map(c => c.address).join(', ') || 'none'}).`);
+  if (creator.verified) {
+    console.log(`${creatorAddress} is already verified.`);
+    return;
+  }
+
+  const authority = createSignerFromKeypair(umi, umi.eddsa.createKeypairFromSecretKey(creatorKeypair.secretKey));
+  await send(tm.verifyCreatorV1(umi, { metadata: tm.findMetadataPda(umi, { mint }), authority }), `verify creator ${creatorAddress}`);
+}
+
+async function setMetadata() {
+  const royalty = royaltyArg();
+  const rebuildsJson = args.name || args.symbol || args.description || args.image || royalty !== null;
+  if (!rebuildsJson && !args.uri) fail('Nothing to set — pass --name, --symbol, --description, --image, --royalty-bps or --uri.');
+
+  const address = umiPublicKey(collectionAddress());
+  const current = type === COLLECTION_TYPE.CORE
+    ? await core.fetchCollection(umi, address)
+    : await tm.fetchMetadataFromSeeds(umi, { mint: address });
+  if (type === COLLECTION_TYPE.TOKEN_METADATA && !current.isMutable) fail('This collection\'s metadata is immutable.');
+
+  const currentRoyalty = type === COLLECTION_TYPE.CORE ? current.royalties?.basisPoints ?? null : current.sellerFeeBasisPoints;
+  const next = {
+    name: args.name || current.name,
+    symbol: type === COLLECTION_TYPE.CORE ? null : args.symbol || current.symbol,
+    uri: args.uri || current.uri,
+    royalty: royalty ?? currentRoyalty,
+  };
+
+  if (!args.uri && rebuildsJson) {
+    const json = { ...(await fetchJson(current.uri)) };
+    json.name = next.name;
+    if (next.symbol) json.symbol = next.symbol;
+    if (args.description) json.description = args.description;
+    if (next.royalty !== null) json.seller_fee_basis_points = next.royalty;
+    if (args.image) {
+      const imageType = IMAGE_TYPES[extname(args.image).toLowerCase()];
+      if (!imageType) fail(`Unsupported image type: ${args.image}`);
+      const imageUri = args.dryRun ? `<${basename(args.image)} once stored>` : (await store(await readFile(args.image), basename(args.image), imageType)).uri;
+      json.image = imageUri;
+      json.properties = { ...json.properties, files: [{ uri: imageUri, type: imageType }] };
+    }
+
+    if (args.dryRun) {
+      console.log(`Would store this metadata:\n\n${JSON.stringify(json, null, 2)}\n`);
+      next.uri = '<new metadata url>';
+    } else {
+      next.uri = (await store(JSON.stringify(json, null, 2), 'lossy-collection-metadata.json', 'application/json')).url;
+    }
+  }
+
+  for (const [field, before, after] of [
+    ['name', current.name, next.name],
+    ['symbol', current.symbol, next.symbol],
+    ['uri', current.uri, next.uri],
+    ['royalty bps', currentRoyalty, next.royalty],
+  ]) {
+    if (after !== null && after !== before) console.log(`${field.padEnd(12)} ${before ?? '—'} → ${after}`);
+  }
+
+  if (type === COLLECTION_TYPE.CORE) {
+    let builder = core.updateCollection(umi, { collection: address, name: next.name, uri: next.uri });
+    if (next.royalty !== currentRoyalty) {
+      builder = builder.add(core.updateCollectionPlugin(umi, {
+        collection: address,
+        plugin: {
+          type: 'Royalties',
+          basisPoints: next.royalty,
+          creators: current.royalties?.creators || [{ address: umiPublicKey(CREATOR_ADDRESS), percentage: 100 }],
+          ruleSet: current.royalties?.ruleSet || { type: 'None' },
+        },
+      }));
+    }
+    await send(builder, 'update collection');
+  } else {
+    await send(tm.updateV1(umi, {
+      mint: address,
+      authority: signer,
+      data: { ...current, name: next.name, symbol: next.symbol, uri: next.uri, sellerFeeBasisPoints: next.royalty },
+    }), 'update collection metadata');
+  }
+}
+
+async function setItemsVerified(verified) {
+  if (type === COLLECTION_TYPE.CORE) fail('Core assets join their collection when they\'re created — there is nothing to verify.');
+  const mints = args._.slice(1);
+  if (!mints.length) fail(`Pass the NFT mint addresses: npm run collection -- ${verified ? 'verify' : 'unverify'} <mint> [<mint>…]`);
+
+  const collectionMint = umiPublicKey(collectionAddress());
+  const instruction = verified ? tm.verifyCollectionV1 : tm.unverifyCollectionV1;
+  let failures = 0;
+
+  for (const item of mints) {
+    try {
+      const mint = umiPublicKey(item);
+      const metadata = await tm.fetchMetadataFromSeeds(umi, { mint });
+      const collection = unwrapOption(metadata.collection);
+      if (collection?.key !== collectionMint) {
+        console.log(`${item}  not in this collection (collection: ${collection?.key || 'none'})`);
+        failures++;
+        continue;
+      }
+      if (collection.verified === verified) {
+        console.log(`${item}  already ${verified ? 'verified' : 'unverified'}`);
+        continue;
+      }
+      await send(
+        instruction(umi, { metadata: tm.findMetadataPda(umi, { mint }), collectionMint, authority: signer }),
+        `${verified ? 'verify' : 'unverify'} ${item}`,
+      );
+    } catch (err) {
+      console.log(`${item}  ${err.message}`);
+      failures++;
+    }
+  }
+  if (failures) process.exitCode = 1;
+}
+
+async function list() {
+  const address = collectionAddress();
+  const limit = args.limit ? Number(args.limit) : Infinity;
+  const members = [];
+
+  for (let page = 1; members.length < limit; page++) {
+    const { items } = await das('getAssetsByGroup', { groupKey: 'collection', groupValue: address, page, limit: DAS_PAGE_SIZE });
+    members.push(...items);
+    if (items.length < DAS_PAGE_SIZE) break;
+  }
+
+  for (const asset of members.slice(0, limit)) {
+    const kind = asset.compression?.compressed ? 'compressed' : asset.interface;
+    console.log([asset.id, asset.content?.metadata?.name || '', asset.ownership?.owner || '', kind].join('\t'));
+  }
+  console.log(`\n${Math.min(members.length, limit)} member(s) of ${address}`);
+}
+
+async function royalties() {
+  const address = umiPublicKey(collectionAddress());
+  const problems = [];
+  let basisPoints, creators, uri;
+
+  if (type === COLLECTION_TYPE.CORE) {
+    const collection = await core.fetchCollection(umi, address);
+    uri = collection.uri;
+    if (!collection.royalties) problems.push('No Royalties plugin on the collection');
+    basisPoints = collection.royalties?.basisPoints ?? null;
+    creators = (collection.royalties?.creators || []).map(c => ({ address: c.address, share: c.percentage, verified: null }));
+  } else {
+    const metadata = await tm.fetchMetadataFromSeeds(umi, { mint: address });
+    uri = metadata.uri;
+    basisPoints = metadata.sellerFeeBasisPoints;
+    creators = unwrapOption(metadata.creators) || [];
+  }
+
+  console.log(`Royalty   ${basisPoints ?? '—'} bps (expected ${ROYALTY_BASIS_POINTS})`);
+  for (const c of creators) {
+    console.log(`Creator   ${c.address}  ${c.share}%${c.verified === null ? '' : c.verified ? '  verified' : '  unverified'}`);
+  }
+
+  if (basisPoints !== null && basisPoints !== ROYALTY_BASIS_POINTS) problems.push(`Royalty is ${basisPoints} bps, expected ${ROYALTY_BASIS_POINTS}`);
+  const shares = creators.reduce((sum, c) => sum + c.share, 0);
+  if (creators.length && shares !== 100) problems.push(`Creator shares add up to ${shares}%, not 100%`);
+  const artist = creators.find(c => c.address === CREATOR_ADDRESS);
+  if (!artist) problems.push(`The artist (${CREATOR_ADDRESS}) is not a creator`);
+  else if (artist.verified === false) problems.push('The artist is an unverified creator — run verify-creator');
+
+  const json = await fetchJson(uri).catch(err => {
+    problems.push(`Metadata JSON unreadable: ${err.message}`);
+    return null;
+  });
+  if (json) {
+    if (json.seller_fee_basis_points !== basisPoints) {
+      problems.push(`Metadata JSON says ${json.seller_fee_basis_points ?? 'no'} seller_fee_basis_points, on-chain ${basisPoints}`);
+    }
+    const jsonCreators = (json.properties?.creators || []).map(c => `${c.address}:${c.share}`).sort().join(',');
+    const chainCreators = creators.map(c => `${c.address}:${c.share}`).sort().join(',');
+    if (jsonCreators !== chainCreators) problems.push('Metadata JSON creators differ from on-chain creators');
+  }
+
+  if (problems.length) {
+    console.log(`\n${problems.map(p => `✗ ${p}`).join('\n')}`);
+    process.exitCode = 1;
+  } else {
+    console.log('\nRoyalty config OK');
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────
+
+function collectionAddress() {
+  const address = args.collection || (type === COLLECTION_TYPE.CORE ? cluster.coreCollection : cluster.collectionMint);
+  if (!address) fail(`No collection — pass --collection or set ${collectionEnvVar(type)}.`);
+  return address;
+}
+
+function royaltyArg() {
+  if (args.royaltyBps === undefined) return null;
+  const bps = Number(args.royaltyBps);
+  if (!Number.isInteger(bps) || bps < 0 || bps > 10_000) fail('--royalty-bps must be a whole number from 0 to 10000.');
+  return bps;
+}
+
+// Send a transaction builder — or, on a dry run, only say what it would do
+async function send(builder, description) {
+  if (args.dryRun) {
+    console.log(`Would send: ${description}`);
+    return null;
+  }
+  const { signature } = await builder.sendAndConfirm(umi);
+  const sig = bs58.default.encode(signature);
+  console.log(`Sent: ${description}\n      ${explorerUrl('tx', sig)}`);
+  return sig;
+}
+
+async function store(bytes, name, contentType) {
+  const stored = await storeFile(bytes, { name, contentType });
+  console.log(`Stored ${name} → ${stored.uri}`);
+  return stored;
+}
+
+async function fetchJson(uri) {
+  const res = await fetch(gatewayUrl(uri), { signal: AbortSignal.timeout(15_000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${uri}`);
+  return res.json();
+}
+
+// A Digital Asset Standard (DAS) RPC call — Helius, Triton and others serve these
+async function das(method, params) {
+  const res = await fetch(cluster.rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (json.error?.code === -32601 || (!json.result && !json.error)) {
+    throw new Error(`This RPC has no DAS API (${method}) — point SOLANA_RPC_URL at a DAS-enabled provider.`);
+  }
+  if (json.error) throw new Error(`${method}: ${json.error.message}`);
+  return json.result;
+}
+
+function parseArgs(argv) {
+  const parsed = { _: [] };
+  const values = ['--cluster', '--type', '--collection', '--image', '--name', '--symbol', '--description', '--uri', '--royalty-bps', '--keypair', '--limit'];
+  const flags = ['--dry-run', '--force'];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const key = arg.replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (values.includes(arg)) {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      parsed[key] = argv[++i];
+    } else if (flags.includes(arg)) {
+      parsed[key] = true;
+    } else if (arg.startsWith('--')) {
+      fail(`Unknown argument: ${arg}`);
+    } else {
+      parsed._.push(arg);
+    }
+  }
+  return parsed;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
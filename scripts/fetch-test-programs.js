@@ -0,0 +1,85 @@
+// scripts/fetch-test-programs.js
+// Download the on-chain programs the pipeline suite loads into
+// solana-test-validator, as test/programs/<program id>.so. Plain JSON-RPC
+// against mainnet — no Solana CLI needed. Run once while online:
+//
+//   npm run test:programs                  Token Metadata (all the suite needs)
+//   npm run test:programs -- --all         plus Bubblegum and Core, for
+//                                          MINT_BACKEND=bubblegum / core
+//   npm run test:programs -- --rpc <url>   another mainnet RPC
+//   npm run test:programs -- --force       download again
+//
+// An upgradeable program's bytes live in its ProgramData account; the .so
+// is that account's data after the 45-byte loader header.
+
+import { existsSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import bs58 from 'bs58';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'test', 'programs');
+const PROGRAMDATA_HEADER = 45;
+
+const REQUIRED = {
+  'Token Metadata': 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s',
+};
+const OPTIONAL = {
+  'Bubblegum':          'BGUMAp9Gq7iTEuizy4pqaxsTyUCBK68MDfK752saRPUY',
+  'SPL Noop':           'noopb9bkMVfRPU8AsbpTUg8AQkHtKwMYZiFUjNRtMmV',
+  'Account Compression': 'cmtDvXumGCrqC1Age74AVPhSRVXJMd8PJS91L8KbNCK',
+  'Core':               'CoREENxT6tW1HoK8ypY1SxRMZTcVPm7R94rH4PZNhX7d',
+};
+
+const argv = process.argv.slice(2);
+const flag = (name) => argv.includes(name);
+const rpcIndex = argv.indexOf('--rpc');
+const rpcUrl = rpcIndex >= 0 ? argv[rpcIndex + 1] : 'https://api.mainnet-beta.solana.com';
+if (!rpcUrl) fail('--rpc needs a URL');
+
+const programs = { ...REQUIRED, ...(flag('--all') ? OPTIONAL : {}) };
+await mkdir(PROGRAMS_DIR, { recursive: true });
+
+for (const [name, programId] of Object.entries(programs)) {
+  const file = join(PROGRAMS_DIR, `${programId}.so`);
+  if (existsSync(file) && !flag('--force')) {
+    console.log(`✓ ${name} already in test/programs`);
+    continue;
+  }
+  try {
+    const bytes = await programBytes(programId);
+    await writeFile(file, bytes);
+    console.log(`✓ ${name} → test/programs/${programId}.so (${(bytes.length / 1024).toFixed(0)} KB)`);
+  } catch (err) {
+    fail(`${name} (${programId}): ${err.message}`);
+  }
+}
+
+async function programBytes(programId) {
+  const program = await accountData(programId);
+  // UpgradeableLoaderState::Program — a u32 tag of 2, then the ProgramData address
+  if (program.readUInt32LE(0) !== 2) throw new Error('not an upgradeable program account');
+  const programData = await accountData(bs58.encode(program.subarray(4, 36)));
+
+  const bytes = programData.subarray(PROGRAMDATA_HEADER);
+  if (bytes.subarray(0, 4).toString('latin1') !== '\x7fELF') throw new Error('ProgramData does not hold an ELF');
+  return bytes;
+}
+
+async function accountData(address) {
+  const res = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getAccountInfo', params: [address, { encoding: 'base64' }] }),
+    signal: AbortSignal.timeout(60_000),
+  });
+  const json = await res.json();
+  if (json.error) throw new Error(json.error.message);
+  if (!json.result?.value) throw new Error(`account ${address} not found`);
+  return Buffer.from(json.result.value.data[0], 'base64');
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
@@ -0,0 +1,121 @@
+// scripts/setup-localnet.js
+// Prepares a local solana-test-validator for a rehearsal drop: funds the
+// master wallet, creates a fake USDC mint (master is mint authority) and a
+// collection NFT, then writes the env for SOLANA_CLUSTER=localnet.
+//
+// Start the validator with the Metaplex programs cloned from mainnet:
+//
+//   solana-test-validator -r --url mainnet-beta \
+//     --clone-upgradeable-program metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s \
+//     --clone-upgradeable-program BGUMAp9Gq7iTEuizy4pqaxsTyUCBK68MDfK752saRPUY \
+//     --clone-upgradeable-program CoREENxT6tW1HoK8ypY1SxRMZTcVPm7R94rH4PZNhX7d \
+//     --clone-upgradeable-program cmtDvXumGCrqC1Age74AVPhSRVXJMd8PJS91L8KbNCK \
+//     --clone-upgradeable-program noopb9bkMVfRPU8AsbpTUg8AQkHtKwMYZiFUjNRtMmV
+//
+// then:
+//
+//   MASTER_SEED_PHRASE="..." npm run setup:localnet -- [--buyer <wallet>] [--out .env.localnet]
+//
+// --buyer mints 1,000 fake USDC and airdrops 10 SOL to a wallet to pay with.
+
+import { writeFile } from 'node:fs/promises';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { createMint, getOrCreateAssociatedTokenAccount, mintTo } from '@solana/spl-token';
+
+process.env.SOLANA_CLUSTER = 'localnet';
+
+const { getCluster } = await import('../lib/cluster.js');
+const { getConnection } = await import('../lib/solana.js');
+const { getMasterKeypair } = await import('../lib/wallet.js');
+
+const TOKEN_METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const MASTER_AIRDROP_SOL = 100;
+const BUYER_AIRDROP_SOL = 10;
+const BUYER_USDC = 1_000;
+
+const args = parseArgs(process.argv.slice(2));
+const cluster = getCluster();
+const connection = getConnection();
+
+try {
+  await connection.getVersion();
+} catch {
+  fail(`No validator at ${cluster.rpcUrl} — start solana-test-validator first (see the top of this file).`);
+}
+
+const master = await getMasterKeypair();
+console.log(`Master wallet ${master.publicKey.toBase58()}`);
+await airdrop(master.publicKey, MASTER_AIRDROP_SOL);
+
+// ── Fake USDC ──────────────────────────────────────────────────────────
+const usdcMint = await createMint(connection, master, master.publicKey, null, 6);
+console.log(`Fake USDC mint ${usdcMint.toBase58()}`);
+
+if (args.buyer) {
+  const buyer = new PublicKey(args.buyer);
+  await airdrop(buyer, BUYER_AIRDROP_SOL);
+  const ata = await getOrCreateAssociatedTokenAccount(connection, master, usdcMint, buyer);
+  await mintTo(connection, master, usdcMint, ata.address, master, BUYER_USDC * 10 ** 6);
+  console.log(`Minted ${BUYER_USDC} fake USDC to ${buyer.toBase58()}`);
+}
+
+// ── Collection ─────────────────────────────────────────────────────────
+let collectionMint = null;
+const metadataProgram = await connection.getAccountInfo(new PublicKey(TOKEN_METADATA_PROGRAM));
+if (!metadataProgram?.executable) {
+  console.warn('Token Metadata program not on this validator — skipping the collection. Restart it with the programs cloned (see the top of this file).');
+} else {
+  collectionMint = await createCollection(master);
+  console.log(`Collection ${collectionMint}`);
+}
+
+// ── Env ────────────────────────────────────────────────────────────────
+const env = [
+  'SOLANA_CLUSTER=localnet',
+  `SOLANA_RPC_URL=${cluster.rpcUrl}`,
+  `USDC_MINT=${usdcMint.toBase58()}`,
+  // No USDT on a local validator
+  'ACCEPTED_TOKENS=USDC,SOL',
+  ...(collectionMint ? [`COLLECTION_MINT=${collectionMint}`] : []),
+].join('\n') + '\n';
+
+const out = args.out || '.env.localnet';
+await writeFile(out, env);
+console.log(`\nWrote ${out}:\n\n${env}\nMerge it into .env.local (with your MASTER_SEED_PHRASE and Redis vars) and run \`npm run dev\`.`);
+
+async function airdrop(publicKey, sol) {
+  const balance = await connection.getBalance(publicKey);
+  if (balance >= sol * LAMPORTS_PER_SOL) return;
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash();
+  await connection.confirmTransaction({ signature, ...latest }, 'confirmed');
+  console.log(`Airdropped ${sol} SOL to ${publicKey.toBase58()}`);
+}
+
+async function createCollection(masterKeypair) {
+  const { createMasterUmi } = await import('../lib/mint-backends/index.js');
+  const { createCollectionOnChain } = await import('../lib/collection.js');
+
+  const { umi } = await createMasterUmi(masterKeypair);
+  const { collectionMint } = await createCollectionOnChain(umi, {
+    name: 'Lossy (localnet)',
+    // Never fetched on a local validator
+    uri: 'https://example.com/lossy-localnet-collection.json',
+  });
+  return collectionMint;
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--buyer') parsed.buyer = argv[++i];
+    else if (argv[i] === '--out') parsed.out = argv[++i];
+    else fail(`Unknown argument: ${argv[i]}`);
+  }
+  return parsed;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
@@ -0,0 +1,36 @@
+// test/admin.test.js
+// Admin actions on the in-memory stand-ins.
+
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureEnv, loadHandlers, openSession } from './harness.js';
+
+configureEnv();
+const handlers = await loadHandlers();
+const { resetMemoryStore } = await import('../lib/redis-backends/memory.js');
+const { runAdminAction } = await import('../lib/admin.js');
+const { loadSession, saveSession, recordStep, transition, STATUS } = await import('../lib/sessions.js');
+const { supplySnapshot } = await import('../lib/supply.js');
+
+beforeEach(() => resetMemoryStore());
+afterEach(() => configureEnv());
+
+test('a session with an on-chain mint is not refunded', async () => {
+  process.env.MAX_SUPPLY = '1';
+  const { sessionId } = await openSession(handlers);
+
+  // createNft landed, then verifyCollection failed
+  const session = await loadSession(sessionId);
+  transition(session, STATUS.PAID);
+  transition(session, STATUS.MINTING);
+  recordStep(session, 'edition', { number: 1 });
+  recordStep(session, 'createNft', { mintAddress: 'mint', signature: 'sig' });
+  transition(session, STATUS.MINT_FAILED);
+  await saveSession(session);
+
+  const { code, body } = await runAdminAction(sessionId, 'refund');
+  assert.equal(code, 409);
+  assert.match(body.error, /retry/);
+  assert.equal((await loadSession(sessionId)).status, STATUS.MINT_FAILED);
+  assert.equal((await supplySnapshot()).reserved, 1);
+});
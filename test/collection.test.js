@@ -0,0 +1,58 @@
+// test/collection.test.js
+// Collection metadata and the CLI's argument handling — creating one on-chain
+// is covered by the pipeline suite.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+
+process.env.LOG_LEVEL ??= 'silent';
+const {
+  COLLECTION_TYPE,
+  CREATOR_ADDRESS,
+  ROYALTY_BASIS_POINTS,
+  buildCollectionMetadata,
+  collectionEnvVar,
+  collectionTypeFor,
+} = await import('../lib/collection.js');
+
+const TEST_SEED_PHRASE = 'test test test test test test test test test test test junk';
+
+function cli(...args) {
+  return spawnSync(process.execPath, [new URL('../scripts/collection.js', import.meta.url).pathname, ...args], {
+    env: { ...process.env, MASTER_SEED_PHRASE: TEST_SEED_PHRASE, COLLECTION_MINT: '', CORE_COLLECTION: '' },
+    encoding: 'utf8',
+    timeout: 60_000,
+  });
+}
+
+test('each mint backend has its collection type and env var', () => {
+  assert.equal(collectionTypeFor('core'), COLLECTION_TYPE.CORE);
+  assert.equal(collectionTypeFor('token-metadata'), COLLECTION_TYPE.TOKEN_METADATA);
+  assert.equal(collectionTypeFor('bubblegum'), COLLECTION_TYPE.TOKEN_METADATA);
+  assert.equal(collectionEnvVar(COLLECTION_TYPE.CORE), 'CORE_COLLECTION');
+  assert.equal(collectionEnvVar(COLLECTION_TYPE.TOKEN_METADATA), 'COLLECTION_MINT');
+});
+
+test('collection metadata carries the royalty and the artist as creator', () => {
+  const json = buildCollectionMetadata({ imageUri: 'ipfs://image', imageType: 'image/png', name: 'Test' });
+  assert.equal(json.name, 'Test');
+  assert.equal(json.image, 'ipfs://image');
+  assert.equal(json.seller_fee_basis_points, ROYALTY_BASIS_POINTS);
+  assert.deepEqual(json.properties.files, [{ uri: 'ipfs://image', type: 'image/png' }]);
+  assert.deepEqual(json.properties.creators, [{ address: CREATOR_ADDRESS, share: 100 }]);
+});
+
+test('the CLI dry-runs create without storing or sending', () => {
+  const child = cli('create', '--cluster', 'localnet', '--dry-run', '--royalty-bps', '500');
+  assert.equal(child.status, 0, child.stderr);
+  assert.match(child.stdout, /localnet · token-metadata collection · dry run/);
+  assert.match(child.stdout, /"seller_fee_basis_points": 500/);
+});
+
+test('the CLI refuses unknown commands, arguments and missing collections', () => {
+  assert.equal(cli('burn').status, 1);
+  assert.match(cli('list', '--cluster', 'localnet', '--verbose').stderr, /Unknown argument: --verbose/);
+  assert.match(cli('royalties', '--cluster', 'localnet').stderr, /set COLLECTION_MINT/);
+  assert.match(cli('verify', '--cluster', 'localnet', '--type', 'core').stderr, /nothing to verify/);
+});
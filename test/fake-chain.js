@@ -0,0 +1,641 @@
+// test/fake-chain.js
+// An in-process stand-in for a Solana RPC node, so the mint pipeline suite
+// runs in `npm test` with nothing installed: JSON-RPC over HTTP on one port
+// and signature subscriptions over WebSocket on the next, like a validator.
+//
+// It keeps accounts in memory and runs just the instructions the app and the
+// harness send — System transfers and account creation, SPL Token, the
+// associated token account program, Memo, and Token Metadata's CreateV1 /
+// MintV1 (the two halves of createNft), reduced to the accounts and token
+// balances they leave behind. Anything else fails loudly. Fees, rent and
+// signatures are checked; a failing transaction fails as a preflight error
+// with the program logs a validator would give, and changes nothing.
+//
+// It is not Solana: no compute limits, no blockhash expiry, no CPI. The
+// validator suite (test/validator.test.js) covers the real programs.
+
+import { createServer } from 'node:http';
+import { createPublicKey, randomBytes, verify } from 'node:crypto';
+import { ComputeBudgetProgram, PublicKey, SystemProgram, VersionedTransaction } from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { MPL_TOKEN_METADATA_PROGRAM_ID } from '@metaplex-foundation/mpl-token-metadata';
+import bs58 from 'bs58';
+import { WebSocketServer } from 'ws';
+
+const SYSTEM_PROGRAM = SystemProgram.programId.toBase58();
+const TOKEN_PROGRAM = TOKEN_PROGRAM_ID.toBase58();
+const ATA_PROGRAM = ASSOCIATED_TOKEN_PROGRAM_ID.toBase58();
+const TOKEN_METADATA_PROGRAM = MPL_TOKEN_METADATA_PROGRAM_ID;
+const COMPUTE_BUDGET_PROGRAM = ComputeBudgetProgram.programId.toBase58();
+const MEMO_PROGRAMS = ['MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'];
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+const MINT_SIZE = 82;
+const TOKEN_ACCOUNT_SIZE = 165;
+// Token Metadata's account sizes, for the rent a createNft costs
+const METADATA_SIZE = 679;
+const MASTER_EDITION_SIZE = 282;
+
+// DER prefix that turns a raw 32-byte ed25519 public key into SPKI for node:crypto
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Rent-exempt minimum for an account of `space` bytes, as the runtime works it out.
+ */
+export function rentExempt(space) {
+  return (128 + space) * 3480 * 2;
+}
+
+// A transaction that can't run; `logs` are what a validator's preflight reports
+class InstructionError extends Error {
+  constructor(message, logs = []) {
+    super(message);
+    this.logs = logs;
+  }
+}
+
+/**
+ * Start the stand-in. Resolves { rpcUrl, stop }.
+ */
+export async function startFakeChain() {
+  const chain = createChain();
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const http = createServer((req, res) => handleHttp(chain, req, res));
+    await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+    const { port } = http.address();
+
+    // web3.js looks for the WebSocket endpoint one port above the RPC
+    const ws = new WebSocketServer({ host: '127.0.0.1', port: port + 1 });
+    const listening = await new Promise(resolve => {
+      ws.once('listening', () => resolve(true));
+      ws.once('error', () => resolve(false));
+    });
+    if (!listening) {
+      await new Promise(resolve => http.close(resolve));
+      continue;
+    }
+    ws.on('connection', socket => handleSocket(chain, socket));
+
+    const stop = async () => {
+      // web3.js drops an idle socket by itself after half a second; one cut
+      // from this end reconnects forever and keeps the test process alive
+      for (let waited = 0; ws.clients.size && waited < 5000; waited += 100) await sleep(100);
+      for (const socket of ws.clients) socket.terminate();
+      http.closeAllConnections();
+      await Promise.all([
+        new Promise(resolve => ws.close(resolve)),
+        new Promise(resolve => http.close(resolve)),
+      ]);
+    };
+    return { rpcUrl: `http://127.0.0.1:${port}`, stop };
+  }
+  throw new Error('No free pair of ports for the in-process chain');
+}
+
+// ── Ledger ───────────────────────────────────────────────────────────────
+
+function createChain() {
+  return {
+    slot: 1,
+    accounts: new Map(),      // address → { lamports, owner, data }
+    transactions: new Map(),  // signature → { slot, blockTime, message, signatures, meta }
+    history: new Map(),       // address → signatures that touched it, oldest first
+    statuses: new Map(),      // signature → slot it landed in (transactions and airdrops)
+    watchers: new Map(),      // signature → [notify]
+  };
+}
+
+function land(chain, signature) {
+  chain.statuses.set(signature, chain.slot);
+  for (const notify of chain.watchers.get(signature) || []) notify(chain.slot);
+  chain.watchers.delete(signature);
+  chain.slot += 1;
+}
+
+function airdrop(chain, address, lamports) {
+  const account = chain.accounts.get(address) || { lamports: 0, owner: SYSTEM_PROGRAM, data: Buffer.alloc(0) };
+  chain.accounts.set(address, { ...account, lamports: account.lamports + lamports });
+  const signature = bs58.encode(randomBytes(64));
+  land(chain, signature);
+  return signature;
+}
+
+/**
+ * Run a wire-format transaction against the ledger. All of it applies or
+ * none of it does. Resolves the signature; throws InstructionError.
+ */
+function sendTransaction(chain, wire) {
+  const tx = VersionedTransaction.deserialize(wire);
+  const { message } = tx;
+  // umi sends v0 messages; without lookup tables they name every account
+  if (message.addressTableLookups.length) throw new InstructionError('Address lookup tables are not supported');
+
+  const keys = message.staticAccountKeys.map(key => key.toBase58());
+  const signerCount = message.header.numRequiredSignatures;
+  const messageBytes = Buffer.from(message.serialize());
+  for (let i = 0; i < signerCount; i++) {
+    const publicKey = createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(bs58.decode(keys[i]))]), format: 'der', type: 'spki' });
+    if (!verify(null, messageBytes, publicKey, Buffer.from(tx.signatures[i]))) {
+      throw new InstructionError('Transaction signature verification failure');
+    }
+  }
+  const signature = bs58.encode(tx.signatures[0]);
+  if (chain.transactions.has(signature)) throw new InstructionError('This transaction has already been processed');
+
+  // Work on copies; commit only if every instruction succeeds
+  const draft = new Map();
+  const load = address => {
+    if (!draft.has(address)) {
+      const account = chain.accounts.get(address);
+      draft.set(address, account ? { ...account, data: Buffer.from(account.data) } : { lamports: 0, owner: SYSTEM_PROGRAM, data: Buffer.alloc(0) });
+    }
+    return draft.get(address);
+  };
+  const snapshot = () => keys.map(address => chain.accounts.get(address) || null);
+  const before = snapshot();
+
+  const fee = LAMPORTS_PER_SIGNATURE * signerCount;
+  const feePayer = load(keys[0]);
+  if (feePayer.lamports < fee) {
+    throw new InstructionError(feePayer.lamports === 0
+      ? 'Attempt to debit an account but found no record of a prior credit.'
+      : 'Insufficient funds for fee');
+  }
+  feePayer.lamports -= fee;
+
+  const logs = [];
+  message.compiledInstructions.forEach((ix, index) => {
+    const ctx = {
+      program: keys[ix.programIdIndex],
+      accounts: ix.accountKeyIndexes.map(i => keys[i]),
+      data: Buffer.from(ix.data),
+      isSigner: address => keys.indexOf(address) < signerCount,
+      load,
+      log: line => logs.push(`Program log: ${line}`),
+    };
+    logs.push(`Program ${ctx.program} invoke [1]`);
+    try {
+      execute(ctx);
+    } catch (err) {
+      logs.push(...(err.logs || []), `Program ${ctx.program} failed: ${err.message}`);
+      throw new InstructionError(`Error processing Instruction ${index}: ${err.message}`, logs);
+    }
+    logs.push(`Program ${ctx.program} success`);
+  });
+
+  for (const [address, account] of draft) {
+    if (account.lamports === 0 && account.data.length === 0) chain.accounts.delete(address);
+    else chain.accounts.set(address, account);
+  }
+
+  const after = snapshot();
+  const blockTime = Math.floor(Date.now() / 1000);
+  chain.transactions.set(signature, {
+    slot: chain.slot,
+    blockTime,
+    signatures: tx.signatures.map(sig => bs58.encode(sig)),
+    memos: memosOf(logs),
+    version: message.version,
+    message: {
+      ...(message.version === 'legacy' ? {} : { addressTableLookups: [] }),
+      header: message.header,
+      accountKeys: keys,
+      recentBlockhash: message.recentBlockhash,
+      instructions: message.compiledInstructions.map(ix => ({
+        programIdIndex: ix.programIdIndex,
+        accounts: ix.accountKeyIndexes,
+        data: bs58.encode(ix.data),
+      })),
+    },
+    meta: {
+      err: null,
+      fee,
+      preBalances: before.map(account => account?.lamports || 0),
+      postBalances: after.map(account => account?.lamports || 0),
+      preTokenBalances: tokenBalances(chain, before),
+      postTokenBalances: tokenBalances(chain, after),
+      innerInstructions: [],
+      logMessages: logs,
+      loadedAddresses: { writable: [], readonly: [] },
+    },
+  });
+  for (const address of new Set(keys)) {
+    chain.history.set(address, [...(chain.history.get(address) || []), signature]);
+  }
+  land(chain, signature);
+  return signature;
+}
+
+function memosOf(logs) {
+  return logs
+    .map(line => line.match(/^Program log: Memo \(len \d+\): "(.*)"$/)?.[1])
+    .filter(memo => memo !== undefined);
+}
+
+// The token balance entries a validator puts in a transaction's meta
+function tokenBalances(chain, accounts) {
+  return accounts.flatMap((account, accountIndex) => {
+    if (!isTokenAccount(account)) return [];
+    const { mint, owner, amount } = readTokenAccount(account.data);
+    const decimals = readMint(chain.accounts.get(mint)?.data)?.decimals ?? 0;
+    return [{ accountIndex, mint, owner, programId: TOKEN_PROGRAM, uiTokenAmount: uiAmount(amount, decimals) }];
+  });
+}
+
+function uiAmount(amount, decimals) {
+  const ui = Number(amount) / 10 ** decimals;
+  return { amount: amount.toString(), decimals, uiAmount: ui, uiAmountString: String(ui) };
+}
+
+// ── Programs ─────────────────────────────────────────────────────────────
+
+function execute(ctx) {
+  if (ctx.program === SYSTEM_PROGRAM) return systemProgram(ctx);
+  if (ctx.program === TOKEN_PROGRAM) return tokenProgram(ctx);
+  if (ctx.program === ATA_PROGRAM) return ataProgram(ctx);
+  if (ctx.program === TOKEN_METADATA_PROGRAM) return tokenMetadataProgram(ctx);
+  if (ctx.program === COMPUTE_BUDGET_PROGRAM) return;
+  if (MEMO_PROGRAMS.includes(ctx.program)) {
+    const memo = ctx.data.toString('utf8');
+    ctx.log(`Memo (len ${ctx.data.length}): ${JSON.stringify(memo)}`);
+    return;
+  }
+  throw new InstructionError(`program ${ctx.program} is not supported by the in-process chain`);
+}
+
+function systemProgram(ctx) {
+  const op = ctx.data.readUInt32LE(0);
+  const [from, to] = ctx.accounts;
+  requireSigner(ctx, from);
+
+  if (op === 0) {           // CreateAccount
+    const lamports = Number(ctx.data.readBigUInt64LE(4));
+    const space = Number(ctx.data.readBigUInt64LE(12));
+    const owner = new PublicKey(ctx.data.subarray(20, 52)).toBase58();
+    requireSigner(ctx, to);
+    createAccount(ctx, from, to, { lamports, space, owner });
+    return;
+  }
+  if (op === 2) {           // Transfer
+    const lamports = Number(ctx.data.readBigUInt64LE(4));
+    debit(ctx, from, lamports);
+    ctx.load(to).lamports += lamports;
+    return;
+  }
+  throw new InstructionError(`system instruction ${op} is not supported by the in-process chain`);
+}
+
+function tokenProgram(ctx) {
+  const op = ctx.data[0];
+  const a = ctx.accounts;
+
+  if (op === 0 || op === 20) {    // InitializeMint, InitializeMint2
+    const account = ctx.load(a[0]);
+    if (account.owner !== TOKEN_PROGRAM || account.data.length !== MINT_SIZE) throw new InstructionError('invalid account data for instruction');
+    const freeze = ctx.data[34] ? new PublicKey(ctx.data.subarray(35, 67)).toBase58() : null;
+    account.data = writeMint({ authority: new PublicKey(ctx.data.subarray(2, 34)).toBase58(), supply: 0n, decimals: ctx.data[1], freeze });
+    return;
+  }
+  if (op === 1 || op === 16 || op === 18) {   // InitializeAccount, 2, 3
+    const owner = op === 1 ? a[2] : new PublicKey(ctx.data.subarray(1, 33)).toBase58();
+    initTokenAccount(ctx, a[0], a[1], owner);
+    return;
+  }
+  if (op === 3 || op === 12) {    // Transfer, TransferChecked
+    const amount = ctx.data.readBigUInt64LE(1);
+    const [source, dest, authority] = op === 3 ? [a[0], a[1], a[2]] : [a[0], a[2], a[3]];
+    if (op === 12 && readMint(ctx.load(a[1]).data)?.decimals !== ctx.data[9]) throw new InstructionError('custom program error: 0x12');
+    moveTokens(ctx, source, dest, authority, amount, op === 12 ? a[1] : null);
+    return;
+  }
+  if (op === 7 || op === 14) {    // MintTo, MintToChecked
+    mintTokens(ctx, a[0], a[1], a[2], ctx.data.readBigUInt64LE(1));
+    return;
+  }
+  if (op === 9) {                 // CloseAccount
+    const account = ctx.load(a[0]);
+    const token = readTokenAccount(account.data);
+    if (!isTokenAccount(account)) throw new InstructionError('invalid account data for instruction');
+    requireOwner(ctx, token.owner, a[2]);
+    if (token.amount !== 0n) throw new InstructionError('custom program error: 0xb', ['Program log: Error: Non-native account can only be closed if its balance is zero']);
+    ctx.load(a[1]).lamports += account.lamports;
+    account.lamports = 0;
+    account.data = Buffer.alloc(0);
+    account.owner = SYSTEM_PROGRAM;
+    return;
+  }
+  throw new InstructionError(`token instruction ${op} is not supported by the in-process chain`);
+}
+
+function ataProgram(ctx) {
+  const [payer, ata, owner, mint] = ctx.accounts;
+  const idempotent = ctx.data[0] === 1;
+  if (getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(owner), true).toBase58() !== ata) {
+    throw new InstructionError('Provided seeds do not result in a valid address');
+  }
+  if (isTokenAccount(ctx.load(ata))) {
+    if (idempotent) return;
+    throw new InstructionError('custom program error: 0x0', [`Allocate: account Address { address: ${ata}, base: None } already in use`]);
+  }
+  createAccount(ctx, payer, ata, { lamports: rentExempt(TOKEN_ACCOUNT_SIZE), space: TOKEN_ACCOUNT_SIZE, owner: TOKEN_PROGRAM });
+  initTokenAccount(ctx, ata, mint, owner);
+}
+
+// createNft is CreateV1 (metadata, edition and the mint itself) then MintV1
+// (the owner's token account and its one token). Account order as in
+// @metaplex-foundation/mpl-token-metadata's generated instructions.
+function tokenMetadataProgram(ctx) {
+  const [op, variant] = ctx.data;
+
+  if (op === 42 && variant === 0) {     // CreateV1
+    const [metadata, masterEdition, mint, authority, payer] = ctx.accounts;
+    requireSigner(ctx, authority);
+    if (!isMint(ctx.load(mint))) {
+      requireSigner(ctx, mint);
+      createAccount(ctx, payer, mint, { lamports: rentExempt(MINT_SIZE), space: MINT_SIZE, owner: TOKEN_PROGRAM });
+      ctx.load(mint).data = writeMint({ authority: masterEdition, supply: 0n, decimals: 0, freeze: masterEdition });
+    }
+    createAccount(ctx, payer, metadata, { lamports: rentExempt(METADATA_SIZE), space: METADATA_SIZE, owner: TOKEN_METADATA_PROGRAM });
+    createAccount(ctx, payer, masterEdition, { lamports: rentExempt(MASTER_EDITION_SIZE), space: MASTER_EDITION_SIZE, owner: TOKEN_METADATA_PROGRAM });
+    ctx.load(metadata).data[0] = 4;       // Key::MetadataV1
+    ctx.load(masterEdition).data[0] = 6;  // Key::MasterEditionV2
+    return;
+  }
+  if (op === 43 && variant === 0) {     // MintV1
+    const [token, tokenOwner, metadata, masterEdition, , mint, authority, , payer] = ctx.accounts;
+    requireSigner(ctx, authority);
+    if (ctx.load(metadata).owner !== TOKEN_METADATA_PROGRAM) throw new InstructionError('custom program error: 0x39', ['Program log: Uninitialized']);
+    if (!isTokenAccount(ctx.load(token))) {
+      createAccount(ctx, payer, token, { lamports: rentExempt(TOKEN_ACCOUNT_SIZE), space: TOKEN_ACCOUNT_SIZE, owner: TOKEN_PROGRAM });
+      initTokenAccount(ctx, token, mint, tokenOwner);
+    }
+    mintTokens(ctx, mint, token, masterEdition, ctx.data.readBigUInt64LE(2), { signed: true });
+    return;
+  }
+  throw new InstructionError(`Token Metadata instruction ${op}/${variant} is not supported by the in-process chain`);
+}
+
+// ── Account helpers ──────────────────────────────────────────────────────
+
+function requireSigner(ctx, address) {
+  if (!ctx.isSigner(address)) throw new InstructionError(`missing required signature for instruction (${address})`);
+}
+
+function requireOwner(ctx, owner, authority) {
+  if (owner !== authority) throw new InstructionError('custom program error: 0x4', ['Program log: Error: owner does not match']);
+  requireSigner(ctx, authority);
+}
+
+function debit(ctx, address, lamports) {
+  const account = ctx.load(address);
+  if (account.lamports < lamports) {
+    throw new InstructionError('custom program error: 0x1', [`Transfer: insufficient lamports ${account.lamports}, need ${lamports}`]);
+  }
+  account.lamports -= lamports;
+}
+
+function createAccount(ctx, payer, address, { lamports, space, owner }) {
+  const account = ctx.load(address);
+  if (account.data.length > 0 || account.owner !== SYSTEM_PROGRAM) {
+    throw new InstructionError('custom program error: 0x0', [`Create Account: account Address { address: ${address}, base: None } already in use`]);
+  }
+  debit(ctx, payer, lamports);
+  account.lamports += lamports;
+  account.data = Buffer.alloc(space);
+  account.owner = owner;
+}
+
+function initTokenAccount(ctx, address, mint, owner) {
+  const account = ctx.load(address);
+  if (account.owner !== TOKEN_PROGRAM || account.data.length !== TOKEN_ACCOUNT_SIZE) throw new InstructionError('invalid account data for instruction');
+  if (!isMint(ctx.load(mint))) throw new InstructionError('custom program error: 0x2', ['Program log: Error: InvalidMint']);
+  const data = Buffer.alloc(TOKEN_ACCOUNT_SIZE);
+  new PublicKey(mint).toBuffer().copy(data, 0);
+  new PublicKey(owner).toBuffer().copy(data, 32);
+  data[108] = 1;  // AccountState::Initialized
+  account.data = data;
+}
+
+function moveTokens(ctx, source, dest, authority, amount, checkedMint) {
+  const from = ctx.load(source);
+  const to = ctx.load(dest);
+  if (!isTokenAccount(from) || !isTokenAccount(to)) throw new InstructionError('custom program error: 0xd', ['Program log: Error: UninitializedState']);
+  const sent = readTokenAccount(from.data);
+  const received = readTokenAccount(to.data);
+  if (sent.mint !== received.mint || (checkedMint && checkedMint !== sent.mint)) throw new InstructionError('custom program error: 0x3', ['Program log: Error: Account not associated with this Mint']);
+  requireOwner(ctx, sent.owner, authority);
+  if (sent.amount < amount) throw new InstructionError('custom program error: 0x1', ['Program log: Error: insufficient funds']);
+  from.data.writeBigUInt64LE(sent.amount - amount, 64);
+  to.data.writeBigUInt64LE(readTokenAccount(to.data).amount + amount, 64);
+}
+
+function mintTokens(ctx, mintAddress, dest, authority, amount, { signed = false } = {}) {
+  const mint = ctx.load(mintAddress);
+  const to = ctx.load(dest);
+  const state = readMint(mint.data);
+  if (!state) throw new InstructionError('custom program error: 0x2', ['Program log: Error: InvalidMint']);
+  if (!isTokenAccount(to) || readTokenAccount(to.data).mint !== mintAddress) throw new InstructionError('custom program error: 0x3');
+  if (state.authority !== authority) throw new InstructionError('custom program error: 0x4', ['Program log: Error: owner does not match']);
+  if (!signed) requireSigner(ctx, authority);
+  mint.data.writeBigUInt64LE(state.supply + amount, 36);
+  to.data.writeBigUInt64LE(readTokenAccount(to.data).amount + amount, 64);
+}
+
+function isMint(account) {
+  return account?.owner === TOKEN_PROGRAM && account.data.length === MINT_SIZE && account.data[45] === 1;
+}
+
+function isTokenAccount(account) {
+  return account?.owner === TOKEN_PROGRAM && account.data.length === TOKEN_ACCOUNT_SIZE && account.data[108] !== 0;
+}
+
+function readMint(data) {
+  if (!data || data.length !== MINT_SIZE || data[45] !== 1) return null;
+  return {
+    authority: data.readUInt32LE(0) ? new PublicKey(data.subarray(4, 36)).toBase58() : null,
+    supply: data.readBigUInt64LE(36),
+    decimals: data[44],
+  };
+}
+
+function writeMint({ authority, supply, decimals, freeze }) {
+  const data = Buffer.alloc(MINT_SIZE);
+  data.writeUInt32LE(1, 0);
+  new PublicKey(authority).toBuffer().copy(data, 4);
+  data.writeBigUInt64LE(supply, 36);
+  data[44] = decimals;
+  data[45] = 1;
+  if (freeze) {
+    data.writeUInt32LE(1, 46);
+    new PublicKey(freeze).toBuffer().copy(data, 50);
+  }
+  return data;
+}
+
+function readTokenAccount(data) {
+  return {
+    mint: new PublicKey(data.subarray(0, 32)).toBase58(),
+    owner: new PublicKey(data.subarray(32, 64)).toBase58(),
+    amount: data.readBigUInt64LE(64),
+  };
+}
+
+// ── RPC ──────────────────────────────────────────────────────────────────
+
+const METHODS = {
+  getHealth: () => 'ok',
+  getVersion: () => ({ 'solana-core': '1.18.0', 'feature-set': 0 }),
+  getGenesisHash: () => bs58.encode(Buffer.alloc(32, 1)),
+  getSlot: chain => chain.slot,
+  getBlockHeight: chain => chain.slot,
+  getLatestBlockhash: chain => withContext(chain, {
+    blockhash: bs58.encode(randomBytes(32)),
+    lastValidBlockHeight: chain.slot + 150,
+  }),
+  isBlockhashValid: chain => withContext(chain, true),
+  getFeeForMessage: chain => withContext(chain, LAMPORTS_PER_SIGNATURE),
+  getRecentPrioritizationFees: () => [],
+  getMinimumBalanceForRentExemption: (chain, [space]) => rentExempt(space),
+
+  getBalance: (chain, [address]) => withContext(chain, chain.accounts.get(address)?.lamports || 0),
+  getAccountInfo: (chain, [address, config]) => withContext(chain, accountInfo(chain, address, config)),
+  getMultipleAccounts: (chain, [addresses, config]) => withContext(chain, addresses.map(address => accountInfo(chain, address, config))),
+  getTokenAccountsByOwner: (chain, [owner, filter, config]) => withContext(chain, [...chain.accounts]
+    .filter(([, account]) => isTokenAccount(account))
+    .filter(([, account]) => readTokenAccount(account.data).owner === owner)
+    .filter(([, account]) => !filter.mint || readTokenAccount(account.data).mint === filter.mint)
+    .map(([pubkey]) => ({ pubkey, account: accountInfo(chain, pubkey, config) }))),
+
+  requestAirdrop: (chain, [address, lamports]) => airdrop(chain, address, lamports),
+  sendTransaction: (chain, [encoded, config]) => sendTransaction(chain, Buffer.from(encoded, config?.encoding === 'base64' ? 'base64' : 'base58')),
+  simulateTransaction: (chain, [encoded, config]) => {
+    try {
+      // Simulate against a throwaway copy of the ledger
+      const copy = { ...createChain(), slot: chain.slot, accounts: new Map(chain.accounts) };
+      const signature = sendTransaction(copy, Buffer.from(encoded, config?.encoding === 'base64' ? 'base64' : 'base58'));
+      return withContext(chain, { err: null, logs: copy.transactions.get(signature).meta.logMessages, accounts: null, unitsConsumed: 0 });
+    } catch (err) {
+      return withContext(chain, { err: { InstructionError: [0, { Custom: 1 }] }, logs: err.logs || [], accounts: null, unitsConsumed: 0 });
+    }
+  },
+
+  getSignatureStatuses: (chain, [signatures]) => withContext(chain, signatures.map(signature => {
+    const slot = chain.statuses.get(signature);
+    return slot === undefined ? null : { slot, confirmations: null, err: null, status: { Ok: null }, confirmationStatus: 'finalized' };
+  })),
+  getSignaturesForAddress: (chain, [address, options = {}]) => {
+    let signatures = [...(chain.history.get(address) || [])].reverse();
+    if (options.before) signatures = signatures.slice(signatures.indexOf(options.before) + 1);
+    return signatures.slice(0, options.limit || 1000).map(signature => {
+      const { slot, blockTime, memos } = chain.transactions.get(signature);
+      return {
+        signature,
+        slot,
+        blockTime,
+        err: null,
+        memo: memos.length ? memos.map(memo => `[${Buffer.byteLength(memo)}] ${memo}`).join('; ') : null,
+        confirmationStatus: 'finalized',
+      };
+    });
+  },
+  getTransaction: (chain, [signature]) => {
+    const tx = chain.transactions.get(signature);
+    if (!tx) return null;
+    return {
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+      version: tx.version,
+      transaction: { signatures: tx.signatures, message: tx.message },
+      meta: tx.meta,
+    };
+  },
+};
+
+function withContext(chain, value) {
+  return { context: { slot: chain.slot }, value };
+}
+
+function accountInfo(chain, address, config = {}) {
+  const account = chain.accounts.get(address);
+  if (!account) return null;
+  const info = { lamports: account.lamports, owner: account.owner, executable: false, rentEpoch: 0, space: account.data.length };
+  if (config.encoding === 'jsonParsed' && isTokenAccount(account)) {
+    const { mint, owner, amount } = readTokenAccount(account.data);
+    const decimals = readMint(chain.accounts.get(mint)?.data)?.decimals ?? 0;
+    return {
+      ...info,
+      data: {
+        program: 'spl-token',
+        parsed: { type: 'account', info: { mint, owner, isNative: false, state: 'initialized', tokenAmount: uiAmount(amount, decimals) } },
+        space: account.data.length,
+      },
+    };
+  }
+  return { ...info, data: [account.data.toString('base64'), 'base64'] };
+}
+
+function handleHttp(chain, req, res) {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    let body;
+    try {
+      const request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      body = Array.isArray(request) ? request.map(call => rpc(chain, call)) : rpc(chain, request);
+    } catch {
+      body = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+}
+
+function rpc(chain, { id, method, params = [] }) {
+  const run = METHODS[method];
+  if (!run) return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method} (in-process chain)` } };
+  try {
+    return { jsonrpc: '2.0', id, result: run(chain, params) };
+  } catch (err) {
+    if (!(err instanceof InstructionError)) {
+      return { jsonrpc: '2.0', id, error: { code: -32603, message: `Internal error: ${err.message}` } };
+    }
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: {
+        code: -32002,
+        message: `Transaction simulation failed: ${err.message}`,
+        data: { err: { InstructionError: [0, { Custom: 1 }] }, logs: err.logs, accounts: null, unitsConsumed: 0 },
+      },
+    };
+  }
+}
+
+// Signature subscriptions only — all web3.js needs to confirm a transaction
+function handleSocket(chain, socket) {
+  let nextId = 1;
+  socket.on('message', raw => {
+    const { id, method, params = [] } = JSON.parse(raw.toString('utf8'));
+    const reply = message => socket.send(JSON.stringify({ jsonrpc: '2.0', ...message }));
+
+    if (method === 'signatureSubscribe') {
+      const subscription = nextId++;
+      reply({ id, result: subscription });
+      const notify = slot => reply({
+        method: 'signatureNotification',
+        params: { subscription, result: { context: { slot }, value: { err: null } } },
+      });
+      const [signature] = params;
+      if (chain.statuses.has(signature)) notify(chain.statuses.get(signature));
+      else chain.watchers.set(signature, [...(chain.watchers.get(signature) || []), notify]);
+      return;
+    }
+    if (method.endsWith('Unsubscribe')) return reply({ id, result: true });
+    reply({ id, error: { code: -32601, message: `Method not found: ${method} (in-process chain)` } });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,458 @@
+// test/harness.js
+// Runs the API handlers in process against the local stand-ins:
+// REDIS_BACKEND=memory (lib/redis-backends/memory.js), STORAGE_BACKEND=memory
+// (lib/storage/memory.js) and, for the mint pipeline, a chain with a fake
+// USDC mint. Nothing leaves the machine.
+//
+// The pipeline's chain is the in-process stand-in in test/fake-chain.js
+// (test/pipeline.test.js, part of every `npm test`), or a throwaway
+// solana-test-validator running the real programs (test/validator.test.js).
+// The validator needs the Solana CLI and the Token Metadata program, loaded
+// from test/programs/<program id>.so. Fetch the program once while online —
+// no CLI needed for that:
+//
+//   npm run test:programs
+//
+// Every .so in test/programs is loaded under its file name; `-- --all` adds
+// the Bubblegum and Core programs too. Without the validator or the program
+// the validator suite is skipped with a warning saying why; set
+// REQUIRE_PIPELINE=1 (as CI should) to fail instead.
+//
+// Env is set before any lib module is imported (several read it at load), so
+// test files call configureEnv() / startPipeline() before loadHandlers().
+
+import { spawn, spawnSync } from 'node:child_process';
+import { createPrivateKey, randomBytes, sign } from 'node:crypto';
+import { existsSync, readdirSync } from 'node:fs';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join } from 'node:path';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  sendAndConfirmTransaction,
+} from '@solana/web3.js';
+import { startFakeChain } from './fake-chain.js';
+
+const PROGRAMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'programs');
+const TOKEN_METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const RPC_PORT = 18899;
+const FAUCET_PORT = 19900;
+const VALIDATOR_BOOT_MS = 60_000;
+
+// Hardhat's well-known test mnemonic — never holds anything real
+export const TEST_SEED_PHRASE = 'test test test test test test test test test test test junk';
+export const USDC_DECIMALS = 6;
+
+// An admin wallet for /api/recover and friends (ADMIN_WALLETS)
+export const adminKeypair = Keypair.generate();
+
+// DER prefix that turns a 32-byte ed25519 seed into PKCS#8 for node:crypto
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Point the app at the stand-ins. `usdcMint` defaults to a random address,
+ * which is enough for anything that doesn't touch the chain.
+ */
+export function configureEnv({ rpcUrl = `http://127.0.0.1:${RPC_PORT}`, usdcMint = Keypair.generate().publicKey.toBase58() } = {}) {
+  Object.assign(process.env, {
+    SOLANA_CLUSTER: 'localnet',
+    SOLANA_RPC_URL: rpcUrl,
+    USDC_MINT: usdcMint,
+    ACCEPTED_TOKENS: 'USDC',
+    REDIS_BACKEND: 'memory',
+    STORAGE_BACKEND: 'memory',
+    MINT_BACKEND: 'token-metadata',
+    MASTER_SEED_PHRASE: TEST_SEED_PHRASE,
+    UPLOAD_TOKEN_SECRET: randomBytes(32).toString('hex'),
+    CRON_SECRET: randomBytes(16).toString('hex'),
+    ADMIN_WALLETS: adminKeypair.publicKey.toBase58(),
+    WEBHOOK_ENDPOINTS: '',
+  });
+  process.env.LOG_LEVEL ??= 'silent';
+  for (const name of ['COLLECTION_MINT', 'CORE_COLLECTION', 'BUBBLEGUM_TREE', 'DISCOUNT_CODES', 'VERCEL_ENV', 'MINT_OPENS_AT', 'MINT_CLOSES_AT']) {
+    delete process.env[name];
+  }
+  for (const name of Object.keys(process.env).filter(name => name.startsWith('MAX_SUPPLY'))) {
+    delete process.env[name];
+  }
+}
+
+/**
+ * The handlers the suites drive, imported after configureEnv().
+ */
+export async function loadHandlers() {
+  const [upload, session, checkout, supply, poll, worker, recover, adminNonce, adminLogin, storage] = await Promise.all([
+    import('../api/upload.js'),
+    import('../api/session.js'),
+    import('../api/checkout.js'),
+    import('../api/supply.js'),
+    import('../api/poll/[sessionId].js'),
+    import('../api/worker/[sessionId].js'),
+    import('../api/recover.js'),
+    import('../api/admin/nonce.js'),
+    import('../api/admin/login.js'),
+    import('../api/storage/[id].js'),
+  ]);
+  return {
+    upload: upload.default,
+    session: session.default,
+    checkout: checkout.default,
+    supply: supply.default,
+    poll: poll.default,
+    worker: worker.default,
+    recover: recover.default,
+    adminNonce: adminNonce.default,
+    adminLogin: adminLogin.default,
+    storage: storage.default,
+  };
+}
+
+/**
+ * Call a handler the way Vercel would. `stream` is a raw body (multipart),
+ * otherwise `body` is the parsed JSON. Resolves { status, body, headers }.
+ */
+export async function call(handler, { method = 'GET', query = {}, body, headers = {}, stream = null } = {}) {
+  const req = stream ? Readable.from([stream]) : {};
+  Object.assign(req, {
+    method,
+    query,
+    body: stream ? undefined : body,
+    headers: { 'x-forwarded-for': '127.0.0.1', ...lowerCaseKeys(headers) },
+    url: '/',
+  });
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    json(value) { this.body = value; return this; },
+    send(value) { this.body = value; return this; },
+    end(value) { if (value !== undefined) this.body = value; return this; },
+  };
+
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+/**
+ * A small file the upload sniffer takes for a JPEG — random, so every call
+ * is a new upload rather than a duplicate.
+ */
+export function fakeJpeg() {
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), randomBytes(256), Buffer.from([0xff, 0xd9])]);
+}
+
+/**
+ * POST a file to /api/upload as multipart form data.
+ */
+export async function uploadFile(handlers, bytes, { outputType = 'photo', ip } = {}) {
+  const boundary = `----lossy${randomBytes(8).toString('hex')}`;
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="outputType"\r\n\r\n${outputType}\r\n`
+      + `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="export.jpg"\r\n`
+      + 'Content-Type: image/jpeg\r\n\r\n',
+    ),
+    bytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  return call(handlers.upload, {
+    method: 'POST',
+    stream: body,
+    headers: {
+      'content-type': `multipart/form-data; boundary=${boundary}`,
+      'content-length': String(body.length),
+      ...(ip ? { 'x-forwarded-for': ip } : {}),
+    },
+  });
+}
+
+/**
+ * Metadata for a photo session, every quiz answer the first choice.
+ */
+export async function sessionMetadata(fileUri) {
+  const { QUESTIONS } = await import('../lib/metadata.js');
+  return {
+    fileUri,
+    outputType: 'photo',
+    mode: 'ember',
+    speed: 1,
+    answers: Object.fromEntries(QUESTIONS.map(q => [q.id, 0])),
+    zones: [],
+    timestamp: Date.now(),
+    ghost: null,
+  };
+}
+
+let nextClient = 1;
+
+/**
+ * Upload a fresh file and open a session for it, as a new client (so rate
+ * limits and the open-session cap never interfere). Resolves /api/session's
+ * response body; throws on anything but 200.
+ */
+export async function openSession(handlers, body = {}) {
+  const ip = `10.0.0.${nextClient++}`;
+  const upload = await uploadFile(handlers, fakeJpeg(), { ip });
+  if (upload.status !== 200) throw new Error(`upload ${upload.status}: ${JSON.stringify(upload.body)}`);
+
+  const created = await call(handlers.session, {
+    method: 'POST',
+    headers: { 'x-forwarded-for': ip },
+    body: {
+      outputType: 'photo',
+      metadata: await sessionMetadata(upload.body.fileUri),
+      uploadToken: upload.body.uploadToken,
+      ...body,
+    },
+  });
+  if (created.status !== 200) throw new Error(`session ${created.status}: ${JSON.stringify(created.body)}`);
+  return created.body;
+}
+
+/**
+ * Sign in adminKeypair through /api/admin/nonce and /api/admin/login.
+ * Resolves the bearer token.
+ */
+export async function adminToken(handlers) {
+  const wallet = adminKeypair.publicKey.toBase58();
+  const issued = await call(handlers.adminNonce, { method: 'POST', body: { wallet } });
+  if (issued.status !== 200) throw new Error(`admin nonce ${issued.status}: ${JSON.stringify(issued.body)}`);
+
+  const key = createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(adminKeypair.secretKey.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  const signature = sign(null, Buffer.from(issued.body.message, 'utf8'), key).toString('base64');
+  const login = await call(handlers.adminLogin, {
+    method: 'POST',
+    body: { wallet, nonce: issued.body.nonce, signature },
+  });
+  if (login.status !== 200) throw new Error(`admin login ${login.status}: ${JSON.stringify(login.body)}`);
+  return login.body.token;
+}
+
+// ── Chain ────────────────────────────────────────────────────────────────
+
+/**
+ * Why the validator suite can't run here, or null if it can.
+ */
+export function pipelineUnavailable() {
+  const probe = spawnSync('solana-test-validator', ['--version'], { stdio: 'ignore', timeout: 10_000 });
+  if (probe.error) return 'solana-test-validator is not installed (Solana CLI)';
+  if (!existsSync(join(PROGRAMS_DIR, `${TOKEN_METADATA_PROGRAM}.so`))) {
+    return `test/programs/${TOKEN_METADATA_PROGRAM}.so is missing — run \`npm run test:programs\``;
+  }
+  return null;
+}
+
+// Where startPipeline() runs the chain
+export const PIPELINE_CHAIN = {
+  MEMORY:    'memory',     // test/fake-chain.js, in process
+  VALIDATOR: 'validator',  // solana-test-validator with the programs in test/programs
+};
+
+/**
+ * Start a fresh chain, then set up a fake USDC mint and configureEnv() for it.
+ * Resolves the pipeline toolkit — see the returned object. Call stop() when done.
+ */
+export async function startPipeline({ chain = PIPELINE_CHAIN.MEMORY } = {}) {
+  const { rpcUrl, stop } = chain === PIPELINE_CHAIN.VALIDATOR ? await startValidator() : await startFakeChain();
+
+  try {
+    const connection = new Connection(rpcUrl, 'confirmed');
+
+    // The fake USDC belongs to a faucet of our own, so the master wallet's
+    // balances are only ever what the app moved
+    const faucet = Keypair.generate();
+    await airdrop(connection, faucet.publicKey, 10);
+    const { createMint, getOrCreateAssociatedTokenAccount } = await import('@solana/spl-token');
+    const usdcMint = await createMint(connection, faucet, faucet.publicKey, null, USDC_DECIMALS);
+
+    configureEnv({ rpcUrl, usdcMint: usdcMint.toBase58() });
+    const handlers = await loadHandlers();
+    const { getMasterKeypair } = await import('../lib/wallet.js');
+    const master = await getMasterKeypair();
+    await airdrop(connection, master.publicKey, 100);
+    // Sweeps go to master's USDC account, which a deployed master already has
+    await getOrCreateAssociatedTokenAccount(connection, faucet, usdcMint, master.publicKey);
+
+    return createToolkit({ connection, handlers, master, faucet, usdcMint, stop });
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+}
+
+/**
+ * Start solana-test-validator with the programs in test/programs and wait
+ * until it answers. Resolves { rpcUrl, stop }.
+ */
+async function startValidator() {
+  const ledger = await mkdtemp(join(tmpdir(), 'lossy-ledger-'));
+  const programs = readdirSync(PROGRAMS_DIR)
+    .filter(file => file.endsWith('.so'))
+    .flatMap(file => ['--bpf-program', basename(file, '.so'), join(PROGRAMS_DIR, file)]);
+
+  const validator = spawn('solana-test-validator', [
+    '--reset',
+    '--quiet',
+    '--ledger', ledger,
+    '--rpc-port', String(RPC_PORT),
+    '--faucet-port', String(FAUCET_PORT),
+    ...programs,
+  ], { stdio: 'ignore' });
+
+  const stop = async () => {
+    if (validator.exitCode === null) {
+      const exited = new Promise(resolve => validator.once('exit', resolve));
+      validator.kill('SIGTERM');
+      await Promise.race([exited, sleep(10_000)]);
+      if (validator.exitCode === null) validator.kill('SIGKILL');
+    }
+    await rm(ledger, { recursive: true, force: true });
+  };
+
+  const rpcUrl = `http://127.0.0.1:${RPC_PORT}`;
+  try {
+    await waitForValidator(new Connection(rpcUrl, 'confirmed'), validator);
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+  return { rpcUrl, stop };
+}
+
+function createToolkit({ connection, handlers, master, faucet, usdcMint, stop }) {
+  const spl = import('@solana/spl-token');
+
+  return {
+    connection,
+    handlers,
+    master,
+    usdcMint,
+    stop,
+
+    /**
+     * A wallet with SOL for fees and `usdc` whole fake USDC.
+     */
+    async buyer({ usdc = 100 } = {}) {
+      const { getOrCreateAssociatedTokenAccount, mintTo } = await spl;
+      const wallet = Keypair.generate();
+      await airdrop(connection, wallet.publicKey, 2);
+      const ata = await getOrCreateAssociatedTokenAccount(connection, faucet, usdcMint, wallet.publicKey);
+      await mintTo(connection, faucet, usdcMint, ata.address, faucet, usdc * 10 ** USDC_DECIMALS);
+      return wallet;
+    },
+
+    /**
+     * Pay `amount` raw USDC to a session the way the checkout does — tagged
+     * with its Solana Pay reference. Resolves the signature.
+     */
+    async pay(wallet, session, amount) {
+      const { buildTransferTransaction } = await import('../lib/solana-pay.js');
+      const tx = await buildTransferTransaction(connection, {
+        payer: wallet.publicKey.toBase58(),
+        recipient: session.paymentAddress,
+        amount,
+        mint: usdcMint,
+        decimals: USDC_DECIMALS,
+        reference: session.reference,
+        memo: session.sessionId,
+      });
+      return sendAndConfirmTransaction(connection, tx, [wallet], { commitment: 'confirmed' });
+    },
+
+    /**
+     * Run /api/worker for a session, as a kick or the reconciler would.
+     */
+    async work(sessionId) {
+      return call(handlers.worker, {
+        method: 'POST',
+        query: { sessionId },
+        headers: { authorization: `Bearer ${process.env.CRON_SECRET}` },
+        body: {},
+      });
+    },
+
+    /**
+     * Run the worker, then read /api/poll — poll itself is read-only.
+     */
+    async poll(sessionId) {
+      await this.work(sessionId);
+      return call(handlers.poll, { query: { sessionId } });
+    },
+
+    /**
+     * Raw fake USDC held by a wallet (0 if it has no token account).
+     */
+    async usdcBalance(owner) {
+      const { getTokenBalance } = await import('../lib/solana.js');
+      return getTokenBalance(connection, new PublicKey(owner), usdcMint);
+    },
+
+    /**
+     * Mint addresses of the NFTs (amount 1, decimals 0) a wallet holds.
+     */
+    async nftsOf(owner) {
+      const { TOKEN_PROGRAM_ID } = await spl;
+      const { value } = await connection.getParsedTokenAccountsByOwner(new PublicKey(owner), { programId: TOKEN_PROGRAM_ID });
+      return value
+        .map(({ account }) => account.data.parsed.info)
+        .filter(info => info.tokenAmount.decimals === 0 && info.tokenAmount.amount === '1')
+        .map(info => info.mint);
+    },
+
+    /**
+     * Move all but `keepSol` out of the master wallet. Resolves a function
+     * that puts it back.
+     */
+    async drainMaster(keepSol) {
+      const sink = Keypair.generate();
+      const lamports = await connection.getBalance(master.publicKey);
+      const amount = lamports - Math.round(keepSol * LAMPORTS_PER_SOL) - 5000;
+      await sendAndConfirmTransaction(connection, new Transaction().add(
+        SystemProgram.transfer({ fromPubkey: master.publicKey, toPubkey: sink.publicKey, lamports: amount }),
+      ), [master], { commitment: 'confirmed' });
+      return () => airdrop(connection, master.publicKey, 100);
+    },
+  };
+}
+
+async function waitForValidator(connection, validator) {
+  const deadline = Date.now() + VALIDATOR_BOOT_MS;
+  while (Date.now() < deadline) {
+    if (validator.exitCode !== null) throw new Error(`solana-test-validator exited with code ${validator.exitCode}`);
+    try {
+      await connection.getLatestBlockhash();
+      return;
+    } catch {
+      await sleep(500);
+    }
+  }
+  throw new Error(`solana-test-validator did not answer within ${VALIDATOR_BOOT_MS / 1000}s`);
+}
+
+async function airdrop(connection, publicKey, sol) {
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
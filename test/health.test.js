@@ -0,0 +1,35 @@
+// test/health.test.js
+// /api/health on the stand-ins, with no validator: Redis and storage pass,
+// the chain checks fail fast, and nothing secret comes back.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, configureEnv } from './harness.js';
+
+configureEnv({ rpcUrl: 'http://127.0.0.1:1/?api-key=not-for-publication' });
+process.env.HEALTH_TIMEOUT_MS = '3000';
+const { default: health } = await import('../api/health.js');
+
+test('reports each check and is down without a chain', async () => {
+  const { status, body } = await call(health);
+  assert.equal(status, 503);
+  assert.equal(body.status, 'down');
+  assert.equal(body.redisBackend, 'memory');
+  assert.equal(body.checks.config.status, 'ok');
+  assert.equal(body.checks.redis.status, 'ok');
+  assert.equal(body.checks.storage.status, 'ok');
+  assert.equal(body.checks.rpc.status, 'fail');
+  for (const check of Object.values(body.checks)) {
+    assert.ok(['ok', 'warn', 'fail', 'skipped'].includes(check.status));
+    assert.equal(typeof check.latencyMs, 'number');
+  }
+});
+
+test('never echoes secrets', async () => {
+  const { body } = await call(health);
+  const text = JSON.stringify(body);
+  for (const name of ['SOLANA_RPC_URL', 'MASTER_SEED_PHRASE', 'UPLOAD_TOKEN_SECRET', 'CRON_SECRET']) {
+    assert.ok(!text.includes(process.env[name]), `${name} leaked`);
+  }
+  assert.ok(!text.includes('not-for-publication'));
+});
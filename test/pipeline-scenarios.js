@@ -0,0 +1,160 @@
+// test/pipeline-scenarios.js
+// session → pay → poll → mint → sweep, end to end: the scenarios both pipeline
+// suites run — test/pipeline.test.js on the in-process chain and
+// test/validator.test.js on solana-test-validator.
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminToken, call, openSession } from './harness.js';
+
+/**
+ * Define the pipeline scenarios in the current suite. `start` resolves the
+ * toolkit from startPipeline() and runs once, before them.
+ */
+export function pipelineScenarios(start) {
+  let h;
+  let sessions;
+
+  before(async () => {
+    h = await start();
+    sessions = await import('../lib/sessions.js');
+  });
+
+  after(async () => {
+    await h?.stop();
+  });
+
+  test('exact payment mints to the payer and sweeps to master', async () => {
+    const session = await openSession(h.handlers);
+    const buyer = await h.buyer();
+    const masterBefore = await h.usdcBalance(h.master.publicKey);
+
+    await h.pay(buyer, session, session.requiredAmount);
+    const { status, body } = await h.poll(session.sessionId);
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'minted');
+    assert.equal(body.buyerWallet, buyer.publicKey.toBase58());
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), [body.mintAddress]);
+
+    const record = await sessions.loadSession(session.sessionId);
+    assert.equal(record.status, sessions.STATUS.SWEPT);
+    assert.equal(await h.usdcBalance(h.master.publicKey), masterBefore + session.requiredAmount);
+    assert.equal(await h.usdcBalance(session.paymentAddress), 0);
+  });
+
+  test('partial payment waits for the rest', async () => {
+    const session = await openSession(h.handlers);
+    const buyer = await h.buyer();
+    const half = Math.floor(session.requiredAmount / 2);
+
+    await h.pay(buyer, session, half);
+    const pending = await h.poll(session.sessionId);
+    assert.equal(pending.body.status, 'pending');
+    assert.equal(pending.body.receivedAmount, half);
+
+    await h.pay(buyer, session, session.requiredAmount - half);
+    const minted = await h.poll(session.sessionId);
+    assert.equal(minted.body.status, 'minted');
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), [minted.body.mintAddress]);
+  });
+
+  test('overpayment is refunded before the sweep', async () => {
+    const session = await openSession(h.handlers);
+    const buyer = await h.buyer();
+    const excess = 1_000_000;
+    const before = await h.usdcBalance(buyer.publicKey);
+
+    await h.pay(buyer, session, session.requiredAmount + excess);
+    const { body } = await h.poll(session.sessionId);
+    assert.equal(body.status, 'minted');
+
+    const record = await sessions.loadSession(session.sessionId);
+    assert.equal(record.steps.overpaymentRefund.amount, excess);
+    assert.equal(record.refunds[0].reason, 'overpayment');
+    assert.equal(await h.usdcBalance(buyer.publicKey), before - session.requiredAmount);
+  });
+
+  test('an expired session refunds a late underpayment', async () => {
+    const session = await openSession(h.handlers);
+    const record = await sessions.loadSession(session.sessionId);
+    record.expiresAt = Date.now() - 1000;
+    await sessions.saveSession(record);
+
+    const expired = await h.poll(session.sessionId);
+    assert.equal(expired.body.status, 'expired');
+
+    const buyer = await h.buyer();
+    const before = await h.usdcBalance(buyer.publicKey);
+    const half = Math.floor(session.requiredAmount / 2);
+    await h.pay(buyer, session, half);
+
+    const refunded = await h.poll(session.sessionId);
+    assert.equal(refunded.body.status, 'refunded');
+    assert.deepEqual(refunded.body.refunds.map(r => [r.reason, r.amount]), [['underpayment', half]]);
+    assert.equal(await h.usdcBalance(buyer.publicKey), before);
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), []);
+  });
+
+  test('a master wallet short of SOL parks the session in needs_funding', async () => {
+    const session = await openSession(h.handlers);
+    const buyer = await h.buyer();
+    await h.pay(buyer, session, session.requiredAmount);
+
+    // Enough for fees, not for the mint's rent
+    const refill = await h.drainMaster(0.005);
+    try {
+      const stuck = await h.poll(session.sessionId);
+      assert.equal(stuck.body.status, 'needs_funding');
+      assert.match(stuck.body.error, /Master wallet needs more SOL/);
+      assert.deepEqual(await h.nftsOf(buyer.publicKey), []);
+    } finally {
+      await refill();
+    }
+
+    const minted = await h.poll(session.sessionId);
+    assert.equal(minted.body.status, 'minted');
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), [minted.body.mintAddress]);
+  });
+
+  test('concurrent workers mint once', async () => {
+    const session = await openSession(h.handlers);
+    const buyer = await h.buyer();
+    await h.pay(buyer, session, session.requiredAmount);
+
+    const runs = await Promise.all(Array.from({ length: 5 }, () => h.work(session.sessionId)));
+    const statuses = runs.map(r => r.body.status).sort();
+    assert.deepEqual(statuses, ['minted', 'minting', 'minting', 'minting', 'minting']);
+
+    const mintAddress = runs.find(r => r.body.status === 'minted').body.mintAddress;
+    const again = await h.poll(session.sessionId);
+    assert.equal(again.body.mintAddress, mintAddress);
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), [mintAddress]);
+  });
+
+  test('/api/recover mints a paid session nobody polled', async () => {
+    const session = await openSession(h.handlers);
+    const recover = (token, sessionId = session.sessionId) => call(h.handlers.recover, {
+      query: { sessionId },
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+
+    assert.equal((await recover(null)).status, 401);
+    const token = await adminToken(h.handlers);
+
+    const unpaid = await recover(token);
+    assert.equal(unpaid.body.status, 'insufficient balance');
+    assert.equal(unpaid.body.balance, 0);
+
+    const buyer = await h.buyer();
+    await h.pay(buyer, session, session.requiredAmount);
+    const recovered = await recover(token);
+    assert.equal(recovered.status, 200);
+    assert.equal(recovered.body.triggered, true);
+    assert.equal(recovered.body.result.status, 'minted');
+    assert.deepEqual(await h.nftsOf(buyer.publicKey), [recovered.body.result.mintAddress]);
+
+    const repeat = await recover(token);
+    assert.equal(repeat.body.status, 'already minted');
+  });
+}
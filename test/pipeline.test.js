@@ -0,0 +1,12 @@
+// test/pipeline.test.js
+// The mint pipeline end to end on the in-process chain (test/fake-chain.js) —
+// exact, partial and over-payment, expiry, a master wallet out of SOL,
+// concurrent workers and /api/recover. See test/pipeline-scenarios.js.
+
+import { describe } from 'node:test';
+import { PIPELINE_CHAIN, startPipeline } from './harness.js';
+import { pipelineScenarios } from './pipeline-scenarios.js';
+
+describe('mint pipeline', { timeout: 5 * 60_000 }, () => {
+  pipelineScenarios(() => startPipeline({ chain: PIPELINE_CHAIN.MEMORY }));
+});
@@ -0,0 +1,38 @@
+// test/pricing.test.js
+// Quotes and discount codes — a session must always cost something, or an
+// empty wallet would count as paid.
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, configureEnv, fakeJpeg, loadHandlers, sessionMetadata, uploadFile } from './harness.js';
+
+configureEnv();
+const handlers = await loadHandlers();
+const { findDiscount, quotePrice } = await import('../lib/pricing.js');
+
+afterEach(() => configureEnv());
+
+test('discount codes apply within their dates', async () => {
+  process.env.DISCOUNT_CODES = JSON.stringify({
+    HALF: { percent: 50 },
+    LATER: { percent: 20, startsAt: '2999-01-01' },
+  });
+  assert.deepEqual(findDiscount('half'), { code: 'HALF', percent: 50 });
+  assert.equal(findDiscount('LATER'), null);
+  assert.equal((await quotePrice({ outputType: 'photo', discountCode: 'HALF' })).amount, 1_130_000);
+});
+
+test('a 100% code is refused rather than making a free session', async () => {
+  process.env.DISCOUNT_CODES = JSON.stringify({ FREE: { percent: 100 }, ALMOST: { percent: 99.9 } });
+  assert.equal(findDiscount('FREE'), null);
+  await assert.rejects(quotePrice({ outputType: 'photo', discountCode: 'ALMOST' }), /works out to nothing/);
+
+  const upload = await uploadFile(handlers, fakeJpeg(), { ip: '10.9.0.1' });
+  const { status, body } = await call(handlers.session, {
+    method: 'POST',
+    headers: { 'x-forwarded-for': '10.9.0.1' },
+    body: { outputType: 'photo', metadata: await sessionMetadata(upload.body.fileUri), uploadToken: upload.body.uploadToken, discountCode: 'FREE' },
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /Invalid or expired discount code/);
+});
@@ -0,0 +1,76 @@
+// test/recipient.test.js
+// Who gets the NFT — only sources that say who paid, never a memo on some
+// other transaction to the payment address.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { resolveRecipient } from '../lib/recipient.js';
+
+const USDC = Keypair.generate().publicKey;
+const REQUIRED = 2_250_000;
+
+const sessionKeypair = Keypair.generate();
+const buyer = Keypair.generate().publicKey.toBase58();
+const attacker = Keypair.generate().publicKey.toBase58();
+
+// A USDC transfer of `amount` into the session wallet, with a recipient memo
+function transfer(amount, wallet) {
+  return {
+    meta: {
+      err: null,
+      preTokenBalances: [],
+      postTokenBalances: [{ accountIndex: 1, mint: USDC.toBase58(), owner: sessionKeypair.publicKey.toBase58(), uiTokenAmount: { amount: String(amount) } }],
+      logMessages: [`Program log: Memo (len 50): "lossy:${wallet}"`],
+    },
+  };
+}
+
+// Signatures newest first, as the RPC returns them
+function fakeConnection(txs) {
+  return {
+    getSignaturesForAddress: async () => Object.keys(txs).reverse().map(signature => ({ signature, memo: 'memo', err: null })),
+    getTransaction: async signature => txs[signature],
+  };
+}
+
+function paidSession(payment, extra = {}) {
+  return {
+    recipientWallet: null,
+    requiredAmount: REQUIRED,
+    price: { mint: USDC.toBase58() },
+    steps: { payment: { amount: REQUIRED, signature: null, memos: [], ...payment } },
+    ...extra,
+  };
+}
+
+test('a memo on dust sent after the payment is ignored', async () => {
+  const connection = fakeConnection({ pay: transfer(REQUIRED, buyer), dust: transfer(1, attacker) });
+  const recipient = await resolveRecipient(connection, paidSession(), sessionKeypair);
+  assert.deepEqual(recipient, { wallet: buyer, source: 'memo' });
+
+  const dustOnly = fakeConnection({ pay: { meta: { err: null, preTokenBalances: [], postTokenBalances: [], logMessages: [] } }, dust: transfer(1, attacker) });
+  assert.equal(await resolveRecipient(dustOnly, paidSession(), sessionKeypair), null);
+});
+
+test('a known payment transaction is the only place a memo counts', async () => {
+  const connection = fakeConnection({ dust: transfer(REQUIRED, attacker) });
+  const session = paidSession({ signature: 'pay', sender: buyer, memos: [] });
+  assert.deepEqual(await resolveRecipient(connection, session, sessionKeypair), { wallet: buyer, source: 'solana-pay' });
+});
+
+test('the checkout wallet outranks any memo once it has paid', async () => {
+  const checkoutWallet = Keypair.generate().publicKey.toBase58();
+  const session = paidSession({ signature: 'pay', sender: checkoutWallet, memos: [`lossy:${buyer}`] }, { checkoutWallet });
+  assert.deepEqual(await resolveRecipient(fakeConnection({}), session, sessionKeypair), { wallet: checkoutWallet, source: 'checkout' });
+});
+
+test('a checkout wallet that did not pay is ignored', async () => {
+  const checkoutWallet = attacker;
+  const paidElsewhere = paidSession({ signature: 'pay', sender: buyer }, { checkoutWallet });
+  assert.deepEqual(await resolveRecipient(fakeConnection({}), paidElsewhere, sessionKeypair), { wallet: buyer, source: 'solana-pay' });
+
+  // Found by balance alone — the payer is unknown, so no checkout wallet counts
+  const unknownPayer = paidSession({}, { checkoutWallet });
+  assert.equal(await resolveRecipient(fakeConnection({}), unknownPayer, sessionKeypair), null);
+});
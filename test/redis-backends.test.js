@@ -0,0 +1,81 @@
+// test/redis-backends.test.js
+// Choosing the Redis backend, and the memory backend's JSON file.
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { configuredRedisBackend, redisConfigured } from '../lib/redis-backends/index.js';
+
+const ENV = ['REDIS_BACKEND', 'REDIS_URL', 'dayafterday_KV_REST_API_URL', 'dayafterday_KV_REST_API_TOKEN'];
+const saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+function setEnv(values) {
+  for (const name of ENV) delete process.env[name];
+  Object.assign(process.env, values);
+}
+
+test('defaults to Upstash, unconfigured without its env vars', () => {
+  setEnv({});
+  assert.equal(configuredRedisBackend(), 'upstash');
+  assert.equal(redisConfigured(), false);
+
+  setEnv({ dayafterday_KV_REST_API_URL: 'https://x.upstash.io', dayafterday_KV_REST_API_TOKEN: 't' });
+  assert.equal(redisConfigured(), true);
+});
+
+test('picks a TCP Redis when only REDIS_URL is set', () => {
+  setEnv({ REDIS_URL: 'redis://localhost:6379' });
+  assert.equal(configuredRedisBackend(), 'redis');
+  assert.equal(redisConfigured(), true);
+
+  setEnv({ REDIS_URL: 'redis://localhost:6379', dayafterday_KV_REST_API_URL: 'https://x.upstash.io' });
+  assert.equal(configuredRedisBackend(), 'upstash');
+});
+
+test('REDIS_BACKEND wins, and must be a known backend', () => {
+  setEnv({ REDIS_BACKEND: 'memory', dayafterday_KV_REST_API_URL: 'https://x.upstash.io' });
+  assert.equal(configuredRedisBackend(), 'memory');
+  assert.equal(redisConfigured(), true);
+
+  setEnv({ REDIS_BACKEND: 'dynamo' });
+  assert.throws(() => configuredRedisBackend(), /Unknown REDIS_BACKEND/);
+});
+
+test('the memory backend survives a restart through REDIS_MEMORY_FILE', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'lossy-redis-'));
+  const file = join(dir, 'redis.json');
+  const run = (script) => {
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+      env: { ...process.env, REDIS_BACKEND: 'memory', REDIS_MEMORY_FILE: file, LOG_LEVEL: 'silent' },
+      encoding: 'utf8',
+      timeout: 30_000,
+    });
+    assert.equal(child.status, 0, child.stderr);
+    return child.stdout.trim();
+  };
+  const lib = new URL('../lib/redis.js', import.meta.url).href;
+
+  try {
+    run(`const { redis } = await import('${lib}');
+      await redis.set('session', { status: 'pending' });
+      await redis.zadd('index', 5, 'a');
+      await redis.hincrby('revenue', 'usdc', 7);`);
+    assert.ok(JSON.parse(readFileSync(file, 'utf8')).session);
+
+    const restored = run(`const { redis } = await import('${lib}');
+      console.log(JSON.stringify([await redis.getJson('session'), await redis.zrangebyscore('index', 0, 10), await redis.hgetall('revenue')]));`);
+    assert.deepEqual(JSON.parse(restored), [{ status: 'pending' }, ['a'], { usdc: '7' }]);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
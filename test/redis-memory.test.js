@@ -0,0 +1,113 @@
+// test/redis-memory.test.js
+// The in-memory Redis stand-in, through lib/redis.js's client — it has to
+// answer like Upstash for the rest of the suite to mean anything.
+
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REDIS_BACKEND = 'memory';
+process.env.LOG_LEVEL ??= 'silent';
+const { redis, withLock } = await import('../lib/redis.js');
+const { resetMemoryStore } = await import('../lib/redis-backends/memory.js');
+
+beforeEach(() => resetMemoryStore());
+
+describe('strings', () => {
+  test('get, set, del', async () => {
+    assert.equal(await redis.get('k'), null);
+    assert.equal(await redis.set('k', { a: 1 }), 'OK');
+    assert.deepEqual(await redis.getJson('k'), { a: 1 });
+    assert.equal(await redis.del('k'), 1);
+    assert.equal(await redis.del('k'), 0);
+  });
+
+  test('setNx only sets a missing key', async () => {
+    assert.equal(await redis.setNx('lock', 'a', 60), true);
+    assert.equal(await redis.setNx('lock', 'b', 60), false);
+    assert.equal(await redis.get('lock'), 'a');
+  });
+
+  test('keys expire', async () => {
+    await redis.set('k', 'v', 60);
+    assert.equal(await redis.ttl('k'), 60);
+    await redis.expire('k', 0);
+    assert.equal(await redis.get('k'), null);
+    assert.equal(await redis.ttl('k'), -2);
+  });
+
+  test('incr and incrWithExpiry', async () => {
+    assert.equal(await redis.incr('n'), 1);
+    assert.equal(await redis.incr('n'), 2);
+    assert.equal(await redis.incrWithExpiry('w', 30), 1);
+    assert.equal(await redis.incrWithExpiry('w', 30), 2);
+    assert.equal(await redis.ttl('w'), 30);
+  });
+
+  test('delIfEquals leaves another holder alone', async () => {
+    await redis.set('k', 'mine');
+    assert.equal(await redis.delIfEquals('k', 'theirs'), false);
+    assert.equal(await redis.delIfEquals('k', 'mine'), true);
+  });
+
+  test('mgetJson', async () => {
+    await redis.set('a', { n: 1 });
+    assert.deepEqual(await redis.mgetJson(['a', 'missing']), [{ n: 1 }, null]);
+  });
+});
+
+describe('collections', () => {
+  test('lists', async () => {
+    await redis.rpush('l', 'b');
+    await redis.lpush('l', 'a');
+    await redis.rpush('l', { c: 3 });
+    assert.deepEqual(await redis.lrange('l', 0, -1), ['a', 'b', '{"c":3}']);
+    assert.equal(await redis.lindex('l', -1), '{"c":3}');
+    await redis.ltrim('l', 0, 1);
+    assert.equal(await redis.llen('l'), 2);
+  });
+
+  test('sets', async () => {
+    assert.equal(await redis.sadd('s', 'x'), 1);
+    assert.equal(await redis.sadd('s', 'x'), 0);
+    assert.deepEqual(await redis.smembers('s'), ['x']);
+    assert.equal(await redis.srem('s', 'x'), 1);
+    assert.deepEqual(await redis.smembers('s'), []);
+  });
+
+  test('sorted sets', async () => {
+    await redis.zadd('z', 3, 'c');
+    await redis.zadd('z', 1, 'a');
+    await redis.zadd('z', 2, 'b');
+    assert.equal(await redis.zcard('z'), 3);
+    assert.deepEqual(await redis.zrangebyscore('z', '-inf', 2), ['a', 'b']);
+    assert.deepEqual(await redis.zrangebyscore('z', '(1', '+inf', { count: 1 }), ['b']);
+    assert.deepEqual(await redis.zrevrangebyscore('z', '+inf', '-inf', { count: 2 }), ['c', '3', 'b', '2']);
+    assert.equal(await redis.zremrangebyscore('z', '-inf', 1), 1);
+    assert.equal(await redis.zrem('z', 'b'), 1);
+    assert.deepEqual(await redis.zrangebyscore('z', '-inf', '+inf'), ['c']);
+  });
+
+  test('hashes', async () => {
+    assert.equal(await redis.hincrby('h', 'usdc', 5), 5);
+    assert.equal(await redis.hincrby('h', 'usdc', 2), 7);
+    assert.deepEqual(await redis.hgetall('h'), { usdc: '7' });
+    assert.deepEqual(await redis.hgetall('missing'), {});
+  });
+
+  test('wrong types are refused', async () => {
+    await redis.set('k', 'v');
+    await assert.rejects(redis.lpush('k', 'x'), /WRONGTYPE/);
+  });
+});
+
+test('withLock lets one caller in at a time', async () => {
+  const entered = [];
+  const results = await Promise.all([1, 2, 3].map(n => withLock('lock:x', 60, async () => {
+    entered.push(n);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return n;
+  })));
+  assert.deepEqual(results.map(r => r.locked), [true, false, false]);
+  assert.deepEqual(entered, [1]);
+  assert.equal(await redis.get('lock:x'), null);
+});
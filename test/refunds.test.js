@@ -0,0 +1,74 @@
+// test/refunds.test.js
+// Refunds only go to a wallet known to have paid — never to a guess from the
+// payment address's history.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { refundPayment, verifiedSender, REFUND_REASON } from '../lib/refunds.js';
+
+const USDC = Keypair.generate().publicKey.toBase58();
+const sessionKeypair = Keypair.generate();
+const payer = Keypair.generate().publicKey.toBase58();
+const exchange = Keypair.generate().publicKey.toBase58();
+const reference = Keypair.generate().publicKey.toBase58();
+
+// A USDC transfer of `amount` from `sender` into the session wallet
+function transfer(amount, sender) {
+  return {
+    meta: {
+      err: null,
+      preTokenBalances: [
+        { accountIndex: 0, mint: USDC, owner: sender, uiTokenAmount: { amount: '10000000' } },
+      ],
+      postTokenBalances: [
+        { accountIndex: 0, mint: USDC, owner: sender, uiTokenAmount: { amount: String(10_000_000 - amount) } },
+        { accountIndex: 1, mint: USDC, owner: sessionKeypair.publicKey.toBase58(), uiTokenAmount: { amount: String(amount) } },
+      ],
+      logMessages: [],
+    },
+  };
+}
+
+// Every address lists every signature; the reference is only on `tagged`
+function fakeConnection(txs, tagged = []) {
+  return {
+    getSignaturesForAddress: async (address) => Object.keys(txs)
+      .filter(signature => address.toBase58() !== reference || tagged.includes(signature))
+      .reverse()
+      .map(signature => ({ signature, memo: null, err: null })),
+    getTransaction: async signature => txs[signature],
+  };
+}
+
+function session(extra = {}) {
+  return {
+    sessionId: 'sess_1_1',
+    paymentAddress: sessionKeypair.publicKey.toBase58(),
+    reference,
+    requiredAmount: 2_250_000,
+    price: { mint: USDC, token: 'USDC' },
+    steps: {},
+    ...extra,
+  };
+}
+
+test('the sender recorded with the payment is the one refunded', async () => {
+  const paid = session({ steps: { payment: { sender: payer } } });
+  assert.equal(await verifiedSender(fakeConnection({}), paid), payer);
+});
+
+test('a partial payment tagged with the reference is refunded to its sender', async () => {
+  const connection = fakeConnection({ partial: transfer(1_000_000, payer) }, ['partial']);
+  assert.equal(await verifiedSender(connection, session()), payer);
+});
+
+test('a plain transfer is not refunded to whoever sent last', async () => {
+  const connection = fakeConnection({ partial: transfer(1_000_000, exchange) });
+  assert.equal(await verifiedSender(connection, session()), null);
+  assert.equal(await verifiedSender(connection, session({ reference: null })), null);
+
+  const refunded = session();
+  assert.equal(await refundPayment(connection, refunded, sessionKeypair, 1_000_000, REFUND_REASON.UNDERPAYMENT), null);
+  assert.equal(refunded.refunds, undefined);
+});
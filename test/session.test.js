@@ -0,0 +1,104 @@
+// test/session.test.js
+// /api/upload and /api/session on the in-memory stand-ins — no chain needed.
+
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, configureEnv, fakeJpeg, loadHandlers, openSession, sessionMetadata, uploadFile } from './harness.js';
+
+configureEnv();
+const handlers = await loadHandlers();
+
+describe('upload', () => {
+  test('stores a sniffed JPEG and serves it back from the stand-in gateway', async () => {
+    const bytes = fakeJpeg();
+    const { status, body } = await uploadFile(handlers, bytes);
+    assert.equal(status, 200);
+    assert.equal(body.mimeType, 'image/jpeg');
+    assert.match(body.fileUri, /^ipfs:\/\/bafkrei[a-z2-7]+$/);
+
+    const cid = body.fileUri.slice('ipfs://'.length);
+    const served = await call(handlers.storage, { query: { id: cid } });
+    assert.equal(served.status, 200);
+    assert.equal(served.headers['content-type'], 'image/jpeg');
+    assert.deepEqual(Buffer.from(served.body), bytes);
+  });
+
+  test('refuses what is not a photo', async () => {
+    const { status } = await uploadFile(handlers, Buffer.from('definitely not a jpeg'));
+    assert.equal(status, 415);
+  });
+
+  test('stores identical bytes once', async () => {
+    const bytes = fakeJpeg();
+    const first = await uploadFile(handlers, bytes, { ip: '10.1.0.1' });
+    const second = await uploadFile(handlers, bytes, { ip: '10.1.0.2' });
+    assert.equal(second.body.uploadId, first.body.uploadId);
+  });
+});
+
+describe('session', () => {
+  let sessions;
+
+  before(async () => {
+    sessions = await import('../lib/sessions.js');
+  });
+
+  test('opens a pending session with its own payment address', async () => {
+    const a = await openSession(handlers);
+    const b = await openSession(handlers);
+    assert.notEqual(a.paymentAddress, b.paymentAddress);
+    assert.equal(a.token, 'USDC');
+    assert.equal(a.requiredAmount, 2_250_000);
+
+    const record = await sessions.loadSession(a.sessionId);
+    assert.equal(record.status, sessions.STATUS.PENDING);
+    assert.equal(record.fileType, 'image/jpeg');
+  });
+
+  test('rejects metadata that fails the schema', async () => {
+    const upload = await uploadFile(handlers, fakeJpeg(), { ip: '10.2.0.1' });
+    const metadata = { ...(await sessionMetadata(upload.body.fileUri)), speed: 0 };
+    const { status, body } = await call(handlers.session, {
+      method: 'POST',
+      headers: { 'x-forwarded-for': '10.2.0.1' },
+      body: { outputType: 'photo', metadata, uploadToken: upload.body.uploadToken },
+    });
+    assert.equal(status, 400);
+    assert.ok(body.problems.some(p => p.startsWith('speed')));
+  });
+
+  test('requires the upload token for that file', async () => {
+    const upload = await uploadFile(handlers, fakeJpeg(), { ip: '10.3.0.1' });
+    const other = await uploadFile(handlers, fakeJpeg(), { ip: '10.3.0.1' });
+    const { status } = await call(handlers.session, {
+      method: 'POST',
+      headers: { 'x-forwarded-for': '10.3.0.1' },
+      body: { outputType: 'photo', metadata: await sessionMetadata(upload.body.fileUri), uploadToken: other.body.uploadToken },
+    });
+    assert.equal(status, 400);
+  });
+
+  test('caps open sessions per client', async () => {
+    const open = async () => {
+      const upload = await uploadFile(handlers, fakeJpeg(), { ip: '10.4.0.1' });
+      return call(handlers.session, {
+        method: 'POST',
+        headers: { 'x-forwarded-for': '10.4.0.1' },
+        body: { outputType: 'photo', metadata: await sessionMetadata(upload.body.fileUri), uploadToken: upload.body.uploadToken },
+      });
+    };
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await open()).status);
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  test('checkout needs the claim token and leaves the session alone without it', async () => {
+    const { sessionId } = await openSession(handlers);
+    const attacker = 'So11111111111111111111111111111111111111112';
+    for (const claimToken of [undefined, 'guessed']) {
+      const { status } = await call(handlers.checkout, { method: 'POST', body: { sessionId, claimToken, account: attacker } });
+      assert.equal(status, 401);
+    }
+    assert.equal((await sessions.loadSession(sessionId)).checkoutWallet, undefined);
+  });
+});
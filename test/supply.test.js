@@ -0,0 +1,165 @@
+// test/supply.test.js
+// Edition numbers, supply caps and the mint window — through /api/session and
+// /api/supply on the in-memory stand-ins.
+
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, configureEnv, fakeJpeg, loadHandlers, openSession, sessionMetadata, uploadFile } from './harness.js';
+
+configureEnv();
+const handlers = await loadHandlers();
+const { resetMemoryStore } = await import('../lib/redis-backends/memory.js');
+const { buildNftMetadata, nftName } = await import('../lib/metadata.js');
+const { reserveSupply, releaseSupply, nextEdition, countMint, supplySnapshot } = await import('../lib/supply.js');
+const { loadSession, saveSession, STATUS, ACTIVE_SESSIONS_KEY } = await import('../lib/sessions.js');
+const { redis } = await import('../lib/redis.js');
+const { processSession } = await import('../lib/mint.js');
+const { verifyUploadToken } = await import('../lib/upload-token.js');
+
+beforeEach(() => resetMemoryStore());
+afterEach(() => configureEnv());
+
+describe('editions', () => {
+  test('stamp #N into the name and add an Edition trait', () => {
+    const date = new Date('2026-10-19T12:00:00Z');
+    const json = buildNftMetadata({ metadata: { mode: 'ember', answers: {} }, outputType: 'photo', edition: 142, date });
+    assert.equal(json.name, 'LOSSY #142 -- Ember -- 26-10-19');
+    assert.deepEqual(json.attributes.at(-1), { trait_type: 'Edition', value: 142, display_type: 'number' });
+
+    assert.equal(nftName('ember', date), 'LOSSY -- Ember -- 26-10-19');
+  });
+
+  test('names stay within 32 bytes, shortening the mode', () => {
+    const name = nftName('immolation', new Date('2026-10-19T12:00:00Z'), 12345);
+    assert.equal(name, 'LOSSY #12345 -- Immo -- 26-10-19');
+    assert.ok(Buffer.byteLength(name) <= 32);
+  });
+
+  test('are numbered in order, and a refunded session\'s number is reused', async () => {
+    assert.equal(await nextEdition(), 1);
+    assert.equal(await nextEdition(), 2);
+    assert.equal(await nextEdition(), 3);
+
+    const refunded = { steps: { edition: { number: 2 } } };
+    await releaseSupply(refunded);
+    await releaseSupply(refunded);
+    assert.equal(await nextEdition(), 2);
+    assert.equal(await nextEdition(), 4);
+  });
+
+  test('a number already minted under is never reused', async () => {
+    assert.equal(await nextEdition(), 1);
+    // createNft landed, then verifyCollection failed and the session was refunded
+    const failedAfterMint = { steps: { edition: { number: 1 }, createNft: { mintAddress: 'mint', signature: 'sig' } } };
+    await releaseSupply(failedAfterMint);
+    assert.equal(failedAfterMint.steps.edition.released, undefined);
+    assert.equal(await nextEdition(), 2);
+  });
+
+  test('only landed mints count as minted', async () => {
+    await nextEdition();
+    assert.equal((await supplySnapshot()).minted, 0);
+
+    await countMint({ mode: 'eternal', outputType: 'video' });
+    const snapshot = await supplySnapshot();
+    assert.equal(snapshot.minted, 1);
+    assert.equal(snapshot.byMode.eternal.minted, 1);
+    assert.equal(snapshot.byOutputType.video.minted, 1);
+    assert.equal(snapshot.byMode.ember.minted, 0);
+  });
+});
+
+describe('caps', () => {
+  test('a full scope refuses and rolls back every counter', async () => {
+    process.env.MAX_SUPPLY = '3';
+    process.env.MAX_SUPPLY_VIDEO = '1';
+
+    assert.equal((await reserveSupply({ mode: 'ember', outputType: 'video' })).ok, true);
+    assert.deepEqual(await reserveSupply({ mode: 'ember', outputType: 'video' }), { ok: false, exhausted: 'output:video' });
+    const photo = await reserveSupply({ mode: 'ember', outputType: 'photo' });
+    assert.equal(photo.ok, true);
+
+    const snapshot = await supplySnapshot();
+    assert.equal(snapshot.reserved, 2);
+    assert.equal(snapshot.remaining, 1);
+    assert.equal(snapshot.byOutputType.video.remaining, 0);
+    assert.equal(snapshot.byOutputType.audio.remaining, null);
+  });
+
+  test('releasing is idempotent', async () => {
+    const reservation = await reserveSupply({ mode: 'ember', outputType: 'photo' });
+    const session = { supply: { reserved: true, scopes: reservation.scopes } };
+    assert.equal(await releaseSupply(session), true);
+    assert.equal(await releaseSupply(session), false);
+    assert.equal((await supplySnapshot()).reserved, 0);
+  });
+
+  test('/api/session refuses once the cap is reached', async () => {
+    process.env.MAX_SUPPLY = '1';
+    await openSession(handlers);
+    await assert.rejects(openSession(handlers), /session 409: .*Sold out/);
+
+    const { body } = await call(handlers.supply);
+    assert.equal(body.maxSupply, 1);
+    assert.equal(body.remaining, 0);
+    assert.equal(body.soldOut, false);
+  });
+
+  test('a sold-out refusal uses up nothing', async () => {
+    process.env.MAX_SUPPLY_PHOTO = '1';
+    await openSession(handlers);
+    const counter = await redis.get('day-after-day:session-counter');
+
+    const upload = await uploadFile(handlers, fakeJpeg(), { ip: '10.9.0.1' });
+    const body = { outputType: 'photo', metadata: await sessionMetadata(upload.body.fileUri), uploadToken: upload.body.uploadToken };
+    const refused = await call(handlers.session, { method: 'POST', headers: { 'x-forwarded-for': '10.9.0.1' }, body });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.soldOut, 'output:photo');
+    assert.equal(await redis.get('day-after-day:session-counter'), counter);
+    assert.equal(await redis.get(`upload-token:${verifyUploadToken(upload.body.uploadToken).nonce}`), null);
+  });
+
+  test('a session that fails to store gives its slot back', async () => {
+    process.env.MAX_SUPPLY = '1';
+    await redis.set(ACTIVE_SESSIONS_KEY, 'not a set');
+    await assert.rejects(openSession(handlers), /session 500/);
+    assert.equal((await supplySnapshot()).reserved, 0);
+
+    await redis.del(ACTIVE_SESSIONS_KEY);
+    await openSession(handlers);
+  });
+
+  test('an expired session gives its slot back', async () => {
+    process.env.MAX_SUPPLY = '1';
+    const { sessionId } = await openSession(handlers);
+
+    const session = await loadSession(sessionId);
+    session.expiresAt = Date.now() - 1000;
+    await saveSession(session);
+    const { session: expired } = await processSession(sessionId, { testMode: true });
+    assert.equal(expired.status, STATUS.EXPIRED);
+    assert.equal(expired.supply.reserved, false);
+
+    await openSession(handlers);
+  });
+});
+
+describe('mint window', () => {
+  test('no sessions before it opens or after it closes', async () => {
+    process.env.MINT_OPENS_AT = new Date(Date.now() + 60_000).toISOString();
+    await assert.rejects(openSession(handlers), /session 403: .*Minting opens/);
+
+    process.env.MINT_OPENS_AT = new Date(Date.now() - 60_000).toISOString();
+    process.env.MINT_CLOSES_AT = new Date(Date.now() - 1000).toISOString();
+    await assert.rejects(openSession(handlers), /session 403: .*Minting has closed/);
+
+    const { body } = await call(handlers.supply);
+    assert.equal(body.window.status, 'closed');
+  });
+
+  test('sessions open inside it', async () => {
+    process.env.MINT_OPENS_AT = new Date(Date.now() - 60_000).toISOString();
+    process.env.MINT_CLOSES_AT = new Date(Date.now() + 60_000).toISOString();
+    await openSession(handlers);
+  });
+});
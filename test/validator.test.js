@@ -0,0 +1,32 @@
+// test/validator.test.js
+// The pipeline scenarios again, on solana-test-validator with the real
+// programs. Skipped, with a warning, where the validator or the Token
+// Metadata program isn't available; fails instead under REQUIRE_PIPELINE=1.
+// See the top of test/harness.js.
+
+import { describe, test } from 'node:test';
+import { PIPELINE_CHAIN, pipelineUnavailable, startPipeline } from './harness.js';
+import { pipelineScenarios } from './pipeline-scenarios.js';
+
+const unavailable = pipelineUnavailable();
+const required = Boolean(process.env.REQUIRE_PIPELINE);
+
+// Skipped tests are counted in the summary, so a run without the validator
+// says so at the bottom as well as in the warning
+if (unavailable && !required) {
+  console.error([
+    '',
+    '!! The validator pipeline suite was SKIPPED — the scenarios ran on the in-process chain only.',
+    `!! ${unavailable}.`,
+    '!! Set REQUIRE_PIPELINE=1 to make this a failure.',
+    '',
+  ].join('\n'));
+  test('mint pipeline on solana-test-validator', { skip: unavailable }, () => {});
+} else {
+  describe('mint pipeline on solana-test-validator', { timeout: 15 * 60_000 }, () => {
+    pipelineScenarios(async () => {
+      if (unavailable) throw new Error(`REQUIRE_PIPELINE is set, but ${unavailable}`);
+      return startPipeline({ chain: PIPELINE_CHAIN.VALIDATOR });
+    });
+  });
+}
@@ -0,0 +1,42 @@
+// test/worker.test.js
+// /api/poll only reads, and kicks go to a configured worker URL — never one
+// a request names.
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, configureEnv, loadHandlers, openSession } from './harness.js';
+
+configureEnv();
+const handlers = await loadHandlers();
+const { kickSession, workerBaseUrl } = await import('../lib/worker.js');
+const { loadSession, saveSession, STATUS } = await import('../lib/sessions.js');
+
+afterEach(() => {
+  delete process.env.WORKER_BASE_URL;
+  delete process.env.VERCEL_URL;
+});
+
+test('the worker URL comes from config only', async () => {
+  assert.equal(workerBaseUrl(), null);
+  assert.equal(await kickSession('sess_1_1'), false);
+
+  process.env.VERCEL_URL = 'lossy-abc.vercel.app';
+  assert.equal(workerBaseUrl(), 'https://lossy-abc.vercel.app');
+  process.env.WORKER_BASE_URL = 'https://lossy.example/';
+  assert.equal(workerBaseUrl(), 'https://lossy.example');
+});
+
+test('polling leaves the session alone', async () => {
+  const { sessionId } = await openSession(handlers);
+  const session = await loadSession(sessionId);
+  session.expiresAt = Date.now() - 1000;
+  await saveSession(session);
+
+  const { status, body } = await call(handlers.poll, {
+    query: { sessionId },
+    headers: { host: 'attacker.example', 'x-forwarded-proto': 'http' },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'pending');
+  assert.equal((await loadSession(sessionId)).status, STATUS.PENDING);
+});